@@ -0,0 +1,123 @@
+// api/_lib/attachments.js - Photo attachments: processing, linking to letters, cleanup
+import { randomBytes } from 'crypto';
+import { sql } from '@vercel/postgres';
+import { removeFile } from './storage.js';
+import { lettersInPostgres } from './letterStore.js';
+
+// Longest edge after downscaling, and a guard against decompression bombs
+const MAX_DIMENSION = 1600;
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000;
+
+// Final-read letters keep their photos reachable this long so the reader can load them
+export const BURNED_ATTACHMENT_GRACE = '10 minutes';
+
+const OUTPUT_FORMATS = {
+  jpeg: { contentType: 'image/jpeg', extension: 'jpg', options: { quality: 85, mozjpeg: true } },
+  png: { contentType: 'image/png', extension: 'png', options: { compressionLevel: 9 } },
+  webp: { contentType: 'image/webp', extension: 'webp', options: { quality: 85 } },
+  gif: { contentType: 'image/gif', extension: 'gif', options: {} }
+};
+
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]{24}$/;
+
+export const createAttachmentToken = () => randomBytes(18).toString('base64url');
+
+export const isAttachmentToken = (value) => typeof value === 'string' && TOKEN_PATTERN.test(value);
+
+export const attachmentUrl = (token) => `/api/attachments?id=${token}`;
+
+// Re-encode an upload: sniff the real format, apply and drop EXIF orientation,
+// shrink it to fit MAX_DIMENSION. Metadata (EXIF, GPS, ICC comments) is not
+// copied to the output. Returns { value } or { error }.
+export async function processImage(input) {
+  // sharp is a native module, so only handlers that process uploads load it
+  const { default: sharp } = await import('sharp');
+
+  let image;
+  let metadata;
+  try {
+    image = sharp(input, { animated: true, limitInputPixels: MAX_INPUT_PIXELS });
+    metadata = await image.metadata();
+  } catch (error) {
+    return { error: 'That file is not an image we can read' };
+  }
+
+  const format = OUTPUT_FORMATS[metadata.format];
+  if (!format) {
+    return { error: 'Only JPEG, PNG, WebP and GIF images are supported' };
+  }
+
+  try {
+    const { data, info } = await image
+      .rotate()
+      .resize({ width: MAX_DIMENSION, height: MAX_DIMENSION, fit: 'inside', withoutEnlargement: true })
+      .toFormat(metadata.format, format.options)
+      .toBuffer({ resolveWithObject: true });
+
+    return {
+      value: {
+        buffer: data,
+        contentType: format.contentType,
+        extension: format.extension,
+        width: info.width,
+        height: info.pageHeight || info.height
+      }
+    };
+  } catch (error) {
+    return { error: 'That image could not be processed' };
+  }
+}
+
+// Attach uploaded photos to a newly created letter
+export async function linkAttachments(letterId, tokens) {
+  if (tokens.length === 0) return;
+
+  await sql`
+    UPDATE attachments SET letter_id = ${letterId}
+    WHERE token = ANY(${tokens}) AND letter_id IS NULL
+  `;
+}
+
+// Photos shown with a letter, oldest first
+export async function listAttachments(letterId) {
+  // Photos belong to Postgres letter ids; other stores' ids would find strangers' photos
+  if (!lettersInPostgres()) return [];
+
+  const result = await sql`
+    SELECT token, content_type, width, height FROM attachments
+    WHERE letter_id = ${letterId}
+    ORDER BY id ASC
+  `;
+
+  return result.rows.map(row => ({
+    id: row.token,
+    url: attachmentUrl(row.token),
+    contentType: row.content_type,
+    width: row.width,
+    height: row.height
+  }));
+}
+
+// Remove uploads never sent, orphaned by deleted letters, or left behind by burned ones
+export async function cleanupAttachments() {
+  const stale = await sql`
+    SELECT a.id, a.storage_key FROM attachments a
+    LEFT JOIN letters l ON l.id = a.letter_id
+    WHERE (a.letter_id IS NULL AND a.created_at < NOW() - INTERVAL '1 day')
+    OR l.burned_at < NOW() - ${BURNED_ATTACHMENT_GRACE}::interval
+    LIMIT 100
+  `;
+
+  for (const row of stale.rows) {
+    try {
+      await removeFile(row.storage_key);
+      await sql`DELETE FROM attachments WHERE id = ${row.id}`;
+    } catch (error) {
+      console.log('Attachment cleanup failed (non-critical):', error.message);
+    }
+  }
+
+  if (stale.rows.length > 0) {
+    console.log(`🧹 Cleaned up ${stale.rows.length} attachments`);
+  }
+}
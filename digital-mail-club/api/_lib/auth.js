@@ -0,0 +1,103 @@
+// api/_lib/auth.js - Accounts and cookie sessions backed by Postgres, and the
+// bearer secrets that guard the cron and setup endpoints
+import { createHash, randomBytes, scrypt, timingSafeEqual } from 'crypto';
+import { promisify } from 'util';
+import { sql } from '@vercel/postgres';
+
+const scryptAsync = promisify(scrypt);
+
+const SESSION_COOKIE = 'retromail_session';
+const SESSION_DAYS = 30;
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+
+const hashToken = (token) => createHash('sha256').update(token).digest('hex');
+
+// True when the request carries "Authorization: Bearer <secret>". Compares
+// digests, so the time taken says nothing about the secret or its length
+export function hasBearerSecret(req, secret) {
+  const header = req.headers?.authorization;
+  if (!secret || typeof header !== 'string') return false;
+
+  const digest = (value) => createHash('sha256').update(value).digest();
+  return timingSafeEqual(digest(header), digest(`Bearer ${secret}`));
+}
+
+// Stored as scrypt$N$r$p$salt$hash so parameters can change later
+export async function hashPassword(password) {
+  const salt = randomBytes(16);
+  const { N, r, p } = SCRYPT_PARAMS;
+  const hash = await scryptAsync(password, salt, KEY_LENGTH, { N, r, p });
+  return ['scrypt', N, r, p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+// The hash of a random password nobody kept. Sign-ins for unknown emails are
+// checked against it, so they take as long to refuse as a wrong password
+const NO_ACCOUNT_HASH = 'scrypt$16384$8$1$bqKzkclHTvMmIrCh2vFFbg==$wnS5fkZ0FIC6G6H0k7LZY7l3oHGCc4THy9zz9KUR4J6HL6xCT+owEMJ65VR/+XpS2IhizTC+0JNjwufBT9+2Sw==';
+
+// Pass no stored hash for an unknown account: the answer is still false
+export async function verifyPassword(password, stored) {
+  const [scheme, N, r, p, salt, hash] = (stored || NO_ACCOUNT_HASH).split('$');
+  if (scheme !== 'scrypt') return false;
+
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scryptAsync(password, Buffer.from(salt, 'base64'), expected.length, {
+    N: Number(N),
+    r: Number(r),
+    p: Number(p)
+  });
+  return timingSafeEqual(expected, actual) && !!stored;
+}
+
+function readSessionToken(req) {
+  const cookies = req.headers?.cookie || '';
+  const match = cookies.match(new RegExp(`(?:^|;\\s*)${SESSION_COOKIE}=([^;]+)`));
+  return match ? match[1] : null;
+}
+
+function sessionCookie(req, value, maxAgeSeconds) {
+  // Secure cookies only over https so local development still works
+  const secure = req.headers?.['x-forwarded-proto'] === 'https' ? '; Secure' : '';
+  return `${SESSION_COOKIE}=${value}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${maxAgeSeconds}${secure}`;
+}
+
+// Start a session and set its cookie on the response
+export async function startSession(req, res, userId) {
+  const token = randomBytes(32).toString('base64url');
+
+  await sql`
+    INSERT INTO sessions (user_id, token_hash, expires_at)
+    VALUES (${userId}, ${hashToken(token)}, NOW() + make_interval(days => ${SESSION_DAYS}))
+  `;
+
+  res.setHeader('Set-Cookie', sessionCookie(req, token, SESSION_DAYS * 24 * 60 * 60));
+}
+
+export async function endSession(req, res) {
+  const token = readSessionToken(req);
+  if (token) {
+    await sql`DELETE FROM sessions WHERE token_hash = ${hashToken(token)}`;
+  }
+  res.setHeader('Set-Cookie', sessionCookie(req, '', 0));
+}
+
+// The signed-in user for this request, or null
+export async function getSessionUser(req) {
+  const token = readSessionToken(req);
+  if (!token) return null;
+
+  const result = await sql`
+    SELECT u.id, u.email, u.display_name
+    FROM sessions s
+    JOIN users u ON u.id = s.user_id
+    WHERE s.token_hash = ${hashToken(token)} AND s.expires_at > NOW()
+    LIMIT 1
+  `;
+
+  return result.rows[0] || null;
+}
+
+// Drop expired sessions (called from the occasional letter cleanup)
+export async function cleanupSessions() {
+  await sql`DELETE FROM sessions WHERE expires_at < NOW()`;
+}
@@ -0,0 +1,89 @@
+// api/_lib/letterStore.js - Where letters live, with pluggable drivers
+//
+// LETTER_STORE picks the driver: "postgres" (@vercel/postgres, needs
+// POSTGRES_URL), "supabase" (needs SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY),
+// "sqlite" (a file at SQLITE_PATH, default ./.data/letters.sqlite) or "memory"
+// (gone on restart - for development and tests). Without it, Postgres is used
+// when POSTGRES_URL is set, then Supabase, then memory.
+//
+// Every driver implements the same LetterStore. Rows use the column names of
+// the letters table (sql/migrations), minus manage_token_hash, plus `sealed` and `expired` flags.
+// expires_at is null for letters that never expire, whatever the driver stores.
+//
+//   create(fields)                   new letter row; throws { code: '23505' } if the code is taken
+//   getByCode(code, { manageTokenHash })
+//                                    unexpired letter, or the sender's own letter even if expired
+//   getThread(code, maxDepth)        the letter and its ancestors, oldest first
+//   getOriginal(letterId)            wording from before the first edit, or null
+//   edit(letterId, { subject, content })
+//                                    { id, edited_at }, or null once the letter has been read
+//   incrementRead(letterId)          { readCount, finalRead }, or null when no reads are left;
+//                                    burns self-destructing letters on their final read
+//   claimFirstRead(letterId)         read receipt details for whoever opens it first, else null
+//   markNotified(letterId)           records that the recipient was emailed
+//   delete(code, manageTokenHash)    { id, subject } of the deleted letter, or null
+//   incrementStat(metric)
+//   stats()                          { metrics, activeLetters, lettersToday, lettersWeek }
+//   cleanup()                        removes expired and long-burned letters; returns how many
+//
+// The drivers live in src/utils/letterStores. Accounts, sessions, photos,
+// mailboxes, drafts and rate limits still live in Postgres.
+import { createMemoryLetterStore } from '../../src/utils/letterStores/memory.js';
+
+const drivers = {
+  postgres: async () => (await import('../../src/utils/letterStores/postgres.js')).createPostgresLetterStore(),
+  sqlite: async () => (await import('../../src/utils/letterStores/sqlite.js')).createSqliteLetterStore(),
+  supabase: async () => {
+    const { createClient } = await import('@supabase/supabase-js');
+    const { createSupabaseLetterStore } = await import('../../src/utils/letterStores/supabase.js');
+    return createSupabaseLetterStore(createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY, {
+      auth: { persistSession: false }
+    }));
+  },
+  memory: async () => {
+    console.log('📝 No database configured - letters are kept in memory until the server restarts');
+    return createMemoryLetterStore();
+  }
+};
+
+// One store per driver per process, so the memory store keeps its letters between requests
+const stores = new Map();
+
+// Add or replace a driver, e.g. for tests: registerLetterStore('memory', () => store)
+export function registerLetterStore(name, create) {
+  drivers[name] = create;
+  stores.delete(name);
+}
+
+// True when the tables outside the letter store are reachable
+export const hasPostgres = () => !!process.env.POSTGRES_URL;
+
+function currentDriverName() {
+  if (process.env.LETTER_STORE) return process.env.LETTER_STORE;
+  if (process.env.POSTGRES_URL) return 'postgres';
+  if (process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_ROLE_KEY) return 'supabase';
+  return 'memory';
+}
+
+// True when letters are kept in Postgres as well. Photos, mailboxes, drafts and
+// the status page refer to letters by their Postgres id, and ids from any other
+// store could point at someone else's letter there.
+export const lettersInPostgres = () => hasPostgres() && currentDriverName() === 'postgres';
+
+export async function getLetterStore() {
+  const name = currentDriverName();
+
+  if (!stores.has(name)) {
+    const create = drivers[name];
+    if (!create) {
+      throw new Error(`Unknown letter store: ${name}`);
+    }
+    // A driver that fails to start (say, a missing module) is tried again next time
+    stores.set(name, Promise.resolve().then(create).catch(error => {
+      stores.delete(name);
+      throw error;
+    }));
+  }
+
+  return stores.get(name);
+}
@@ -0,0 +1,70 @@
+// api/_lib/mailer.js - Outgoing mail with pluggable transports
+//
+// MAIL_TRANSPORT picks the transport: "smtp" (needs SMTP_URL), "file" (writes
+// messages to MAIL_FILE_DIR, default ./.outbox) or "console". Without it, SMTP
+// is used when SMTP_URL is set and the console otherwise.
+import { mkdir, writeFile } from 'fs/promises';
+import path from 'path';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export const isValidEmail = (email) =>
+  typeof email === 'string' && email.length <= 254 && EMAIL_PATTERN.test(email);
+
+let smtpTransporter = null;
+
+const transports = {
+  console: {
+    async send(message) {
+      console.log(`📧 [mail] To: ${message.to}\nSubject: ${message.subject}\n\n${message.text}`);
+    }
+  },
+
+  file: {
+    async send(message) {
+      const dir = process.env.MAIL_FILE_DIR || path.join(process.cwd(), '.outbox');
+      await mkdir(dir, { recursive: true });
+
+      const file = path.join(dir, `${Date.now()}-${message.to.replace(/[^a-z0-9@.]/gi, '_')}.json`);
+      await writeFile(file, JSON.stringify(message, null, 2));
+      console.log(`📧 [mail] Written to ${file}`);
+    }
+  },
+
+  smtp: {
+    async send(message) {
+      if (!process.env.SMTP_URL) {
+        throw new Error('SMTP_URL is not configured');
+      }
+
+      if (!smtpTransporter) {
+        const nodemailer = await import('nodemailer');
+        smtpTransporter = nodemailer.createTransport(process.env.SMTP_URL);
+      }
+
+      await smtpTransporter.sendMail(message);
+    }
+  }
+};
+
+// Add or replace a transport, e.g. for an email API provider
+export function registerTransport(name, transport) {
+  transports[name] = transport;
+}
+
+export async function sendMail({ to, subject, text, html }) {
+  const name = process.env.MAIL_TRANSPORT || (process.env.SMTP_URL ? 'smtp' : 'console');
+  const transport = transports[name];
+
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+
+  await transport.send({
+    from: process.env.MAIL_FROM || 'Digital Mail Club <letters@localhost>',
+    to,
+    subject,
+    text,
+    html
+  });
+}
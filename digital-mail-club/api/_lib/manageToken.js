@@ -0,0 +1,19 @@
+// api/_lib/manageToken.js - Sender credentials for managing a letter
+import { createHash, randomBytes } from 'crypto';
+
+// Only the hash is stored; the token itself is shown to the sender once
+export function hashManageToken(token) {
+  return createHash('sha256').update(token).digest('hex');
+}
+
+export function createManageToken() {
+  const token = randomBytes(32).toString('base64url');
+  return { token, hash: hashManageToken(token) };
+}
+
+// Senders present the token as "Authorization: Bearer <token>"
+export function readManageToken(req) {
+  const header = req.headers?.authorization || '';
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+}
@@ -0,0 +1,169 @@
+// api/_lib/migrations.js - Versioned schema changes for the Postgres database
+//
+// Migrations live in sql/migrations as NNN_name.up.sql, each with a matching
+// NNN_name.down.sql that undoes it. A down file that starts with
+// `-- irreversible:` marks a one-way migration that rollbacks refuse to cross.
+// Applied versions are recorded in the schema_migrations table. Every
+// migration runs in its own transaction under an advisory lock, so two runners
+// started at once can't apply one twice.
+// Apply them with `npm run migrate` or POST /api/setup.
+import { readdir, readFile } from 'fs/promises';
+import path from 'path';
+import { db } from '@vercel/postgres';
+
+// npm scripts and Vercel functions both run from the project root
+const MIGRATIONS_DIR = path.join(process.cwd(), 'sql', 'migrations');
+
+const MIGRATION_FILE = /^(\d+)_([a-z0-9_]+)\.(up|down)\.sql$/;
+
+const IRREVERSIBLE = /^--\s*irreversible:\s*/i;
+
+// Any constant will do, as long as every runner uses the same one
+const MIGRATION_LOCK_ID = 20240117;
+
+// Migrations on disk, oldest first: [{ version, name, up, down }]
+export async function listMigrations(dir = MIGRATIONS_DIR) {
+  const byVersion = new Map();
+
+  for (const file of await readdir(dir)) {
+    const match = file.match(MIGRATION_FILE);
+    if (!match) continue;
+
+    const [, version, name, direction] = match;
+    const migration = byVersion.get(version) || { version, name };
+    migration[direction] = path.join(dir, file);
+    byVersion.set(version, migration);
+  }
+
+  const migrations = [...byVersion.values()].sort((a, b) => Number(a.version) - Number(b.version));
+
+  const incomplete = migrations.find(migration => !migration.up || !migration.down);
+  if (incomplete) {
+    throw new Error(`Migration ${incomplete.version}_${incomplete.name} needs both an .up.sql and a .down.sql file`);
+  }
+
+  return migrations;
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version VARCHAR(20) PRIMARY KEY,
+      name VARCHAR(100) NOT NULL,
+      applied_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+    )
+  `);
+}
+
+// Run fn in a transaction that holds the migration lock
+async function underLock(client, fn) {
+  await client.query('BEGIN');
+  try {
+    await client.query('SELECT pg_advisory_xact_lock($1)', [MIGRATION_LOCK_ID]);
+    const result = await fn();
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+}
+
+// { applied: [{ version, name, appliedAt }], pending: [{ version, name }] }
+export async function migrationStatus(client, { dir } = {}) {
+  await ensureMigrationsTable(client);
+
+  const [migrations, result] = await Promise.all([
+    listMigrations(dir),
+    client.query('SELECT version, applied_at FROM schema_migrations')
+  ]);
+  const appliedAt = new Map(result.rows.map(row => [row.version, row.applied_at]));
+
+  return {
+    applied: migrations
+      .filter(migration => appliedAt.has(migration.version))
+      .map(({ version, name }) => ({ version, name, appliedAt: appliedAt.get(version) })),
+    pending: migrations
+      .filter(migration => !appliedAt.has(migration.version))
+      .map(({ version, name }) => ({ version, name }))
+  };
+}
+
+// Apply every pending migration in order; returns the ones this call applied
+export async function applyMigrations(client, { dir } = {}) {
+  await ensureMigrationsTable(client);
+
+  const applied = [];
+  for (const migration of await listMigrations(dir)) {
+    const ran = await underLock(client, async () => {
+      // Checked under the lock - another runner may have got here first
+      const done = await client.query('SELECT 1 FROM schema_migrations WHERE version = $1', [migration.version]);
+      if (done.rows.length > 0) return false;
+
+      await client.query(await readFile(migration.up, 'utf8'));
+      await client.query(
+        'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+        [migration.version, migration.name]
+      );
+      return true;
+    });
+
+    if (ran) {
+      console.log(`🗄️ Applied migration ${migration.version}_${migration.name}`);
+      applied.push({ version: migration.version, name: migration.name });
+    }
+  }
+
+  return applied;
+}
+
+// Undo the most recent migrations, newest first; returns the ones rolled back
+export async function rollbackMigrations(client, steps = 1, { dir } = {}) {
+  await ensureMigrationsTable(client);
+
+  const migrations = await listMigrations(dir);
+
+  // Refuse up front rather than undo some of the steps and then stop
+  const newest = await client.query('SELECT version FROM schema_migrations ORDER BY version DESC LIMIT $1', [steps]);
+  for (const { version } of newest.rows) {
+    const migration = migrations.find(candidate => candidate.version === version);
+    if (migration && IRREVERSIBLE.test(await readFile(migration.down, 'utf8'))) {
+      throw new Error(`Migration ${version}_${migration.name} is irreversible and can't be rolled back`);
+    }
+  }
+
+  const rolledBack = [];
+
+  for (let step = 0; step < steps; step++) {
+    const migration = await underLock(client, async () => {
+      const latest = await client.query('SELECT version FROM schema_migrations ORDER BY version DESC LIMIT 1');
+      if (latest.rows.length === 0) return null;
+
+      const target = migrations.find(candidate => candidate.version === latest.rows[0].version);
+      if (!target) {
+        throw new Error(`Migration ${latest.rows[0].version} was applied but is missing from sql/migrations`);
+      }
+
+      await client.query(await readFile(target.down, 'utf8'));
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [target.version]);
+      return target;
+    });
+
+    if (!migration) break;
+
+    console.log(`↩️ Rolled back migration ${migration.version}_${migration.name}`);
+    rolledBack.push({ version: migration.version, name: migration.name });
+  }
+
+  return rolledBack;
+}
+
+// Borrow one connection for fn - transactions need every statement on the same one
+export async function withDatabase(fn) {
+  const client = await db.connect();
+  try {
+    return await fn(client);
+  } finally {
+    client.release();
+  }
+}
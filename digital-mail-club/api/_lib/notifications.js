@@ -0,0 +1,222 @@
+// api/_lib/notifications.js - "You've got mail" emails for addressed letters
+import { lookup as dnsLookup } from 'dns';
+import https from 'https';
+import { BlockList, isIP } from 'net';
+import { sql } from '@vercel/postgres';
+import { sendMail } from './mailer.js';
+import { getLetterStore, lettersInPostgres } from './letterStore.js';
+
+// Public address of the app, for links in emails
+export function appUrlFrom(req) {
+  if (process.env.APP_URL) return process.env.APP_URL.replace(/\/$/, '');
+  const proto = req.headers?.['x-forwarded-proto'] || 'http';
+  return `${proto}://${req.headers?.host || 'localhost:3000'}`;
+}
+
+const escapeHtml = (text) =>
+  String(text).replace(/[&<>"']/g, char => (
+    { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]
+  ));
+
+export function buildLetterNotification({ code, senderName, encrypted }, appUrl) {
+  const link = `${appUrl}/letter/${code}`;
+  const keyNote = encrypted
+    ? 'This letter is encrypted - the sender will share its key or passphrase with you separately.'
+    : '';
+
+  return {
+    subject: `You've got mail from ${senderName} 💌`,
+    text: [
+      `You've got mail — open with code ${code}`,
+      '',
+      `${senderName} sent you a letter through the Digital Mail Club.`,
+      `Read it here: ${link}`,
+      keyNote
+    ].join('\n').trim(),
+    html: `
+      <p><strong>You've got mail — open with code ${escapeHtml(code)}</strong></p>
+      <p>${escapeHtml(senderName)} sent you a letter through the Digital Mail Club.</p>
+      <p><a href="${escapeHtml(link)}">Open your letter 💌</a></p>
+      ${keyNote ? `<p>${escapeHtml(keyNote)}</p>` : ''}
+    `
+  };
+}
+
+// Email the recipient, mark the letter notified so it is never sent twice, and
+// file it in their mailbox if they're a member
+export async function notifyRecipient(letter, appUrl) {
+  const store = await getLetterStore();
+  const message = buildLetterNotification({
+    code: letter.code,
+    senderName: letter.sender_name,
+    encrypted: !!letter.encryption
+  }, appUrl);
+
+  await sendMail({ to: letter.recipient_email, ...message });
+
+  // The email is out, so nothing after this may fail the notification
+  try {
+    await store.markNotified(letter.id);
+
+    // Mailboxes hold Postgres letter ids
+    if (lettersInPostgres()) {
+      await sql`
+        INSERT INTO mailbox_entries (user_id, letter_id, folder)
+        SELECT id, ${letter.id}, 'received' FROM users WHERE email = ${letter.recipient_email}
+        ON CONFLICT (user_id, letter_id, folder) DO NOTHING
+      `;
+    }
+  } catch (e) {
+    console.log('Notification bookkeeping failed (non-critical):', e.message);
+  }
+}
+
+// Notify recipients of scheduled letters whose delivery time has come. Only the
+// Postgres letter store is searched; callers check lettersInPostgres() first.
+export async function deliverDueNotifications(appUrl, limit = 50) {
+  const due = await sql`
+    SELECT id, code, sender_name, recipient_email, encryption
+    FROM letters
+    WHERE recipient_email IS NOT NULL
+    AND notified_at IS NULL
+    AND (deliver_at IS NULL OR deliver_at <= NOW())
+    AND expires_at > NOW()
+    AND burned_at IS NULL
+    ORDER BY deliver_at ASC NULLS FIRST
+    LIMIT ${limit}
+  `;
+
+  let delivered = 0;
+  for (const letter of due.rows) {
+    try {
+      await notifyRecipient(letter, appUrl);
+      delivered++;
+    } catch (error) {
+      console.error(`Notification failed for ${letter.code}:`, error.message);
+    }
+  }
+
+  return { pending: due.rows.length, delivered };
+}
+
+// Addresses webhooks may never reach: this network, loopback, private and
+// shared ranges, link-local (cloud metadata lives there), multicast and reserved
+const PRIVATE_ADDRESSES = new BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 127], ['64:ff9b::', 96], ['100::', 64], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+// True for addresses on the public internet, IPv4 or IPv6
+export function isPublicAddress(address) {
+  const family = isIP(address);
+  if (family === 0) return false;
+
+  // IPv4-mapped IPv6 (::ffff:127.0.0.1) is judged as the IPv4 address it carries
+  const mapped = family === 6 && address.toLowerCase().match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (mapped) return isPublicAddress(mapped[1]);
+  if (family === 6 && /^::ffff:/i.test(address)) return false;
+
+  return !PRIVATE_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+// Read receipt webhooks must be public https endpoints named by a hostname. The
+// URL parser turns decimal and hex IPv4 forms into dotted ones, so all IP
+// literals are caught here; where a hostname points is checked when it is called.
+export function isValidWebhookUrl(value) {
+  if (typeof value !== 'string' || value.length > 2048) return false;
+
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return false;
+  }
+
+  const host = url.hostname.toLowerCase();
+  const privateHost = host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.local') ||
+    host.endsWith('.internal') || isIP(host.replace(/^\[|\]$/g, '')) !== 0 || !host.includes('.');
+
+  return url.protocol === 'https:' && !url.username && !url.password && !privateHost;
+}
+
+// DNS lookup for webhook calls that refuses private addresses. The request
+// connects to the address checked here, so a hostname can't be switched to an
+// internal one between the check and the call.
+function publicLookup(hostname, options, callback) {
+  dnsLookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    if (addresses.length === 0 || !addresses.every(({ address }) => isPublicAddress(address))) {
+      return callback(Object.assign(new Error(`${hostname} does not resolve to a public address`), {
+        code: 'ENOTPUBLIC'
+      }));
+    }
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// POST JSON to a webhook without following redirects
+function postWebhook(url, payload) {
+  const body = JSON.stringify(payload);
+
+  return new Promise((resolve, reject) => {
+    const request = https.request(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) },
+      lookup: publicLookup,
+      signal: AbortSignal.timeout(5000)
+    }, (response) => {
+      response.resume();
+      if (response.statusCode >= 200 && response.statusCode < 300) {
+        resolve();
+      } else {
+        reject(new Error(`Webhook responded ${response.statusCode}`));
+      }
+    });
+
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+// Tell the sender their letter was opened for the first time
+export async function sendReadReceipt(letter, appUrl) {
+  const readAt = new Date(letter.first_read_at).toISOString();
+  const deliveries = [];
+
+  if (letter.read_receipt_email) {
+    const link = `${appUrl}/track`;
+    deliveries.push(sendMail({
+      to: letter.read_receipt_email,
+      subject: `Your letter ${letter.code} was opened 📬`,
+      text: [
+        `Your letter ${letter.code} was opened for the first time on ${readAt}.`,
+        '',
+        `Track your letters: ${link}`
+      ].join('\n'),
+      html: `
+        <p>Your letter <strong>${escapeHtml(letter.code)}</strong> was opened for the first time on ${escapeHtml(readAt)}.</p>
+        <p><a href="${escapeHtml(link)}">Track your letters 📬</a></p>
+      `
+    }));
+  }
+
+  if (letter.read_receipt_webhook) {
+    deliveries.push(postWebhook(letter.read_receipt_webhook, {
+      event: 'letter.first_read',
+      code: letter.code,
+      readAt
+    }));
+  }
+
+  const results = await Promise.allSettled(deliveries);
+  results
+    .filter(result => result.status === 'rejected')
+    .forEach(result => console.log('Read receipt failed (non-critical):', result.reason.message));
+}
@@ -0,0 +1,186 @@
+// api/_lib/rateLimit.js - Throttle letter lookups so codes can't be enumerated,
+// and emails so the API can't be used to spam strangers
+// State lives in Postgres (rate_limits table) so it survives cold starts; without
+// a database it is kept in memory, which is enough for a single dev server.
+import { createHash } from 'crypto';
+import { sql } from '@vercel/postgres';
+import { hasPostgres } from './letterStore.js';
+
+const WINDOW_SECONDS = 60;
+const PER_IP_LOOKUPS_PER_WINDOW = 30;
+const GLOBAL_LOOKUPS_PER_WINDOW = 1000;
+
+// Misses allowed before backoff kicks in, then 30s, 60s, 120s... up to an hour
+const FAILURE_THRESHOLD = 5;
+const BASE_LOCKOUT_SECONDS = 30;
+const MAX_LOCKOUT_SECONDS = 60 * 60;
+
+// Misses older than this are forgotten
+const FAILURE_MEMORY = '1 hour';
+const FAILURE_MEMORY_MS = 60 * 60 * 1000;
+
+const GLOBAL_KEY = 'global';
+
+// Emails a client may have the API send per hour, and emails one address may receive
+const MAIL_WINDOW_SECONDS = 60 * 60;
+const PER_IP_EMAILS_PER_WINDOW = 10;
+const PER_RECIPIENT_EMAILS_PER_WINDOW = 3;
+
+// IPs are hashed so the table never holds raw addresses
+export function clientKey(req) {
+  const forwarded = req.headers?.['x-forwarded-for'];
+  const ip = (forwarded ? forwarded.split(',')[0] : req.socket?.remoteAddress || 'unknown').trim();
+  return 'ip:' + createHash('sha256').update(ip).digest('hex').slice(0, 40);
+}
+
+// In-memory stand-in for the rate_limits table: key -> { hits, windowStartedAt, failures, lastFailureAt, lockedUntil }
+const memoryLimits = new Map();
+
+function hitInMemory(key, windowSeconds) {
+  const now = Date.now();
+  let entry = memoryLimits.get(key);
+  if (!entry) {
+    entry = { hits: 0, windowStartedAt: now, failures: 0, lastFailureAt: null, lockedUntil: null };
+    memoryLimits.set(key, entry);
+  }
+
+  if (entry.windowStartedAt < now - windowSeconds * 1000) {
+    entry.hits = 0;
+    entry.windowStartedAt = now;
+  }
+  entry.hits += 1;
+
+  return {
+    hits: entry.hits,
+    locked_seconds: entry.lockedUntil ? Math.ceil((entry.lockedUntil - now) / 1000) : null,
+    window_seconds: Math.ceil((entry.windowStartedAt + windowSeconds * 1000 - now) / 1000)
+  };
+}
+
+async function hit(key, windowSeconds = WINDOW_SECONDS) {
+  if (!hasPostgres()) return hitInMemory(key, windowSeconds);
+
+  const result = await sql`
+    INSERT INTO rate_limits (key, hits, window_started_at)
+    VALUES (${key}, 1, NOW())
+    ON CONFLICT (key) DO UPDATE SET
+      hits = CASE
+        WHEN rate_limits.window_started_at < NOW() - make_interval(secs => ${windowSeconds}) THEN 1
+        ELSE rate_limits.hits + 1
+      END,
+      window_started_at = CASE
+        WHEN rate_limits.window_started_at < NOW() - make_interval(secs => ${windowSeconds}) THEN NOW()
+        ELSE rate_limits.window_started_at
+      END
+    RETURNING 
+      hits,
+      CEIL(EXTRACT(EPOCH FROM (locked_until - NOW()))) AS locked_seconds,
+      CEIL(EXTRACT(EPOCH FROM (window_started_at + make_interval(secs => ${windowSeconds}) - NOW()))) AS window_seconds
+  `;
+  return result.rows[0];
+}
+
+const lockoutSeconds = (failures) => Math.min(
+  MAX_LOCKOUT_SECONDS,
+  BASE_LOCKOUT_SECONDS * 2 ** (failures - FAILURE_THRESHOLD)
+);
+
+// Count a lookup; returns { allowed: true } or { allowed: false, retryAfter, reason }
+export async function checkLookupLimit(key) {
+  const [client, global] = await Promise.all([hit(key), hit(GLOBAL_KEY)]);
+
+  if (client.locked_seconds > 0) {
+    return { allowed: false, retryAfter: Number(client.locked_seconds), reason: 'locked' };
+  }
+
+  if (client.hits > PER_IP_LOOKUPS_PER_WINDOW) {
+    return { allowed: false, retryAfter: Math.max(1, Number(client.window_seconds)), reason: 'client' };
+  }
+
+  if (global.hits > GLOBAL_LOOKUPS_PER_WINDOW) {
+    return { allowed: false, retryAfter: Math.max(1, Number(global.window_seconds)), reason: 'global' };
+  }
+
+  return { allowed: true };
+}
+
+// Count an email the API is asked to send for a client; returns { allowed: true }
+// or { allowed: false, retryAfter, reason }. Addresses are hashed like IPs.
+export async function checkMailLimit(key, email) {
+  const recipientKey = 'mail-to:' + createHash('sha256').update(email).digest('hex').slice(0, 40);
+  const [client, recipient] = await Promise.all([
+    hit('mail:' + key, MAIL_WINDOW_SECONDS),
+    hit(recipientKey, MAIL_WINDOW_SECONDS)
+  ]);
+
+  if (client.hits > PER_IP_EMAILS_PER_WINDOW) {
+    return { allowed: false, retryAfter: Math.max(1, Number(client.window_seconds)), reason: 'client' };
+  }
+
+  if (recipient.hits > PER_RECIPIENT_EMAILS_PER_WINDOW) {
+    return { allowed: false, retryAfter: Math.max(1, Number(recipient.window_seconds)), reason: 'recipient' };
+  }
+
+  return { allowed: true };
+}
+
+// Record a lookup for a code that doesn't exist, locking the client out with
+// exponential backoff once it misses too often
+export async function recordLookupFailure(key) {
+  if (!hasPostgres()) {
+    const entry = memoryLimits.get(key);
+    if (!entry) return;
+
+    const now = Date.now();
+    entry.failures = entry.lastFailureAt && entry.lastFailureAt < now - FAILURE_MEMORY_MS ? 1 : entry.failures + 1;
+    entry.lastFailureAt = now;
+    if (entry.failures >= FAILURE_THRESHOLD) {
+      entry.lockedUntil = now + lockoutSeconds(entry.failures) * 1000;
+    }
+    return;
+  }
+
+  const result = await sql`
+    UPDATE rate_limits SET
+      failures = CASE
+        WHEN last_failure_at < NOW() - ${FAILURE_MEMORY}::interval THEN 1
+        ELSE failures + 1
+      END,
+      last_failure_at = NOW()
+    WHERE key = ${key}
+    RETURNING failures
+  `;
+
+  const failures = result.rows[0]?.failures || 0;
+  if (failures < FAILURE_THRESHOLD) return;
+
+  const lockSeconds = lockoutSeconds(failures);
+
+  await sql`
+    UPDATE rate_limits 
+    SET locked_until = NOW() + make_interval(secs => ${lockSeconds})
+    WHERE key = ${key}
+  `;
+
+  console.log(`🚫 Lookup lockout for ${lockSeconds}s after ${failures} misses`);
+}
+
+// Forget idle clients (called from the occasional letter cleanup)
+export async function cleanupRateLimits() {
+  if (!hasPostgres()) {
+    const dayAgo = Date.now() - 24 * 60 * 60 * 1000;
+    for (const [key, entry] of memoryLimits) {
+      if (key !== GLOBAL_KEY && entry.windowStartedAt < dayAgo && !(entry.lockedUntil > Date.now())) {
+        memoryLimits.delete(key);
+      }
+    }
+    return;
+  }
+
+  await sql`
+    DELETE FROM rate_limits 
+    WHERE window_started_at < NOW() - INTERVAL '1 day'
+    AND (locked_until IS NULL OR locked_until < NOW())
+    AND key <> ${GLOBAL_KEY}
+  `;
+}
@@ -0,0 +1,33 @@
+// api/_lib/reads.js - Counting a reading whenever a letter's words are shown.
+// The letter view, the conversation view and printable copies all go through
+// here, so none of them can show a letter without it counting as read: read
+// receipts go out, status stays right, and edits stop after the first reading.
+import { sendReadReceipt } from './notifications.js';
+
+// Self-destructing letters have already claimed their read through
+// store.incrementRead before their words go out; pass { counted: true } for them
+export async function recordRead(store, letter, appUrl, { counted = false } = {}) {
+  if (!counted) {
+    // Increment read count (non-blocking)
+    store.incrementRead(letter.id)
+      .catch(e => console.log('Read count update failed (non-critical):', e.message));
+  }
+
+  // Read receipt: only the request that claims the first open sends it
+  if (!letter.first_read_at) {
+    try {
+      const receipt = await store.claimFirstRead(letter.id);
+      if (receipt && (receipt.read_receipt_email || receipt.read_receipt_webhook)) {
+        // Sent before responding: serverless functions can freeze once the
+        // response is out, and the claim above means nobody would retry it.
+        // Failed deliveries are logged there, never thrown at the reader
+        await sendReadReceipt(receipt, appUrl);
+      }
+    } catch (e) {
+      console.log('First read update failed (non-critical):', e.message);
+    }
+  }
+
+  store.incrementStat('total_reads')
+    .catch(e => console.log('Stats update failed (non-critical):', e.message));
+}
@@ -0,0 +1,76 @@
+// api/_lib/storage.js - Where attachment files live, with pluggable drivers
+//
+// ATTACHMENT_STORAGE picks the driver: "blob" (Vercel Blob, needs
+// BLOB_READ_WRITE_TOKEN) or "local" (files under ATTACHMENT_DIR, default
+// ./.uploads - for development only, serverless disks don't persist). Without
+// it, Blob is used when its token is set and local disk otherwise.
+import { mkdir, readFile, unlink, writeFile } from 'fs/promises';
+import path from 'path';
+
+const localDir = () => process.env.ATTACHMENT_DIR || path.join(process.cwd(), '.uploads');
+
+const drivers = {
+  local: {
+    async save(name, buffer) {
+      await mkdir(localDir(), { recursive: true });
+      await writeFile(path.join(localDir(), name), buffer);
+      return name;
+    },
+
+    async read(key) {
+      return readFile(path.join(localDir(), path.basename(key)));
+    },
+
+    async remove(key) {
+      await unlink(path.join(localDir(), path.basename(key))).catch(error => {
+        if (error.code !== 'ENOENT') throw error;
+      });
+    }
+  },
+
+  blob: {
+    async save(name, buffer, contentType) {
+      const { put } = await import('@vercel/blob');
+      const blob = await put(`attachments/${name}`, buffer, {
+        access: 'public',
+        contentType,
+        addRandomSuffix: false
+      });
+      return blob.url;
+    },
+
+    async read(key) {
+      const response = await fetch(key);
+      if (!response.ok) throw new Error(`Blob fetch failed with ${response.status}`);
+      return Buffer.from(await response.arrayBuffer());
+    },
+
+    async remove(key) {
+      const { del } = await import('@vercel/blob');
+      await del(key);
+    }
+  }
+};
+
+// Add or replace a driver, e.g. for S3
+export function registerStorageDriver(name, driver) {
+  drivers[name] = driver;
+}
+
+function currentDriver() {
+  const name = process.env.ATTACHMENT_STORAGE || (process.env.BLOB_READ_WRITE_TOKEN ? 'blob' : 'local');
+  const driver = drivers[name];
+
+  if (!driver) {
+    throw new Error(`Unknown attachment storage: ${name}`);
+  }
+
+  return driver;
+}
+
+// Store a file; returns the key to keep in the database
+export const saveFile = (name, buffer, contentType) => currentDriver().save(name, buffer, contentType);
+
+export const readStoredFile = (key) => currentDriver().read(key);
+
+export const removeFile = (key) => currentDriver().remove(key);
@@ -0,0 +1,188 @@
+// api/attachments.js - Upload photos for a letter and serve them to its readers
+import { sql } from '@vercel/postgres';
+import { MAX_ATTACHMENT_BYTES } from '../src/utils/letterOptions.js';
+import {
+  BURNED_ATTACHMENT_GRACE,
+  attachmentUrl,
+  createAttachmentToken,
+  isAttachmentToken,
+  processImage
+} from './_lib/attachments.js';
+import { lettersInPostgres } from './_lib/letterStore.js';
+import { readStoredFile, removeFile, saveFile } from './_lib/storage.js';
+import { checkLookupLimit, clientKey } from './_lib/rateLimit.js';
+
+// Collect the raw request body, giving up as soon as it passes the limit
+function readRawBody(req, limit) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > limit) {
+        req.destroy();
+        resolve(null);
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Photos hang off Postgres letter ids, so other stores can't carry them
+  if (!lettersInPostgres()) {
+    return res.status(503).json({ 
+      error: 'Photo attachments need the Postgres letter store. Set POSTGRES_URL and leave LETTER_STORE unset or "postgres".' 
+    });
+  }
+
+  try {
+    if (req.method === 'POST') {
+      // Upload one image as the raw request body
+      const limit = await checkLookupLimit('upload:' + clientKey(req));
+      if (!limit.allowed) {
+        res.setHeader('Retry-After', String(limit.retryAfter));
+        return res.status(429).json({ 
+          error: 'Too many uploads. Please wait a moment and try again.',
+          retryAfter: limit.retryAfter
+        });
+      }
+
+      const declared = Number(req.headers['content-length']);
+      if (declared > MAX_ATTACHMENT_BYTES) {
+        return res.status(413).json({ 
+          error: `Images must be ${MAX_ATTACHMENT_BYTES / 1024 / 1024} MB or smaller` 
+        });
+      }
+
+      const body = await readRawBody(req, MAX_ATTACHMENT_BYTES);
+      if (!body) {
+        return res.status(413).json({ 
+          error: `Images must be ${MAX_ATTACHMENT_BYTES / 1024 / 1024} MB or smaller` 
+        });
+      }
+
+      if (body.length === 0) {
+        return res.status(400).json({ 
+          error: 'No image received' 
+        });
+      }
+
+      // The declared type is ignored; sharp sniffs the real format
+      const processed = await processImage(body);
+      if (processed.error) {
+        return res.status(415).json({ 
+          error: processed.error 
+        });
+      }
+
+      const image = processed.value;
+      const token = createAttachmentToken();
+      const storageKey = await saveFile(`${token}.${image.extension}`, image.buffer, image.contentType);
+
+      await sql`
+        INSERT INTO attachments (token, storage_key, content_type, byte_size, width, height)
+        VALUES (${token}, ${storageKey}, ${image.contentType}, ${image.buffer.length}, ${image.width}, ${image.height})
+      `;
+
+      console.log(`🖼️ Attachment uploaded: ${token} (${image.buffer.length} bytes)`);
+
+      return res.status(201).json({
+        success: true,
+        attachment: {
+          id: token,
+          url: attachmentUrl(token),
+          contentType: image.contentType,
+          width: image.width,
+          height: image.height
+        }
+      });
+    }
+
+    const token = req.query.id;
+    if (!isAttachmentToken(token)) {
+      return res.status(400).json({ 
+        error: 'Valid attachment id is required' 
+      });
+    }
+
+    if (req.method === 'GET') {
+      // Only photos of a letter that can currently be read are served
+      const result = await sql`
+        SELECT a.storage_key, a.content_type FROM attachments a
+        JOIN letters l ON l.id = a.letter_id
+        WHERE a.token = ${token}
+        AND l.expires_at > NOW()
+        AND (l.deliver_at IS NULL OR l.deliver_at <= NOW())
+        AND (l.burned_at IS NULL OR l.burned_at > NOW() - ${BURNED_ATTACHMENT_GRACE}::interval)
+        LIMIT 1
+      `;
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({ 
+          error: 'Attachment not found' 
+        });
+      }
+
+      const file = await readStoredFile(result.rows[0].storage_key);
+
+      res.setHeader('Content-Type', result.rows[0].content_type);
+      res.setHeader('Cache-Control', 'private, max-age=3600');
+      res.setHeader('X-Content-Type-Options', 'nosniff');
+      return res.status(200).send(file);
+
+    } else if (req.method === 'DELETE') {
+      // Take back an upload before the letter is sent
+      const result = await sql`
+        DELETE FROM attachments
+        WHERE token = ${token} AND letter_id IS NULL
+        RETURNING storage_key
+      `;
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({ 
+          error: 'Attachment not found or already sent' 
+        });
+      }
+
+      await removeFile(result.rows[0].storage_key);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Attachment removed'
+      });
+
+    } else {
+      return res.status(405).json({ 
+        error: 'Method not allowed' 
+      });
+    }
+
+  } catch (error) {
+    console.error('❌ Attachments API Error:', error);
+
+    if (error.code === '42P01') { // Table doesn't exist
+      return res.status(500).json({ 
+        error: 'Database tables not found. Please run database setup first.',
+        setup_url: '/api/setup'
+      });
+    }
+
+    return res.status(500).json({ 
+      error: 'Internal server error. Please try again.' 
+    });
+  }
+}
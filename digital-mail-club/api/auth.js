@@ -0,0 +1,148 @@
+// api/auth.js - Sign up, sign in, sign out and "who am I"
+import { sql } from '@vercel/postgres';
+import {
+  endSession,
+  getSessionUser,
+  hashPassword,
+  startSession,
+  verifyPassword
+} from './_lib/auth.js';
+import { checkLookupLimit, clientKey, recordLookupFailure } from './_lib/rateLimit.js';
+import { isValidEmail } from './_lib/mailer.js';
+
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  const toUser = (user) => ({
+    id: user.id,
+    email: user.email,
+    displayName: user.display_name
+  });
+
+  try {
+    if (req.method === 'GET') {
+      // Current session, if any
+      const user = await getSessionUser(req);
+      return res.status(200).json({
+        success: true,
+        user: user ? toUser(user) : null
+      });
+
+    } else if (req.method === 'POST') {
+      const { action, email, password, displayName } = req.body || {};
+      const cleanEmail = (email || '').trim().toLowerCase();
+
+      // Every attempt runs scrypt, so sign-ups and sign-ins share the lookup
+      // limiter, and failed sign-ins count towards its lockout
+      const limiterKey = clientKey(req);
+      const limit = await checkLookupLimit(limiterKey);
+      if (!limit.allowed) {
+        res.setHeader('Retry-After', String(limit.retryAfter));
+        return res.status(429).json({ 
+          error: 'Too many attempts. Please wait before trying again.',
+          locked: true,
+          retryAfter: limit.retryAfter
+        });
+      }
+
+      if (!isValidEmail(cleanEmail)) {
+        return res.status(400).json({ 
+          error: 'Please enter a valid email address' 
+        });
+      }
+
+      if (typeof password !== 'string' || password.length < 8 || password.length > 200) {
+        return res.status(400).json({ 
+          error: 'Password must be between 8 and 200 characters' 
+        });
+      }
+
+      if (action === 'register') {
+        const cleanName = (displayName || '').trim().substring(0, 100) || cleanEmail.split('@')[0];
+
+        const result = await sql`
+          INSERT INTO users (email, display_name, password_hash)
+          VALUES (${cleanEmail}, ${cleanName}, ${await hashPassword(password)})
+          RETURNING id, email, display_name
+        `;
+
+        const user = result.rows[0];
+        await startSession(req, res, user.id);
+
+        console.log(`👋 New member registered (ID: ${user.id})`);
+
+        return res.status(201).json({
+          success: true,
+          user: toUser(user)
+        });
+
+      } else if (action === 'login') {
+        const result = await sql`
+          SELECT id, email, display_name, password_hash FROM users
+          WHERE email = ${cleanEmail}
+          LIMIT 1
+        `;
+
+        // Unknown emails are checked too, so the response time doesn't tell
+        // which addresses have accounts
+        const user = result.rows[0];
+        if (!(await verifyPassword(password, user?.password_hash))) {
+          await recordLookupFailure(limiterKey);
+          return res.status(401).json({ 
+            error: 'Email or password is incorrect' 
+          });
+        }
+
+        await startSession(req, res, user.id);
+
+        return res.status(200).json({
+          success: true,
+          user: toUser(user)
+        });
+      }
+
+      return res.status(400).json({ 
+        error: 'Unknown action - expected "register" or "login"' 
+      });
+
+    } else if (req.method === 'DELETE') {
+      // Sign out
+      await endSession(req, res);
+      return res.status(200).json({ 
+        success: true 
+      });
+
+    } else {
+      return res.status(405).json({ 
+        error: 'Method not allowed' 
+      });
+    }
+
+  } catch (error) {
+    console.error('❌ Auth API Error:', error);
+
+    if (error.code === '23505') { // Unique violation on email
+      return res.status(409).json({ 
+        error: 'An account with that email already exists' 
+      });
+    }
+
+    if (error.code === '42P01') { // Table doesn't exist
+      return res.status(500).json({ 
+        error: 'Database tables not found. Please run database setup first.',
+        setup_url: '/api/setup'
+      });
+    }
+
+    return res.status(500).json({ 
+      error: 'Internal server error. Please try again.' 
+    });
+  }
+}
@@ -0,0 +1,39 @@
+// api/deliveries.js - Cron job that emails recipients once scheduled letters unlock
+import { appUrlFrom, deliverDueNotifications } from './_lib/notifications.js';
+import { hasBearerSecret } from './_lib/auth.js';
+import { lettersInPostgres } from './_lib/letterStore.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // Vercel Cron sends "Authorization: Bearer $CRON_SECRET"
+  if (!hasBearerSecret(req, process.env.CRON_SECRET)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  // Scheduled letters are looked up in the letters table
+  if (!lettersInPostgres()) {
+    return res.status(503).json({
+      error: 'Scheduled delivery emails need the Postgres letter store. Set POSTGRES_URL and leave LETTER_STORE unset or "postgres".'
+    });
+  }
+
+  try {
+    const result = await deliverDueNotifications(appUrlFrom(req));
+
+    if (result.delivered > 0) {
+      console.log(`📬 Sent ${result.delivered} delivery notifications`);
+    }
+
+    return res.status(200).json({
+      success: true,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Deliveries API error:', error);
+    return res.status(500).json({ error: 'Failed to send delivery notifications' });
+  }
+}
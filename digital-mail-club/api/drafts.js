@@ -0,0 +1,243 @@
+// api/drafts.js - Unsent letters saved on the server so writing can continue on another device
+import { sql } from '@vercel/postgres';
+import { generateLetterCode, isValidCode, normalizeCode } from '../src/utils/letterCodes.js';
+import { parseStyle } from '../src/utils/stationery.js';
+import { MAX_STAMPS, parseStamps } from '../src/utils/stamps.js';
+import { hashManageToken, readManageToken } from './_lib/manageToken.js';
+import { getSessionUser } from './_lib/auth.js';
+import { lettersInPostgres } from './_lib/letterStore.js';
+import { checkLookupLimit, clientKey, recordLookupFailure } from './_lib/rateLimit.js';
+
+// Drafts are kept for a month after they were last saved
+const DRAFT_LIFETIME = '30 days';
+
+// A draft is a 'draft' row in the letters table with no letter code; it is
+// found only through the hash of its private resume code
+function draftResponse(row) {
+  return {
+    subject: row.subject,
+    content: row.content,
+    senderName: row.sender_name,
+    style: row.style || null,
+    stamps: row.stamps || [],
+    replyTo: row.parent_code || null,
+    createdAt: row.created_at,
+    updatedAt: row.edited_at || row.created_at,
+    expiresAt: row.expires_at
+  };
+}
+
+// Drafts may be half-written, so empty text is fine; returns { value } or { error }
+function parseDraft(body) {
+  const { subject = '', content = '', senderName = '', style, stamps, replyTo } = body || {};
+
+  if (typeof subject !== 'string' || typeof content !== 'string' || typeof senderName !== 'string') {
+    return { error: 'Draft subject, content and name must be text' };
+  }
+
+  if (subject.length > 200) {
+    return { error: 'Subject must be 200 characters or less' };
+  }
+
+  if (content.length > 5000) {
+    return { error: 'Content must be 5000 characters or less' };
+  }
+
+  const draftStyle = style ? parseStyle(style) : null;
+  if (style && !draftStyle) {
+    return { error: 'Unknown paper, font, ink or decorations' };
+  }
+
+  const draftStamps = stamps ? parseStamps(stamps) : null;
+  if (stamps && !draftStamps) {
+    return { error: `Up to ${MAX_STAMPS} stamps from the stamp sheet, placed on the envelope` };
+  }
+
+  const parentCode = replyTo ? normalizeCode(replyTo) : null;
+  if (parentCode && !isValidCode(parentCode)) {
+    return { error: 'Invalid code for the letter being replied to' };
+  }
+
+  return {
+    value: {
+      subject,
+      content,
+      senderName: senderName.substring(0, 100),
+      style: draftStyle ? JSON.stringify(draftStyle) : null,
+      stamps: draftStamps && draftStamps.length > 0 ? JSON.stringify(draftStamps) : null,
+      parentCode
+    }
+  };
+}
+
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Drafts are rows in the Postgres letters table
+  if (!lettersInPostgres()) {
+    return res.status(503).json({ 
+      error: 'Server drafts need the Postgres letter store. Set POSTGRES_URL and leave LETTER_STORE unset or "postgres".' 
+    });
+  }
+
+  try {
+    if (req.method === 'POST') {
+      // Save a new draft and hand back the code that resumes it
+      const parsed = parseDraft(req.body);
+      if (parsed.error) {
+        return res.status(400).json({ 
+          error: parsed.error 
+        });
+      }
+
+      const draft = parsed.value;
+      const owner = await getSessionUser(req);
+      const resumeCode = generateLetterCode('long');
+
+      const result = await sql`
+        INSERT INTO letters (
+          status, code, subject, content, sender_name, style, stamps, parent_code,
+          sender_user_id, resume_code_hash, edited_at, expires_at
+        )
+        VALUES (
+          'draft', NULL, ${draft.subject}, ${draft.content}, ${draft.senderName},
+          ${draft.style}::jsonb, ${draft.stamps}::jsonb, ${draft.parentCode},
+          ${owner ? owner.id : null}, ${hashManageToken(resumeCode)}, NOW(),
+          NOW() + ${DRAFT_LIFETIME}::interval
+        )
+        RETURNING subject, content, sender_name, style, stamps, parent_code, created_at, edited_at, expires_at
+      `;
+
+      console.log('📝 Draft saved to the server');
+
+      return res.status(201).json({
+        success: true,
+        resumeCode,
+        draft: draftResponse(result.rows[0])
+      });
+    }
+
+    // Everything else addresses one draft by "Authorization: Bearer <resume code>"
+    const resumeCode = normalizeCode(readManageToken(req) || '');
+    if (!isValidCode(resumeCode)) {
+      return res.status(401).json({ 
+        error: 'Resume code is required' 
+      });
+    }
+
+    const resumeHash = hashManageToken(resumeCode);
+
+    if (req.method === 'GET') {
+      // Resume codes are as guessable as letter codes, so lookups share the throttle
+      const limiterKey = clientKey(req);
+      const limit = await checkLookupLimit(limiterKey);
+      if (!limit.allowed) {
+        res.setHeader('Retry-After', String(limit.retryAfter));
+        return res.status(429).json({ 
+          error: 'Too many attempts. Please wait before trying another code.',
+          locked: true,
+          retryAfter: limit.retryAfter
+        });
+      }
+
+      const result = await sql`
+        SELECT subject, content, sender_name, style, stamps, parent_code, created_at, edited_at, expires_at
+        FROM letters
+        WHERE resume_code_hash = ${resumeHash} AND status = 'draft' AND expires_at > NOW()
+        LIMIT 1
+      `;
+
+      if (result.rows.length === 0) {
+        await recordLookupFailure(limiterKey);
+        return res.status(404).json({ 
+          error: 'Draft not found. It may have been sent, discarded or expired.' 
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        draft: draftResponse(result.rows[0])
+      });
+
+    } else if (req.method === 'PUT') {
+      // Overwrite the draft with the latest text; saving keeps it alive
+      const parsed = parseDraft(req.body);
+      if (parsed.error) {
+        return res.status(400).json({ 
+          error: parsed.error 
+        });
+      }
+
+      const draft = parsed.value;
+      const result = await sql`
+        UPDATE letters SET
+          subject = ${draft.subject},
+          content = ${draft.content},
+          sender_name = ${draft.senderName},
+          style = ${draft.style}::jsonb,
+          stamps = ${draft.stamps}::jsonb,
+          parent_code = ${draft.parentCode},
+          edited_at = NOW(),
+          expires_at = NOW() + ${DRAFT_LIFETIME}::interval
+        WHERE resume_code_hash = ${resumeHash} AND status = 'draft' AND expires_at > NOW()
+        RETURNING subject, content, sender_name, style, stamps, parent_code, created_at, edited_at, expires_at
+      `;
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({ 
+          error: 'Draft not found. It may have been sent, discarded or expired.' 
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        draft: draftResponse(result.rows[0])
+      });
+
+    } else if (req.method === 'DELETE') {
+      // Discard the draft, or clear it away once the letter has been sent
+      const result = await sql`
+        DELETE FROM letters
+        WHERE resume_code_hash = ${resumeHash} AND status = 'draft'
+        RETURNING id
+      `;
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({ 
+          error: 'Draft not found' 
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: 'Draft discarded'
+      });
+
+    } else {
+      return res.status(405).json({ 
+        error: 'Method not allowed' 
+      });
+    }
+
+  } catch (error) {
+    console.error('❌ Drafts API Error:', error);
+
+    if (error.code === '42P01') { // Table doesn't exist
+      return res.status(500).json({ 
+        error: 'Database tables not found. Please run database setup first.',
+        setup_url: '/api/setup'
+      });
+    }
+
+    return res.status(500).json({ 
+      error: 'Internal server error. Please try again.' 
+    });
+  }
+}
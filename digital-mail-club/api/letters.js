@@ -1,68 +1,139 @@
 // api/letters.js - Optimized for Supabase
 import { sql } from '@vercel/postgres';
+import {
+  DEFAULT_EXPIRY,
+  MAX_ATTACHMENTS,
+  MAX_READS_LIMIT,
+  computeExpiresAt,
+  getExpiryOption
+} from '../src/utils/letterOptions.js';
+import {
+  CODE_STYLES,
+  DEFAULT_CODE_STYLE,
+  generateLetterCode,
+  isValidCode,
+  normalizeCode
+} from '../src/utils/letterCodes.js';
+import { parseStyle } from '../src/utils/stationery.js';
+import { MAX_STAMPS, parseStamps } from '../src/utils/stamps.js';
+import { createManageToken, hashManageToken, readManageToken } from './_lib/manageToken.js';
+import { cleanupSessions, getSessionUser } from './_lib/auth.js';
+import {
+  cleanupAttachments,
+  isAttachmentToken,
+  linkAttachments,
+  listAttachments
+} from './_lib/attachments.js';
+import { isValidEmail } from './_lib/mailer.js';
+import { appUrlFrom, isValidWebhookUrl, notifyRecipient } from './_lib/notifications.js';
+import { recordRead } from './_lib/reads.js';
+import {
+  checkLookupLimit,
+  checkMailLimit,
+  cleanupRateLimits,
+  clientKey,
+  recordLookupFailure
+} from './_lib/rateLimit.js';
+import { getLetterStore, hasPostgres, lettersInPostgres } from './_lib/letterStore.js';
+
+// Scheduled letters can be held back for at most a year
+const MAX_DELIVERY_DELAY_MS = 365 * 24 * 60 * 60 * 1000;
+
+// Ciphertext of a 5000-character body is base64url and may hold multi-byte characters
+const MAX_ENCRYPTED_CONTENT_LENGTH = 27000;
+
+// Longest reply chain the thread view will walk
+const MAX_THREAD_DEPTH = 50;
+
+// Collisions are vanishingly rare with crypto-random codes; retry a few times anyway
+const MAX_CODE_ATTEMPTS = 5;
 
 export default async function handler(req, res) {
   // CORS headers for all responses
   res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PATCH, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
 
   // Handle preflight requests
   if (req.method === 'OPTIONS') {
     return res.status(200).end();
   }
 
-  // Generate random 6-character code
-  function generateCode() {
-    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
-    return Array.from({ length: 6 }, () => 
-      chars.charAt(Math.floor(Math.random() * chars.length))
-    ).join('');
+  function lockedOut(limit) {
+    res.setHeader('Retry-After', String(limit.retryAfter));
+    return res.status(429).json({ 
+      error: limit.reason === 'global'
+        ? 'The post office is very busy right now. Please try again shortly.'
+        : 'Too many attempts. Please wait before trying another code.',
+      locked: true,
+      retryAfter: limit.retryAfter
+    });
   }
 
-  // Ensure unique code by checking database
-  async function generateUniqueCode() {
-    let code;
-    let attempts = 0;
-    
-    do {
-      code = generateCode();
-      attempts++;
-      
-      try {
-        // Check if code already exists
-        const existing = await sql`
-          SELECT 1 FROM letters WHERE code = ${code} LIMIT 1
-        `;
-        
-        if (existing.rows.length === 0) break;
-      } catch (error) {
-        console.error('Error checking code uniqueness:', error);
-        throw new Error('Database error while generating code');
+  // Subject/content rules shared by POST and PATCH; returns an error message or null
+  function validateLetterText(subject, content, { encrypted = false } = {}) {
+    if (!subject?.trim() || !content?.trim()) {
+      return 'Subject and content are required';
+    }
+
+    if (subject.length > 200) {
+      return 'Subject must be 200 characters or less';
+    }
+
+    if (encrypted) {
+      if (!/^[A-Za-z0-9_-]+$/.test(content) || content.length > MAX_ENCRYPTED_CONTENT_LENGTH) {
+        return 'Encrypted content is malformed or too long';
       }
-    } while (attempts < 10);
-    
-    if (attempts >= 10) {
-      throw new Error('Unable to generate unique code after 10 attempts');
+    } else if (content.length > 5000) {
+      return 'Content must be 5000 characters or less';
     }
-    
-    return code;
+
+    return null;
+  }
+
+  // Public parameters for browser-side encryption; returns a clean copy or an error.
+  // Keys and passphrases never reach the server, so there is nothing secret to check.
+  function parseEncryption(encryption) {
+    const isBase64Url = (value, length) =>
+      typeof value === 'string' && value.length === length && /^[A-Za-z0-9_-]+$/.test(value);
+
+    if (typeof encryption !== 'object' || encryption.v !== 1 || !isBase64Url(encryption.iv, 16)) {
+      return { error: 'Unsupported encryption format' };
+    }
+
+    if (encryption.kdf === 'link') {
+      return { value: { v: 1, kdf: 'link', iv: encryption.iv } };
+    }
+
+    if (encryption.kdf === 'pbkdf2') {
+      const { salt, iterations } = encryption;
+      if (!isBase64Url(salt, 22) || !Number.isInteger(iterations) || iterations < 100000 || iterations > 5000000) {
+        return { error: 'Unsupported encryption parameters' };
+      }
+      return { value: { v: 1, kdf: 'pbkdf2', iv: encryption.iv, salt, iterations } };
+    }
+
+    return { error: 'Unsupported encryption format' };
   }
 
   // Clean up expired letters (run occasionally)
-  async function cleanupExpiredLetters() {
+  async function cleanupExpiredLetters(store) {
     try {
       // Only cleanup 1% of the time to avoid unnecessary database calls
       if (Math.random() > 0.01) return;
 
-      const result = await sql`
-        DELETE FROM letters 
-        WHERE expires_at < NOW()
-        AND created_at < NOW() - INTERVAL '1 day'
-      `;
+      const removed = await store.cleanup();
       
-      if (result.count > 0) {
-        console.log(`🧹 Cleaned up ${result.count} expired letters`);
+      if (removed > 0) {
+        console.log(`🧹 Cleaned up ${removed} expired letters`);
+      }
+
+      await cleanupRateLimits();
+      if (hasPostgres()) {
+        await cleanupSessions();
+      }
+      if (lettersInPostgres()) {
+        await cleanupAttachments();
       }
     } catch (error) {
       console.error('Cleanup error (non-critical):', error);
@@ -70,57 +141,283 @@ export default async function handler(req, res) {
   }
 
   try {
+    const store = await getLetterStore();
+
     // Periodic cleanup
-    await cleanupExpiredLetters();
+    await cleanupExpiredLetters(store);
 
     if (req.method === 'POST') {
       // Create new letter
-      const { subject, content, senderName } = req.body || {};
+      const {
+        subject,
+        content,
+        senderName,
+        deliverAt,
+        expiresIn = DEFAULT_EXPIRY,
+        maxReads,
+        codeStyle = DEFAULT_CODE_STYLE,
+        encryption,
+        replyTo,
+        recipientEmail,
+        readReceipt,
+        style,
+        stamps,
+        attachments = []
+      } = req.body || {};
+
+      // Optional end-to-end encryption of the body
+      let encryptionValue = null;
+      if (encryption) {
+        const parsed = parseEncryption(encryption);
+        if (parsed.error) {
+          return res.status(400).json({ error: parsed.error });
+        }
+        encryptionValue = parsed.value;
+      }
       
       // Validation
-      if (!subject?.trim() || !content?.trim()) {
+      const textError = validateLetterText(subject, content, { encrypted: !!encryptionValue });
+      if (textError) {
+        return res.status(400).json({ error: textError });
+      }
+
+      // Optional scheduled delivery
+      let deliveryDate = null;
+      if (deliverAt) {
+        deliveryDate = new Date(deliverAt);
+
+        if (Number.isNaN(deliveryDate.getTime())) {
+          return res.status(400).json({ 
+            error: 'Delivery date is not a valid date' 
+          });
+        }
+
+        if (deliveryDate.getTime() <= Date.now()) {
+          return res.status(400).json({ 
+            error: 'Delivery date must be in the future' 
+          });
+        }
+
+        if (deliveryDate.getTime() > Date.now() + MAX_DELIVERY_DELAY_MS) {
+          return res.status(400).json({ 
+            error: 'Delivery date must be within one year' 
+          });
+        }
+      }
+
+      const expiry = getExpiryOption(expiresIn);
+      if (!expiry) {
+        return res.status(400).json({ 
+          error: 'Unknown expiry option' 
+        });
+      }
+
+      // Optional "burn after reading"
+      const readLimit = maxReads === undefined || maxReads === null ? null : Number(maxReads);
+      if (readLimit !== null && (!Number.isInteger(readLimit) || readLimit < 1 || readLimit > MAX_READS_LIMIT)) {
+        return res.status(400).json({ 
+          error: `Read limit must be a whole number between 1 and ${MAX_READS_LIMIT}` 
+        });
+      }
+
+      if (!CODE_STYLES[codeStyle]) {
+        return res.status(400).json({ 
+          error: 'Unknown code style' 
+        });
+      }
+
+      // Stationery the letter was written on; omitted means the plain club paper
+      const letterStyle = style ? parseStyle(style) : null;
+      if (style && !letterStyle) {
+        return res.status(400).json({ 
+          error: 'Unknown paper, font, ink or decorations' 
+        });
+      }
+
+      // Stamps stuck on the envelope, positioned in percent of its size
+      const letterStamps = stamps ? parseStamps(stamps) : null;
+      if (stamps && !letterStamps) {
+        return res.status(400).json({ 
+          error: `Up to ${MAX_STAMPS} stamps from the stamp sheet, placed on the envelope` 
+        });
+      }
+
+      // Photos uploaded beforehand through /api/attachments; they aren't
+      // encrypted, so they can't ride along with an end-to-end encrypted letter
+      if (!Array.isArray(attachments) || attachments.length > MAX_ATTACHMENTS ||
+          !attachments.every(isAttachmentToken) || new Set(attachments).size !== attachments.length) {
+        return res.status(400).json({ 
+          error: `Up to ${MAX_ATTACHMENTS} uploaded photos can be attached` 
+        });
+      }
+
+      if (attachments.length > 0 && encryptionValue) {
+        return res.status(400).json({ 
+          error: 'Photos can\'t be attached to encrypted letters' 
+        });
+      }
+
+      // Uploads are linked to Postgres letter ids, so other stores can't take them
+      if (attachments.length > 0 && !lettersInPostgres()) {
+        return res.status(400).json({ 
+          error: 'Photo attachments need the Postgres letter store' 
+        });
+      }
+
+      if (attachments.length > 0) {
+        const uploaded = await sql`
+          SELECT COUNT(*) AS count FROM attachments
+          WHERE token = ANY(${attachments}) AND letter_id IS NULL
+        `;
+
+        if (parseInt(uploaded.rows[0].count) !== attachments.length) {
+          return res.status(400).json({ 
+            error: 'Some photos expired or were already sent - please upload them again' 
+          });
+        }
+      }
+
+      // Optional recipient to notify by email
+      const cleanRecipientEmail = recipientEmail ? String(recipientEmail).trim().toLowerCase() : null;
+      if (cleanRecipientEmail && !isValidEmail(cleanRecipientEmail)) {
         return res.status(400).json({ 
-          error: 'Subject and content are required' 
+          error: 'Recipient email is not a valid address' 
         });
       }
 
-      if (subject.length > 200) {
+      // Optional ping to the sender on first open: { email, webhookUrl }
+      const receiptEmail = readReceipt?.email ? String(readReceipt.email).trim().toLowerCase() : null;
+      const receiptWebhook = readReceipt?.webhookUrl ? String(readReceipt.webhookUrl).trim() : null;
+      if (receiptEmail && !isValidEmail(receiptEmail)) {
         return res.status(400).json({ 
-          error: 'Subject must be 200 characters or less' 
+          error: 'Read receipt email is not a valid address' 
         });
       }
 
-      if (content.length > 5000) {
+      if (receiptWebhook && !isValidWebhookUrl(receiptWebhook)) {
         return res.status(400).json({ 
-          error: 'Content must be 5000 characters or less' 
+          error: 'Read receipt webhook must be a public https URL' 
         });
       }
 
-      const code = await generateUniqueCode();
+      // Both addresses make the server send mail, so they're throttled per client
+      // and per address to keep the API from being used as a spam relay
+      for (const email of [cleanRecipientEmail, receiptEmail].filter(Boolean)) {
+        const mailLimit = await checkMailLimit(clientKey(req), email);
+        if (!mailLimit.allowed) {
+          res.setHeader('Retry-After', String(mailLimit.retryAfter));
+          return res.status(429).json({ 
+            error: mailLimit.reason === 'recipient'
+              ? 'That address has received a lot of letters recently. Please try again later.'
+              : 'Too many emails sent. Please wait before addressing more letters.',
+            retryAfter: mailLimit.retryAfter
+          });
+        }
+      }
+
+      // Replies join the parent's thread; the lookup is throttled like any other
+      // so it can't be used to test whether codes exist
+      let parentCode = null;
+      let threadId = null;
+      if (replyTo) {
+        parentCode = normalizeCode(replyTo);
+        if (!isValidCode(parentCode)) {
+          return res.status(400).json({ 
+            error: 'Invalid code for the letter being replied to' 
+          });
+        }
+
+        const limiterKey = clientKey(req);
+        const limit = await checkLookupLimit(limiterKey);
+        if (!limit.allowed) {
+          return lockedOut(limit);
+        }
+
+        const parent = await store.getByCode(parentCode);
+
+        if (!parent) {
+          await recordLookupFailure(limiterKey);
+          return res.status(400).json({ 
+            error: 'The letter you are replying to no longer exists' 
+          });
+        }
+
+        threadId = parent.thread_id || parent.code;
+      }
+
+      // Signed-in members get the letter filed in their "sent" folder, which
+      // holds Postgres letter ids
+      const sender = lettersInPostgres() ? await getSessionUser(req) : null;
+
+      const manageToken = createManageToken();
       const cleanSenderName = (senderName || 'Anonymous Friend').trim().substring(0, 100);
+      const deliverAtValue = deliveryDate ? deliveryDate.toISOString() : null;
+
+      // Expiry counts from delivery, not creation
+      const expiresAtValue = computeExpiresAt(expiry, deliveryDate ? deliveryDate.getTime() : Date.now());
+
+      // Store the letter, drawing a fresh code if the unique index rejects one
+      let code;
+      let letter;
+      for (let attempt = 1; !letter; attempt++) {
+        code = generateLetterCode(codeStyle);
+
+        try {
+          letter = await store.create({
+            code,
+            subject: subject.trim(),
+            content: content.trim(),
+            sender_name: cleanSenderName,
+            deliver_at: deliverAtValue,
+            expires_at: expiresAtValue,
+            max_reads: readLimit,
+            manage_token_hash: manageToken.hash,
+            encryption: encryptionValue,
+            parent_code: parentCode,
+            thread_id: threadId || code,
+            sender_user_id: sender ? sender.id : null,
+            recipient_email: cleanRecipientEmail,
+            read_receipt_email: receiptEmail,
+            read_receipt_webhook: receiptWebhook,
+            style: letterStyle,
+            stamps: letterStamps && letterStamps.length > 0 ? letterStamps : null
+          });
+        } catch (error) {
+          if (error.code !== '23505' || attempt >= MAX_CODE_ATTEMPTS) throw error;
+          console.log(`Code collision on ${code}, retrying...`);
+        }
+      }
 
-      // Insert letter into database
-      const result = await sql`
-        INSERT INTO letters (code, subject, content, sender_name, expires_at)
-        VALUES (
-          ${code}, 
-          ${subject.trim()}, 
-          ${content.trim()}, 
-          ${cleanSenderName},
-          NOW() + INTERVAL '30 days'
-        )
-        RETURNING id, code, created_at
-      `;
-
-      const letter = result.rows[0];
+      await linkAttachments(letter.id, attachments);
 
       // Update stats (non-blocking)
-      sql`
-        INSERT INTO stats (metric, value, updated_at) 
-        VALUES ('total_letters', 1, NOW())
-        ON CONFLICT (metric) 
-        DO UPDATE SET value = stats.value + 1, updated_at = NOW()
-      `.catch(e => console.log('Stats update failed (non-critical):', e.message));
+      store.incrementStat('total_letters')
+        .catch(e => console.log('Stats update failed (non-critical):', e.message));
+
+      if (sender) {
+        sql`
+          INSERT INTO mailbox_entries (user_id, letter_id, folder, read_at)
+          VALUES (${sender.id}, ${letter.id}, 'sent', NOW())
+          ON CONFLICT (user_id, letter_id, folder) DO NOTHING
+        `.catch(e => console.log('Sent folder update failed (non-critical):', e.message));
+      }
+
+      // Email the recipient now, or leave it to the deliveries cron for scheduled letters
+      let notified = false;
+      if (cleanRecipientEmail && !deliveryDate) {
+        try {
+          await notifyRecipient({
+            id: letter.id,
+            code,
+            sender_name: cleanSenderName,
+            recipient_email: cleanRecipientEmail,
+            encryption: encryptionValue
+          }, appUrlFrom(req));
+          notified = true;
+        } catch (e) {
+          console.log('Recipient notification failed (non-critical):', e.message);
+        }
+      }
 
       console.log(`✅ Letter stored with code: ${code} (ID: ${letter.id})`);
 
@@ -128,26 +425,32 @@ export default async function handler(req, res) {
         success: true,
         code: code,
         message: 'Letter sent successfully!',
-        id: letter.id
+        id: letter.id,
+        manageToken: manageToken.token,
+        deliverAt: letter.deliver_at,
+        expiresAt: letter.expires_at,
+        maxReads: letter.max_reads,
+        parentCode,
+        recipientEmail: cleanRecipientEmail,
+        notified,
+        readReceipt: !!(receiptEmail || receiptWebhook)
       });
 
     } else if (req.method === 'GET') {
-      const { code, stats } = req.query;
+      const { stats, manage, thread } = req.query;
+      const code = normalizeCode(req.query.code);
       
       // Return basic stats if requested
       if (stats === 'true') {
         try {
-          const [statsResult, countResult] = await Promise.all([
-            sql`SELECT metric, value FROM stats ORDER BY metric`,
-            sql`SELECT COUNT(*) as active FROM letters WHERE expires_at > NOW()`
-          ]);
+          const { metrics, activeLetters } = await store.stats();
           
           const statsData = {};
-          statsResult.rows.forEach(row => {
-            statsData[row.metric] = parseInt(row.value);
+          metrics.forEach(row => {
+            statsData[row.metric] = row.value;
           });
 
-          statsData.active_letters = parseInt(countResult.rows[0].active);
+          statsData.active_letters = activeLetters;
 
           return res.status(200).json({
             success: true,
@@ -168,43 +471,163 @@ export default async function handler(req, res) {
         });
       }
 
-      if (!/^[A-Z0-9]{6}$/.test(code.toUpperCase())) {
+      if (!isValidCode(code)) {
         return res.status(400).json({ 
-          error: 'Invalid code format - must be 6 alphanumeric characters' 
+          error: 'Invalid code format - expected a letter code like ABCD2345 or maple-otter-lantern-moss' 
+        });
+      }
+
+      // Sender view: full letter and status without counting a read
+      if (manage === 'true') {
+        const token = readManageToken(req);
+        if (!token) {
+          return res.status(401).json({ 
+            error: 'Manage token is required' 
+          });
+        }
+
+        const letter = await store.getByCode(code, { manageTokenHash: hashManageToken(token) });
+
+        if (!letter) {
+          return res.status(403).json({ 
+            error: 'Letter not found or manage token does not match' 
+          });
+        }
+
+        return res.status(200).json({
+          success: true,
+          letter: {
+            code: letter.code,
+            subject: letter.subject,
+            content: letter.content,
+            senderName: letter.sender_name,
+            dateCreated: letter.created_at,
+            readCount: letter.read_count,
+            firstReadAt: letter.first_read_at,
+            lastReadAt: letter.last_read_at,
+            expiresAt: letter.expires_at,
+            deliverAt: letter.deliver_at,
+            maxReads: letter.max_reads,
+            burnedAt: letter.burned_at,
+            editedAt: letter.edited_at,
+            encryption: letter.encryption,
+            style: letter.style
+          }
         });
       }
 
-      // Get letter from database
-      const result = await sql`
-        SELECT id, code, subject, content, sender_name, created_at, read_count, expires_at
-        FROM letters 
-        WHERE code = ${code.toUpperCase()} AND expires_at > NOW()
-        LIMIT 1
-      `;
+      // Throttle public lookups so codes can't be guessed by brute force
+      const limiterKey = clientKey(req);
+      const limit = await checkLookupLimit(limiterKey);
+
+      if (!limit.allowed) {
+        return lockedOut(limit);
+      }
+
+      // Conversation view: walk parent codes back to the first letter. Only
+      // ancestors are included - whoever holds a reply was part of those.
+      // Showing the opened letter counts as reading it; earlier letters only
+      // show their words once they've been read on their own
+      if (thread === 'true') {
+        const chain = await store.getThread(code, MAX_THREAD_DEPTH);
+
+        if (chain.length === 0) {
+          await recordLookupFailure(limiterKey);
+          return res.status(404).json({ 
+            error: 'Letter not found. It may have expired or never existed.' 
+          });
+        }
+
+        // Sealed, self-destructing and burned letters keep their words to themselves;
+        // reading them here would dodge their delivery date or read limit
+        const isHidden = (row) => row.sealed || !!row.max_reads || !!row.burned_at;
+        const opened = chain[chain.length - 1];
+
+        if (!isHidden(opened)) {
+          await recordRead(store, opened, appUrlFrom(req));
+        }
+
+        return res.status(200).json({
+          success: true,
+          letters: chain.map(row => {
+            const withheld = isHidden(row) || (row !== opened && row.read_count === 0);
+            return {
+              code: row.code,
+              parentCode: row.parent_code,
+              senderName: row.sender_name,
+              dateCreated: row.created_at,
+              subject: withheld ? null : row.subject,
+              content: withheld ? null : row.content,
+              encryption: withheld ? null : row.encryption,
+              style: row.style,
+              withheld
+            };
+          })
+        });
+      }
+
+      // Get letter from the store
+      const letter = await store.getByCode(code);
       
-      if (result.rows.length === 0) {
+      if (!letter) {
+        await recordLookupFailure(limiterKey);
         return res.status(404).json({ 
           error: 'Letter not found. It may have expired or never existed.' 
         });
       }
 
-      const letter = result.rows[0];
+      if (letter.burned_at) {
+        return res.status(410).json({ 
+          error: 'This letter self-destructed after its final reading.' 
+        });
+      }
 
-      // Increment read count (non-blocking)
-      const newReadCount = letter.read_count + 1;
-      
-      sql`
-        UPDATE letters 
-        SET read_count = ${newReadCount}, last_read_at = NOW()
-        WHERE id = ${letter.id}
-      `.catch(e => console.log('Read count update failed (non-critical):', e.message));
-
-      sql`
-        INSERT INTO stats (metric, value, updated_at) 
-        VALUES ('total_reads', 1, NOW())
-        ON CONFLICT (metric) 
-        DO UPDATE SET value = stats.value + 1, updated_at = NOW()
-      `.catch(e => console.log('Stats update failed (non-critical):', e.message));
+      // Scheduled letters stay sealed until their delivery date
+      if (letter.sealed) {
+        return res.status(200).json({
+          success: true,
+          letter: {
+            code: letter.code,
+            senderName: letter.sender_name,
+            dateCreated: letter.created_at,
+            deliverAt: letter.deliver_at,
+            stamps: letter.stamps,
+            sealed: true
+          }
+        });
+      }
+
+      // Edited letters carry their original wording for the "show changes" view
+      let original = null;
+      if (letter.edited_at) {
+        original = await store.getOriginal(letter.id);
+      }
+
+      const letterAttachments = await listAttachments(letter.id);
+
+      let newReadCount = letter.read_count + 1;
+      let finalRead = false;
+
+      if (letter.max_reads) {
+        // Limited letters claim their read atomically so two readers can't
+        // both get the last one; the store burns them on the final read
+        const claimed = await store.incrementRead(letter.id);
+
+        if (!claimed) {
+          return res.status(410).json({ 
+            error: 'This letter self-destructed after its final reading.' 
+          });
+        }
+
+        newReadCount = claimed.readCount;
+        finalRead = claimed.finalRead;
+
+        if (finalRead) {
+          console.log(`🔥 Letter burned after final read: ${code}`);
+        }
+      }
+
+      await recordRead(store, letter, appUrlFrom(req), { counted: !!letter.max_reads });
 
       console.log(`📖 Letter retrieved with code: ${code} (reads: ${newReadCount})`);
 
@@ -218,33 +641,109 @@ export default async function handler(req, res) {
           senderName: letter.sender_name,
           dateCreated: letter.created_at,
           readCount: newReadCount,
-          expiresAt: letter.expires_at
+          expiresAt: letter.expires_at,
+          deliverAt: letter.deliver_at,
+          maxReads: letter.max_reads,
+          readsRemaining: letter.max_reads ? Math.max(0, letter.max_reads - newReadCount) : null,
+          finalRead,
+          editedAt: letter.edited_at,
+          original,
+          encryption: letter.encryption,
+          style: letter.style,
+          stamps: letter.stamps,
+          attachments: letterAttachments,
+          parentCode: letter.parent_code,
+          threadId: letter.thread_id
         }
       });
 
+    } else if (req.method === 'PATCH') {
+      // Correct a letter before its first read - only the sender holds the manage token
+      const code = normalizeCode(req.query.code);
+      const { subject, content } = req.body || {};
+
+      if (!isValidCode(code)) {
+        return res.status(400).json({ 
+          error: 'Valid letter code is required' 
+        });
+      }
+
+      const token = readManageToken(req);
+      if (!token) {
+        return res.status(401).json({ 
+          error: 'Manage token is required to edit a letter' 
+        });
+      }
+
+      const textError = validateLetterText(subject, content);
+      if (textError) {
+        return res.status(400).json({ error: textError });
+      }
+
+      const existing = await store.getByCode(code, { manageTokenHash: hashManageToken(token) });
+
+      if (!existing || existing.expired) {
+        return res.status(403).json({ 
+          error: 'Letter not found or manage token does not match' 
+        });
+      }
+
+      if (existing.encryption) {
+        return res.status(409).json({ 
+          error: 'Encrypted letters cannot be edited after sending' 
+        });
+      }
+
+      if (existing.read_count > 0 || existing.burned_at) {
+        return res.status(409).json({ 
+          error: 'This letter has already been read and can no longer be edited' 
+        });
+      }
+
+      // The store keeps the current wording as a revision, and refuses if a read
+      // landed in between
+      const edited = await store.edit(existing.id, { subject: subject.trim(), content: content.trim() });
+
+      if (!edited) {
+        return res.status(409).json({ 
+          error: 'This letter has already been read and can no longer be edited' 
+        });
+      }
+
+      console.log(`✏️ Letter edited with code: ${code} (ID: ${edited.id})`);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Letter updated successfully',
+        editedAt: edited.edited_at
+      });
+
     } else if (req.method === 'DELETE') {
-      // Delete letter by code (optional feature)
-      const { code } = req.query;
+      // Delete letter by code - only the sender holds the manage token
+      const code = normalizeCode(req.query.code);
       
-      if (!code || !/^[A-Z0-9]{6}$/.test(code.toUpperCase())) {
+      if (!isValidCode(code)) {
         return res.status(400).json({ 
-          error: 'Valid 6-character code is required' 
+          error: 'Valid letter code is required' 
+        });
+      }
+
+      const token = readManageToken(req);
+      if (!token) {
+        return res.status(401).json({ 
+          error: 'Manage token is required to delete a letter' 
         });
       }
 
-      const result = await sql`
-        DELETE FROM letters 
-        WHERE code = ${code.toUpperCase()}
-        RETURNING id, subject
-      `;
+      const deleted = await store.delete(code, hashManageToken(token));
       
-      if (result.rows.length === 0) {
-        return res.status(404).json({ 
-          error: 'Letter not found' 
+      if (!deleted) {
+        return res.status(403).json({ 
+          error: 'Letter not found or manage token does not match' 
         });
       }
 
-      console.log(`🗑️ Letter deleted with code: ${code} (ID: ${result.rows[0].id})`);
+      console.log(`🗑️ Letter deleted with code: ${code} (ID: ${deleted.id})`);
 
       return res.status(200).json({
         success: true,
@@ -280,12 +779,6 @@ export default async function handler(req, res) {
       });
     }
 
-    if (error.message?.includes('Unable to generate unique code')) {
-      return res.status(500).json({ 
-        error: 'System is busy generating codes, please try again' 
-      });
-    }
-    
     return res.status(500).json({ 
       error: 'Internal server error. Please try again.',
       code: error.code || 'UNKNOWN',
@@ -0,0 +1,138 @@
+// api/letters/render.js - Printable PNG, PDF or SVG of a letter, for scrapbooks and headless use
+import { isValidCode, normalizeCode } from '../../src/utils/letterCodes.js';
+import { imageToPdf, renderLetterSvg } from '../../src/utils/letterRender.js';
+import { checkLookupLimit, clientKey, recordLookupFailure } from '../_lib/rateLimit.js';
+import { getLetterStore } from '../_lib/letterStore.js';
+import { appUrlFrom } from '../_lib/notifications.js';
+import { recordRead } from '../_lib/reads.js';
+
+const FORMATS = {
+  png: 'image/png',
+  pdf: 'application/pdf',
+  svg: 'image/svg+xml'
+};
+
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ 
+      error: 'Method not allowed' 
+    });
+  }
+
+  try {
+    const code = normalizeCode(req.query.code);
+    const format = req.query.format || 'png';
+
+    if (!isValidCode(code)) {
+      return res.status(400).json({ 
+        error: 'Valid letter code is required' 
+      });
+    }
+
+    if (!FORMATS[format]) {
+      return res.status(400).json({ 
+        error: 'Format must be png, pdf or svg' 
+      });
+    }
+
+    const limiterKey = clientKey(req);
+    const limit = await checkLookupLimit(limiterKey);
+    if (!limit.allowed) {
+      res.setHeader('Retry-After', String(limit.retryAfter));
+      return res.status(429).json({ 
+        error: 'Too many attempts. Please wait before trying another code.',
+        locked: true,
+        retryAfter: limit.retryAfter
+      });
+    }
+
+    const store = await getLetterStore();
+    const letter = await store.getByCode(code);
+
+    if (!letter) {
+      await recordLookupFailure(limiterKey);
+      return res.status(404).json({ 
+        error: 'Letter not found. It may have expired or never existed.' 
+      });
+    }
+
+    if (letter.burned_at) {
+      return res.status(410).json({ 
+        error: 'This letter self-destructed after its final reading.' 
+      });
+    }
+
+    if (letter.sealed) {
+      return res.status(403).json({ 
+        error: 'This letter is still sealed until its delivery date.' 
+      });
+    }
+
+    // Letters with a read limit spend their reads on the page where they're read;
+    // those and encrypted letters can only be saved by their reader
+    if (letter.max_reads) {
+      return res.status(403).json({ 
+        error: 'Self-destructing letters can only be saved from the page where they are read.' 
+      });
+    }
+
+    if (letter.encryption) {
+      return res.status(422).json({ 
+        error: 'Encrypted letters can only be saved from the page where they are decrypted.' 
+      });
+    }
+
+    // A printable copy shows the whole letter, so it counts as a reading
+    await recordRead(store, letter, appUrlFrom(req));
+
+    const { svg, width, height } = renderLetterSvg({
+      subject: letter.subject,
+      content: letter.content,
+      senderName: letter.sender_name,
+      dateCreated: letter.created_at,
+      style: letter.style,
+      stamps: letter.stamps
+    });
+
+    let body = Buffer.from(svg);
+    if (format !== 'svg') {
+      // sharp is a native module, so only this handler and uploads load it
+      const { default: sharp } = await import('sharp');
+      const image = sharp(body).flatten({ background: '#FFFFFF' });
+
+      body = format === 'png'
+        ? await image.png().toBuffer()
+        : Buffer.from(imageToPdf(await image.jpeg({ quality: 90 }).toBuffer(), width, height));
+    }
+
+    console.log(`🖨️ Letter rendered as ${format}: ${code}`);
+
+    res.setHeader('Content-Type', FORMATS[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="letter-${code}.${format}"`);
+    res.setHeader('Cache-Control', 'private, max-age=300');
+    return res.status(200).send(body);
+
+  } catch (error) {
+    console.error('❌ Render API Error:', error);
+
+    if (error.code === '42P01') { // Table doesn't exist
+      return res.status(500).json({ 
+        error: 'Database tables not found. Please run database setup first.',
+        setup_url: '/api/setup'
+      });
+    }
+
+    return res.status(500).json({ 
+      error: 'Internal server error. Please try again.' 
+    });
+  }
+}
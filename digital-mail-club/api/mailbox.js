@@ -0,0 +1,172 @@
+// api/mailbox.js - A signed-in member's saved and sent letters
+import { sql } from '@vercel/postgres';
+import { getSessionUser } from './_lib/auth.js';
+import { lettersInPostgres } from './_lib/letterStore.js';
+import { checkLookupLimit, clientKey, recordLookupFailure } from './_lib/rateLimit.js';
+import { isValidCode, normalizeCode } from '../src/utils/letterCodes.js';
+
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PATCH, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Mailbox entries point at Postgres letter ids
+  if (!lettersInPostgres()) {
+    return res.status(503).json({ 
+      error: 'Mailboxes need the Postgres letter store. Set POSTGRES_URL and leave LETTER_STORE unset or "postgres".' 
+    });
+  }
+
+  try {
+    const user = await getSessionUser(req);
+    if (!user) {
+      return res.status(401).json({ 
+        error: 'Please sign in to use your mailbox' 
+      });
+    }
+
+    if (req.method === 'GET') {
+      const result = await sql`
+        SELECT m.folder, m.created_at AS saved_at, m.read_at,
+               l.code, l.subject, l.sender_name, l.created_at, l.expires_at, l.deliver_at,
+               COALESCE(l.deliver_at > NOW(), false) AS sealed, l.burned_at, l.read_count, l.max_reads,
+               l.encryption IS NOT NULL AS encrypted
+        FROM mailbox_entries m
+        JOIN letters l ON l.id = m.letter_id
+        WHERE m.user_id = ${user.id} AND l.expires_at > NOW()
+        ORDER BY m.created_at DESC
+      `;
+
+      const toEntry = (row) => {
+        // Like the thread view: sealed, self-destructing and burned letters keep
+        // their subject to themselves, so the mailbox can't dodge a read limit
+        const withheld = row.sealed || !!row.max_reads || !!row.burned_at;
+        return {
+          code: row.code,
+          subject: withheld ? null : row.subject,
+          senderName: row.sender_name,
+          dateCreated: row.created_at,
+          savedAt: row.saved_at,
+          readAt: row.read_at,
+          expiresAt: row.expires_at,
+          deliverAt: row.deliver_at,
+          sealed: row.sealed,
+          burned: !!row.burned_at,
+          encrypted: row.encrypted,
+          readCount: row.read_count,
+          maxReads: row.max_reads,
+          withheld
+        };
+      };
+
+      const received = result.rows.filter(row => row.folder === 'received').map(toEntry);
+      const sent = result.rows.filter(row => row.folder === 'sent').map(toEntry);
+
+      return res.status(200).json({
+        success: true,
+        received,
+        sent,
+        unread: received.filter(entry => !entry.readAt).length
+      });
+    }
+
+    const code = normalizeCode(req.query.code || req.body?.code);
+    if (!isValidCode(code)) {
+      return res.status(400).json({ 
+        error: 'Valid letter code is required' 
+      });
+    }
+
+    if (req.method === 'POST') {
+      // Save a letter into the mailbox; lookups are throttled like the letters API
+      const { read = false } = req.body || {};
+
+      const limiterKey = clientKey(req);
+      const limit = await checkLookupLimit(limiterKey);
+      if (!limit.allowed) {
+        res.setHeader('Retry-After', String(limit.retryAfter));
+        return res.status(429).json({ 
+          error: 'Too many attempts. Please wait before trying another code.',
+          locked: true,
+          retryAfter: limit.retryAfter
+        });
+      }
+
+      const letter = await sql`
+        SELECT id FROM letters WHERE code = ${code} AND expires_at > NOW() LIMIT 1
+      `;
+
+      if (letter.rows.length === 0) {
+        await recordLookupFailure(limiterKey);
+        return res.status(404).json({ 
+          error: 'Letter not found. It may have expired or never existed.' 
+        });
+      }
+
+      await sql`
+        INSERT INTO mailbox_entries (user_id, letter_id, folder, read_at)
+        VALUES (${user.id}, ${letter.rows[0].id}, 'received', ${read ? new Date().toISOString() : null})
+        ON CONFLICT (user_id, letter_id, folder) 
+        DO UPDATE SET read_at = COALESCE(mailbox_entries.read_at, EXCLUDED.read_at)
+      `;
+
+      return res.status(201).json({
+        success: true,
+        message: 'Letter saved to your mailbox'
+      });
+
+    } else if (req.method === 'PATCH') {
+      // Mark a received letter as read
+      await sql`
+        UPDATE mailbox_entries m
+        SET read_at = COALESCE(m.read_at, NOW())
+        FROM letters l
+        WHERE l.id = m.letter_id AND l.code = ${code}
+        AND m.user_id = ${user.id} AND m.folder = 'received'
+      `;
+
+      return res.status(200).json({ 
+        success: true 
+      });
+
+    } else if (req.method === 'DELETE') {
+      // Remove a letter from the mailbox (the letter itself stays)
+      const folder = req.query.folder === 'sent' ? 'sent' : 'received';
+
+      await sql`
+        DELETE FROM mailbox_entries m
+        USING letters l
+        WHERE l.id = m.letter_id AND l.code = ${code}
+        AND m.user_id = ${user.id} AND m.folder = ${folder}
+      `;
+
+      return res.status(200).json({ 
+        success: true 
+      });
+
+    } else {
+      return res.status(405).json({ 
+        error: 'Method not allowed' 
+      });
+    }
+
+  } catch (error) {
+    console.error('❌ Mailbox API Error:', error);
+
+    if (error.code === '42P01') { // Table doesn't exist
+      return res.status(500).json({ 
+        error: 'Database tables not found. Please run database setup first.',
+        setup_url: '/api/setup'
+      });
+    }
+
+    return res.status(500).json({ 
+      error: 'Internal server error. Please try again.' 
+    });
+  }
+}
@@ -0,0 +1,49 @@
+// api/setup.js - Bring the database schema up to date
+//
+//   GET  /api/setup   which migrations are applied and which are pending
+//   POST /api/setup   apply the pending ones
+//
+// Both need "Authorization: Bearer $SETUP_SECRET"; without SETUP_SECRET the
+// endpoint stays closed. Rollbacks are only offered by the CLI (npm run
+// migrate:rollback), never over HTTP.
+import { hasBearerSecret } from './_lib/auth.js';
+import { hasPostgres } from './_lib/letterStore.js';
+import { applyMigrations, migrationStatus, withDatabase } from './_lib/migrations.js';
+
+export default async function handler(req, res) {
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!hasBearerSecret(req, process.env.SETUP_SECRET)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  if (!hasPostgres()) {
+    return res.status(503).json({
+      error: 'No Postgres database configured. Set POSTGRES_URL to run migrations.'
+    });
+  }
+
+  try {
+    const result = await withDatabase(async (client) => {
+      const migrated = req.method === 'POST' ? await applyMigrations(client) : undefined;
+      return { migrated, ...(await migrationStatus(client)) };
+    });
+
+    return res.status(200).json({
+      success: true,
+      ...result,
+      upToDate: result.pending.length === 0
+    });
+
+  } catch (error) {
+    console.error('❌ Setup API Error:', error);
+    return res.status(500).json({
+      error: `Migration failed: ${error.message}`,
+      code: error.code || 'UNKNOWN'
+    });
+  }
+}
@@ -0,0 +1,129 @@
+// api/share.js - Link previews for /l/<code>: Open Graph and Twitter tags for chat
+// apps and social sites, then a hop into the app. Previews only ever name the
+// sender; subject and content stay inside the envelope.
+import { isValidCode, normalizeCode } from '../src/utils/letterCodes.js';
+import { escapeHtml } from '../src/utils/letterFormat.js';
+import { renderTeaserSvg } from '../src/utils/letterRender.js';
+import { appUrlFrom } from './_lib/notifications.js';
+import { checkLookupLimit, clientKey, recordLookupFailure } from './_lib/rateLimit.js';
+import { getLetterStore } from './_lib/letterStore.js';
+
+// Previews change rarely; let the CDN absorb crawlers hitting the same link.
+// Fallback pages aren't cached: the code may be a typo, a burned letter, or a
+// throttled lookup, and one visitor's miss mustn't become everyone's preview
+const CACHE_CONTROL = 'public, max-age=300, s-maxage=300';
+const NO_CACHE = 'no-store';
+
+// Sender and delivery date of a letter that can still be opened, or null
+async function findTeaser(req, code) {
+  if (!isValidCode(code)) return null;
+
+  const limiterKey = clientKey(req);
+  const limit = await checkLookupLimit(limiterKey);
+  if (!limit.allowed) return null;
+
+  const store = await getLetterStore();
+  const letter = await store.getByCode(code);
+
+  if (!letter || letter.burned_at) {
+    await recordLookupFailure(limiterKey);
+    return null;
+  }
+
+  return {
+    senderName: letter.sender_name || 'Anonymous Friend',
+    deliverAt: letter.sealed ? letter.deliver_at : null
+  };
+}
+
+function renderPage({ code, teaser, appUrl }) {
+  const viewUrl = `${appUrl}/letter/${code}`;
+  const title = teaser
+    ? `A letter from ${teaser.senderName} 💌`
+    : 'Digital Mail Club 💌';
+  const description = teaser
+    ? (teaser.deliverAt ? 'It stays sealed until its delivery day.' : 'Open it with your secret code.')
+    : 'Letters that travel across the world ✨';
+  const imageUrl = `${appUrl}/api/share?code=${code}&format=png`;
+
+  const meta = (attribute, name, content) =>
+    `<meta ${attribute}="${name}" content="${escapeHtml(content)}">`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="robots" content="noindex">
+  <title>${escapeHtml(title)}</title>
+  ${meta('name', 'description', description)}
+  ${meta('property', 'og:type', 'website')}
+  ${meta('property', 'og:site_name', 'Digital Mail Club')}
+  ${meta('property', 'og:title', title)}
+  ${meta('property', 'og:description', description)}
+  ${meta('property', 'og:url', `${appUrl}/l/${code}`)}
+  ${meta('property', 'og:image', imageUrl)}
+  ${meta('property', 'og:image:width', '1200')}
+  ${meta('property', 'og:image:height', '630')}
+  ${meta('property', 'og:image:alt', 'A sealed envelope')}
+  ${meta('name', 'twitter:card', 'summary_large_image')}
+  ${meta('name', 'twitter:title', title)}
+  ${meta('name', 'twitter:description', description)}
+  ${meta('name', 'twitter:image', imageUrl)}
+  <meta http-equiv="refresh" content="1;url=${escapeHtml(viewUrl)}">
+</head>
+<body>
+  <p><a href="${escapeHtml(viewUrl)}">Open your letter 💌</a></p>
+  <script>
+    // An encryption key rides along as #key=..., which never reaches the server
+    var key = location.hash.match(/^#key=([A-Za-z0-9_-]+)$/);
+    location.replace(${JSON.stringify(viewUrl).replace(/</g, '\\u003c')} + (key ? key[0] : ''));
+  </script>
+</body>
+</html>`;
+}
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    return res.status(405).json({ 
+      error: 'Method not allowed' 
+    });
+  }
+
+  const code = normalizeCode(req.query.code);
+
+  // Unknown codes still get a friendly page, so a typo lands in the app
+  let teaser = null;
+  try {
+    teaser = await findTeaser(req, code);
+  } catch (error) {
+    console.error('❌ Share API Error:', error);
+  }
+
+  const cacheControl = teaser ? CACHE_CONTROL : NO_CACHE;
+
+  if (req.query.format === 'png') {
+    try {
+      const { svg } = renderTeaserSvg(teaser || {});
+      // sharp is a native module, so only handlers that draw images load it
+      const { default: sharp } = await import('sharp');
+      const image = await sharp(Buffer.from(svg)).png().toBuffer();
+
+      res.setHeader('Content-Type', 'image/png');
+      res.setHeader('Cache-Control', cacheControl);
+      return res.status(200).send(image);
+    } catch (error) {
+      console.error('❌ Share image Error:', error);
+      res.setHeader('Cache-Control', NO_CACHE);
+      return res.status(500).json({ 
+        error: 'Internal server error. Please try again.' 
+      });
+    }
+  }
+
+  const safeCode = isValidCode(code) ? code : '';
+
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  res.setHeader('Cache-Control', cacheControl);
+  return res.status(200).send(renderPage({ code: safeCode, teaser, appUrl: appUrlFrom(req) }));
+}
@@ -1,5 +1,5 @@
 // api/stats.js - Get usage statistics
-import { sql } from '@vercel/postgres';
+import { getLetterStore } from './_lib/letterStore.js';
 
 export default async function handler(req, res) {
   // CORS headers
@@ -16,29 +16,11 @@ export default async function handler(req, res) {
   }
 
   try {
-    // Get basic stats
-    const statsResult = await sql`
-      SELECT metric, value, updated_at FROM stats
-    `;
-    
-    // Get recent activity
-    const recentResult = await sql`
-      SELECT 
-        COUNT(*) as letters_today,
-        COUNT(*) FILTER (WHERE created_at >= NOW() - INTERVAL '7 days') as letters_week
-      FROM letters
-      WHERE created_at >= NOW() - INTERVAL '7 days'
-    `;
-
-    // Get active letters count
-    const activeResult = await sql`
-      SELECT COUNT(*) as active_letters
-      FROM letters 
-      WHERE expires_at > NOW()
-    `;
+    const store = await getLetterStore();
+    const { metrics, activeLetters, lettersToday, lettersWeek } = await store.stats();
 
     const stats = {};
-    statsResult.rows.forEach(row => {
+    metrics.forEach(row => {
       stats[row.metric] = {
         value: row.value,
         updated: row.updated_at
@@ -49,8 +31,11 @@ export default async function handler(req, res) {
       success: true,
       stats: {
         ...stats,
-        active_letters: activeResult.rows[0].active_letters,
-        recent_activity: recentResult.rows[0]
+        active_letters: activeLetters,
+        recent_activity: {
+          letters_today: lettersToday,
+          letters_week: lettersWeek
+        }
       }
     });
 
@@ -58,4 +43,4 @@ export default async function handler(req, res) {
     console.error('Stats API error:', error);
     return res.status(500).json({ error: 'Failed to fetch statistics' });
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,125 @@
+// api/status.js - Delivery status and read receipts for a sender's letters
+import { sql } from '@vercel/postgres';
+import { getSessionUser } from './_lib/auth.js';
+import { lettersInPostgres } from './_lib/letterStore.js';
+import { hashManageToken } from './_lib/manageToken.js';
+import { isValidCode, normalizeCode } from '../src/utils/letterCodes.js';
+
+const MAX_TRACKED_LETTERS = 100;
+
+const statusOf = (row) => {
+  if (row.burned_at) return 'burned';
+  if (row.expired) return 'expired';
+  if (row.sealed) return 'scheduled';
+  return row.read_count > 0 ? 'read' : 'unread';
+};
+
+const toStatus = (row) => ({
+  code: row.code,
+  subject: row.burned_at ? null : row.subject,
+  senderName: row.sender_name,
+  dateCreated: row.created_at,
+  deliverAt: row.deliver_at,
+  expiresAt: row.expires_at,
+  status: statusOf(row),
+  isRead: row.read_count > 0,
+  readAt: row.first_read_at,
+  lastReadAt: row.last_read_at,
+  readCount: row.read_count,
+  maxReads: row.max_reads,
+  encrypted: row.encrypted,
+  recipientEmail: row.recipient_email,
+  notifiedAt: row.notified_at,
+  readReceipt: row.read_receipt
+});
+
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ 
+      error: 'Method not allowed' 
+    });
+  }
+
+  // Letters are matched to their senders in the Postgres letters table
+  if (!lettersInPostgres()) {
+    return res.status(503).json({ 
+      error: 'Letter tracking needs the Postgres letter store. Set POSTGRES_URL and leave LETTER_STORE unset or "postgres".' 
+    });
+  }
+
+  try {
+    // Anonymous senders prove ownership with the manage tokens they kept;
+    // signed-in members also see everything they sent while signed in
+    const { letters = [] } = req.body || {};
+    if (!Array.isArray(letters) || letters.length > MAX_TRACKED_LETTERS) {
+      return res.status(400).json({ 
+        error: `Send up to ${MAX_TRACKED_LETTERS} letters as [{ code, token }]` 
+      });
+    }
+
+    const tokens = {};
+    for (const entry of letters) {
+      const code = normalizeCode(entry?.code);
+      if (!isValidCode(code) || typeof entry.token !== 'string' || !entry.token) {
+        return res.status(400).json({ 
+          error: 'Each letter needs a valid code and its manage token' 
+        });
+      }
+      tokens[code] = hashManageToken(entry.token);
+    }
+
+    const user = await getSessionUser(req);
+    const codes = Object.keys(tokens);
+    const hashes = Object.values(tokens);
+
+    const result = await sql`
+      SELECT code, subject, sender_name, created_at, deliver_at, expires_at, read_count,
+             first_read_at, last_read_at, max_reads, burned_at, recipient_email, notified_at,
+             manage_token_hash, sender_user_id,
+             deliver_at > NOW() AS sealed,
+             expires_at <= NOW() AS expired,
+             encryption IS NOT NULL AS encrypted,
+             (read_receipt_email IS NOT NULL OR read_receipt_webhook IS NOT NULL) AS read_receipt
+      FROM letters
+      WHERE (code = ANY(${codes}) AND manage_token_hash = ANY(${hashes}))
+      OR (sender_user_id = ${user ? user.id : null} AND status = 'sent')
+      ORDER BY created_at DESC
+    `;
+
+    // A code only counts when it matches its own token
+    const owned = result.rows.filter(row =>
+      (user && row.sender_user_id === user.id) || tokens[row.code] === row.manage_token_hash
+    );
+    const found = new Set(owned.map(row => row.code));
+
+    return res.status(200).json({
+      success: true,
+      letters: owned.map(toStatus),
+      // Revoked or cleaned-up letters, so the client can forget them
+      missing: codes.filter(code => !found.has(code))
+    });
+
+  } catch (error) {
+    console.error('❌ Status API Error:', error);
+
+    if (error.code === '42P01') { // Table doesn't exist
+      return res.status(500).json({ 
+        error: 'Database tables not found. Please run database setup first.',
+        setup_url: '/api/setup'
+      });
+    }
+
+    return res.status(500).json({ 
+      error: 'Internal server error. Please try again.' 
+    });
+  }
+}
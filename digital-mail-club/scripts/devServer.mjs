@@ -0,0 +1,329 @@
+// scripts/devServer.mjs - Run the /api handlers locally alongside the React app
+//
+//   npm start              # the React dev server on :3000 (BROWSER=none keeps it quiet)
+//   npm run dev            # this server on :3001 - open http://localhost:3001
+//   npm run dev -- --seed  # the same, with sample letters to play with
+//
+// Requests to /api/* load the matching file under api/ and call its default
+// export with Vercel-style req/res helpers (req.query, req.body, res.status,
+// res.json, res.send). Rewrites from vercel.json, like /l/:code, apply first.
+// Everything else is proxied to REACT_DEV_SERVER_URL (default
+// http://localhost:3000), hot-reload websocket included, or served from build/
+// with --static. APP_URL is left alone: it is the address put in email links.
+//
+// Flags: --port <n> (or DEV_SERVER_PORT, default 3001), --static, --seed.
+// --seed adds the sample letters from scripts/seedLetters.mjs on start. Without
+// a database configured letters are kept in memory (see api/_lib/letterStore.js);
+// LETTER_STORE=sqlite keeps them between runs. Only those two stores are ever
+// seeded, so sample letters can't end up in a real database.
+//
+// This file is .mjs because package.json has no "type"; the handlers it loads
+// are ESM in .js files, which is why the npm scripts pass --disable-warning.
+import { existsSync, readFileSync } from 'fs';
+import { readFile, stat } from 'fs/promises';
+import http from 'http';
+import net from 'net';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { loadEnvFiles } from './env.mjs';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const API_DIR = path.join(ROOT, 'api');
+const BUILD_DIR = path.join(ROOT, 'build');
+
+// Vercel's request body limit
+const MAX_BODY_BYTES = 4.5 * 1024 * 1024;
+
+// Local, throwaway letter stores; sample letters never go to Postgres or Supabase
+const SEEDABLE_STORES = ['memory', 'sqlite'];
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.svg': 'image/svg+xml',
+  '.ico': 'image/x-icon',
+  '.txt': 'text/plain; charset=utf-8',
+  '.webmanifest': 'application/manifest+json',
+  '.map': 'application/json; charset=utf-8'
+};
+
+// vercel.json rewrites with :params, as [{ pattern, destination }]. The
+// catch-all to index.html is left to the React dev server or --static.
+function loadRewrites() {
+  const config = JSON.parse(readFileSync(path.join(ROOT, 'vercel.json'), 'utf8'));
+
+  return (config.rewrites || [])
+    .filter(rewrite => !rewrite.source.includes('('))
+    .map(({ source, destination }) => ({
+      pattern: new RegExp('^' + source.replace(/:(\w+)/g, '(?<$1>[^/]+)') + '$'),
+      destination
+    }));
+}
+
+function applyRewrites(rewrites, url) {
+  for (const { pattern, destination } of rewrites) {
+    const match = url.pathname.match(pattern);
+    if (!match) continue;
+
+    const target = new URL(
+      destination.replace(/:(\w+)/g, (_, name) => encodeURIComponent(match.groups[name])),
+      url
+    );
+    url.searchParams.forEach((value, key) => {
+      if (!target.searchParams.has(key)) target.searchParams.set(key, value);
+    });
+    return target;
+  }
+
+  return url;
+}
+
+// api/letters/render -> api/letters/render.js; helpers in _lib aren't routes
+function resolveHandler(pathname) {
+  const segments = pathname.replace(/^\/api\/?/, '').split('/').filter(Boolean);
+  if (segments.length === 0 || segments.some(segment => segment.startsWith('_') || segment.startsWith('.'))) {
+    return null;
+  }
+
+  const file = path.join(API_DIR, ...segments) + '.js';
+  return existsSync(file) ? file : null;
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error('Request body too large'), { statusCode: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+// Vercel parses JSON, form and text bodies; anything else (photo uploads) is
+// left on the stream for the handler to read
+async function parseBody(req) {
+  const type = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  const parsers = {
+    'application/json': (raw) => (raw ? JSON.parse(raw) : undefined),
+    'application/x-www-form-urlencoded': (raw) => Object.fromEntries(new URLSearchParams(raw)),
+    'text/plain': (raw) => raw
+  };
+
+  if (!parsers[type]) return undefined;
+
+  const raw = (await readBody(req)).toString('utf8');
+  try {
+    return parsers[type](raw);
+  } catch (error) {
+    throw Object.assign(new Error('Invalid JSON body'), { statusCode: 400 });
+  }
+}
+
+function withVercelHelpers(req, res, url) {
+  req.query = Object.fromEntries(url.searchParams);
+
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+
+  res.json = (body) => {
+    if (!res.getHeader('Content-Type')) {
+      res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    }
+    res.end(JSON.stringify(body));
+    return res;
+  };
+
+  res.send = (body) => {
+    if (body !== null && typeof body === 'object' && !Buffer.isBuffer(body)) {
+      return res.json(body);
+    }
+    if (!res.getHeader('Content-Type')) {
+      res.setHeader('Content-Type', Buffer.isBuffer(body) ? 'application/octet-stream' : 'text/html; charset=utf-8');
+    }
+    res.end(body);
+    return res;
+  };
+}
+
+async function handleApi(req, res, url) {
+  const file = resolveHandler(url.pathname);
+  if (!file) {
+    res.statusCode = 404;
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.end(JSON.stringify({ error: 'No API route at ' + url.pathname }));
+    return;
+  }
+
+  withVercelHelpers(req, res, url);
+
+  try {
+    const body = await parseBody(req);
+    if (body !== undefined) req.body = body;
+
+    const { default: handler } = await import(pathToFileURL(file).href);
+    await handler(req, res);
+  } catch (error) {
+    if (!error.statusCode) {
+      console.error(`❌ Dev server error in ${path.relative(ROOT, file)}:`, error);
+    }
+    if (!res.headersSent) {
+      res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Internal server error' });
+    } else {
+      res.end();
+    }
+  }
+}
+
+function proxyToApp(req, res, appUrl) {
+  const target = new URL(req.url, appUrl);
+  const upstream = http.request(target, {
+    method: req.method,
+    headers: { ...req.headers, host: target.host }
+  }, (appRes) => {
+    res.writeHead(appRes.statusCode, appRes.headers);
+    appRes.pipe(res);
+  });
+
+  upstream.on('error', () => {
+    if (res.headersSent) return res.end();
+    res.statusCode = 502;
+    res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+    res.end(`The React dev server isn't answering at ${appUrl}.\n` +
+      'Start it with `npm start`, or run `npm run build` and restart this server with --static.');
+  });
+
+  req.pipe(upstream);
+}
+
+// Hot reload talks over a websocket; pass the upgrade straight through
+function proxyUpgrade(req, socket, head, appUrl) {
+  const target = new URL(appUrl);
+  const upstream = net.connect(Number(target.port) || 80, target.hostname, () => {
+    const headers = Object.entries({ ...req.headers, host: target.host })
+      .map(([name, value]) => `${name}: ${value}`)
+      .join('\r\n');
+    upstream.write(`${req.method} ${req.url} HTTP/${req.httpVersion}\r\n${headers}\r\n\r\n`);
+    upstream.write(head);
+    upstream.pipe(socket);
+    socket.pipe(upstream);
+  });
+
+  upstream.on('error', () => socket.destroy());
+  socket.on('error', () => upstream.destroy());
+}
+
+// The production build, with index.html for every route the app handles itself
+async function serveStatic(req, res, url) {
+  const requested = path.normalize(path.join(BUILD_DIR, decodeURIComponent(url.pathname)));
+  const inBuild = requested.startsWith(BUILD_DIR + path.sep);
+
+  let file = path.join(BUILD_DIR, 'index.html');
+  if (inBuild && (await stat(requested).catch(() => null))?.isFile()) {
+    file = requested;
+  }
+
+  try {
+    const body = await readFile(file);
+    res.statusCode = 200;
+    res.setHeader('Content-Type', CONTENT_TYPES[path.extname(file)] || 'application/octet-stream');
+    res.end(body);
+  } catch (error) {
+    res.statusCode = 404;
+    res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+    res.end('No build found - run `npm run build` first.');
+  }
+}
+
+export async function startDevServer({
+  port = Number(process.env.DEV_SERVER_PORT) || 3001,
+  appUrl = process.env.REACT_DEV_SERVER_URL || 'http://localhost:3000',
+  serveBuild = false,
+  seed = false
+} = {}) {
+  const rewrites = loadRewrites();
+
+  let seeded = [];
+  if (seed) {
+    const { getLetterStore } = await import('../api/_lib/letterStore.js');
+    const { seedLetters } = await import('./seedLetters.mjs');
+    const store = await getLetterStore();
+
+    if (!SEEDABLE_STORES.includes(store.name)) {
+      throw new Error(`Refusing to seed the ${store.name} letter store - --seed only fills ${SEEDABLE_STORES.join(' and ')} stores`);
+    }
+
+    seeded = await seedLetters(store);
+  }
+
+  const server = http.createServer((req, res) => {
+    const url = applyRewrites(rewrites, new URL(req.url, `http://${req.headers.host || 'localhost'}`));
+
+    if (url.pathname === '/api' || url.pathname.startsWith('/api/')) {
+      handleApi(req, res, url);
+    } else if (serveBuild) {
+      serveStatic(req, res, url);
+    } else {
+      proxyToApp(req, res, appUrl);
+    }
+  });
+
+  if (!serveBuild) {
+    server.on('upgrade', (req, socket, head) => proxyUpgrade(req, socket, head, appUrl));
+  }
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, resolve);
+  });
+
+  const url = `http://localhost:${server.address().port}`;
+
+  return {
+    url,
+    server,
+    seeded,
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(() => resolve());
+    })
+  };
+}
+
+const runAsScript = process.argv[1] && import.meta.url === pathToFileURL(path.resolve(process.argv[1])).href;
+
+if (runAsScript) {
+  const args = process.argv.slice(2);
+  const portFlag = args.indexOf('--port');
+
+  loadEnvFiles();
+
+  const dev = await startDevServer({
+    port: portFlag >= 0 ? Number(args[portFlag + 1]) : undefined,
+    serveBuild: args.includes('--static'),
+    seed: args.includes('--seed')
+  });
+
+  console.log(`📮 Dev server running at ${dev.url}`);
+  console.log(args.includes('--static')
+    ? '   Serving the app from build/'
+    : `   Proxying the app from ${process.env.REACT_DEV_SERVER_URL || 'http://localhost:3000'}`);
+
+  dev.seeded.forEach(({ code, subject, manageToken, created }) => {
+    console.log(`🌱 ${created ? 'Seeded' : 'Kept'} ${code} - "${subject}" (manage token: ${manageToken})`);
+  });
+}
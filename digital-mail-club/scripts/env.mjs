@@ -0,0 +1,16 @@
+// scripts/env.mjs - Load the local env files the React dev server reads, for Node scripts
+import { existsSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+// Earlier files win; variables already set in the shell win over all of them
+export function loadEnvFiles() {
+  for (const file of ['.env.development.local', '.env.local', '.env']) {
+    const envPath = path.join(ROOT, file);
+    if (existsSync(envPath)) {
+      process.loadEnvFile(envPath);
+    }
+  }
+}
@@ -0,0 +1,64 @@
+// scripts/migrate.mjs - Apply or roll back database migrations from the command line
+//
+//   npm run migrate                   apply every pending migration
+//   npm run migrate:status            list applied and pending migrations
+//   npm run migrate:rollback [-- n]   undo the last n migrations (default 1)
+//
+// Needs POSTGRES_URL, from the shell or the local .env files. Migrations live
+// in sql/migrations; see api/_lib/migrations.js.
+import { loadEnvFiles } from './env.mjs';
+
+loadEnvFiles();
+
+const [command = 'up', stepsArg] = process.argv.slice(2);
+
+if (!process.env.POSTGRES_URL) {
+  console.error('❌ POSTGRES_URL is not set - nothing to migrate');
+  process.exit(1);
+}
+
+// Imported after the env files are loaded; @vercel/postgres reads POSTGRES_URL.
+// The API modules are ES modules in .js files, so the npm scripts silence
+// Node's warning about package.json having no "type"
+const { applyMigrations, migrationStatus, rollbackMigrations, withDatabase } =
+  await import('../api/_lib/migrations.js');
+
+const describe = ({ version, name }) => `${version}_${name}`;
+
+try {
+  await withDatabase(async (client) => {
+    if (command === 'up') {
+      const applied = await applyMigrations(client);
+      console.log(applied.length > 0
+        ? `✅ Applied ${applied.length} migration(s)`
+        : '✅ Database is already up to date');
+
+    } else if (command === 'down') {
+      const steps = stepsArg === undefined ? 1 : Number(stepsArg);
+      if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error('Rollback steps must be a whole number of at least 1');
+      }
+
+      const rolledBack = await rollbackMigrations(client, steps);
+      console.log(rolledBack.length > 0
+        ? `✅ Rolled back ${rolledBack.map(describe).join(', ')}`
+        : '✅ Nothing to roll back');
+
+    } else if (command === 'status') {
+      const { applied, pending } = await migrationStatus(client);
+      applied.forEach(migration => console.log(`  ✔ ${describe(migration)} (applied ${new Date(migration.appliedAt).toISOString()})`));
+      pending.forEach(migration => console.log(`  … ${describe(migration)} (pending)`));
+      console.log(pending.length === 0 ? '✅ Database is up to date' : `📋 ${pending.length} pending migration(s)`);
+
+    } else {
+      throw new Error(`Unknown command "${command}" - use up, down or status`);
+    }
+  });
+} catch (error) {
+  console.error('❌ Migration failed:', error.message);
+  process.exitCode = 1;
+} finally {
+  // Idle pooled connections would otherwise keep the process alive
+  const { db } = await import('@vercel/postgres');
+  await db.end();
+}
@@ -0,0 +1,80 @@
+// scripts/seedLetters.mjs - Sample letters for local development and end-to-end tests
+//
+// Codes and manage tokens are fixed so tests can open, edit and delete them.
+// Seeding is idempotent: letters whose code is already taken are left alone.
+import { DEFAULT_EXPIRY, computeExpiresAt, getExpiryOption } from '../src/utils/letterOptions.js';
+import { hashManageToken } from '../api/_lib/manageToken.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+export const SEED_LETTERS = [
+  {
+    code: 'DEARPAL2',
+    subject: 'Welcome to the Digital Mail Club',
+    content: 'Dear friend,\n\nThis letter was seeded by the dev server so there is always something in the mailbox. Write back with the reply button!\n\nWarmly,\nThe Post Office',
+    sender_name: 'The Post Office',
+    style: { paper: 'vintage', font: 'caveat', ink: '#3B3A39', decorations: ['✨', '🕊️'] }
+  },
+  {
+    code: 'REPLY222',
+    subject: 'Re: Welcome to the Digital Mail Club',
+    content: 'Thank you for the warm welcome! This reply shows up in the thread view.',
+    sender_name: 'A New Member',
+    parent_code: 'DEARPAL2',
+    thread_id: 'DEARPAL2',
+    style: { paper: 'nature', font: 'serif', ink: '#6C7A5C', decorations: [] }
+  },
+  {
+    code: 'BURNME22',
+    subject: 'This letter will self-destruct',
+    content: 'You can read this exactly once. Restart the dev server to get it back.',
+    sender_name: 'Agent Postman',
+    max_reads: 1,
+    style: { paper: 'telegram', font: 'special-elite', ink: '#DC143C', decorations: [] }
+  },
+  {
+    code: 'SEALED22',
+    subject: 'Not yet!',
+    content: 'Patience is a virtue. This letter stays sealed for a week after seeding.',
+    sender_name: 'Future You',
+    deliverInDays: 7
+  },
+  {
+    code: 'maple-otter-lantern-moss',
+    subject: 'A passphrase letter',
+    content: 'Some letters use easy-to-say passphrases instead of character codes.',
+    sender_name: 'The Post Office',
+    expiresIn: 'never'
+  }
+];
+
+// The manage token the sender of a seeded letter would hold
+export const seedManageToken = (code) => `dev-${code}`;
+
+// Add the sample letters to a LetterStore; returns [{ code, subject, manageToken, created }]
+export async function seedLetters(store) {
+  const seeded = [];
+
+  for (const { deliverInDays, expiresIn = DEFAULT_EXPIRY, ...seed } of SEED_LETTERS) {
+    const deliverAt = deliverInDays ? Date.now() + deliverInDays * DAY : null;
+    const expiry = getExpiryOption(expiresIn) || getExpiryOption(DEFAULT_EXPIRY);
+    const manageToken = seedManageToken(seed.code);
+
+    let created = true;
+    try {
+      await store.create({
+        ...seed,
+        deliver_at: deliverAt ? new Date(deliverAt).toISOString() : null,
+        expires_at: computeExpiresAt(expiry, deliverAt || Date.now()),
+        manage_token_hash: hashManageToken(manageToken)
+      });
+    } catch (error) {
+      if (error.code !== '23505') throw error;
+      created = false;
+    }
+
+    seeded.push({ code: seed.code, subject: seed.subject, manageToken, created });
+  }
+
+  return seeded;
+}
@@ -0,0 +1,2 @@
+-- irreversible: this is the baseline for databases upgraded from the old
+-- sql/schema.sql, so undoing it would drop tables and letters it never created.
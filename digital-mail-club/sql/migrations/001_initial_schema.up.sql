@@ -0,0 +1,145 @@
+-- Digital Mail Club Database Schema
+-- Baseline for databases set up by hand from the old sql/schema.sql: every
+-- statement is safe to run against one that already has some of these tables.
+
+-- Create users table for member accounts
+CREATE TABLE IF NOT EXISTS users (
+  id SERIAL PRIMARY KEY,
+  email VARCHAR(254) UNIQUE NOT NULL,
+  display_name VARCHAR(100),
+  password_hash TEXT NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create sessions table (only token hashes are stored)
+CREATE TABLE IF NOT EXISTS sessions (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  token_hash VARCHAR(64) UNIQUE NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+-- Create letters table
+CREATE TABLE IF NOT EXISTS letters (
+  id SERIAL PRIMARY KEY,
+  code VARCHAR(64) UNIQUE,
+  subject VARCHAR(200) NOT NULL,
+  content TEXT NOT NULL,
+  sender_name VARCHAR(100) DEFAULT 'Anonymous Friend',
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  expires_at TIMESTAMP WITH TIME ZONE DEFAULT NOW() + INTERVAL '30 days',
+  read_count INTEGER DEFAULT 0,
+  last_read_at TIMESTAMP WITH TIME ZONE,
+  deliver_at TIMESTAMP WITH TIME ZONE,
+  max_reads INTEGER,
+  burned_at TIMESTAMP WITH TIME ZONE,
+  manage_token_hash VARCHAR(64),
+  edited_at TIMESTAMP WITH TIME ZONE,
+  encryption JSONB,
+  parent_code VARCHAR(64),
+  thread_id VARCHAR(64),
+  sender_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  recipient_email VARCHAR(254),
+  notified_at TIMESTAMP WITH TIME ZONE,
+  first_read_at TIMESTAMP WITH TIME ZONE,
+  read_receipt_email VARCHAR(254),
+  read_receipt_webhook TEXT,
+  style JSONB,
+  stamps JSONB,
+  status VARCHAR(10) NOT NULL DEFAULT 'sent' CHECK (status IN ('sent', 'draft')),
+  resume_code_hash VARCHAR(64) UNIQUE,
+  -- Drafts have no letter code until they are sent
+  CHECK (status = 'draft' OR code IS NOT NULL)
+);
+
+-- Upgrade existing databases
+ALTER TABLE letters ALTER COLUMN code TYPE VARCHAR(64);
+ALTER TABLE letters ADD COLUMN IF NOT EXISTS deliver_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE letters ADD COLUMN IF NOT EXISTS max_reads INTEGER;
+ALTER TABLE letters ADD COLUMN IF NOT EXISTS burned_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE letters ADD COLUMN IF NOT EXISTS manage_token_hash VARCHAR(64);
+ALTER TABLE letters ADD COLUMN IF NOT EXISTS edited_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE letters ADD COLUMN IF NOT EXISTS encryption JSONB;
+ALTER TABLE letters ADD COLUMN IF NOT EXISTS parent_code VARCHAR(64);
+ALTER TABLE letters ADD COLUMN IF NOT EXISTS thread_id VARCHAR(64);
+ALTER TABLE letters ADD COLUMN IF NOT EXISTS sender_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE letters ADD COLUMN IF NOT EXISTS recipient_email VARCHAR(254);
+ALTER TABLE letters ADD COLUMN IF NOT EXISTS notified_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE letters ADD COLUMN IF NOT EXISTS first_read_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE letters ADD COLUMN IF NOT EXISTS read_receipt_email VARCHAR(254);
+ALTER TABLE letters ADD COLUMN IF NOT EXISTS read_receipt_webhook TEXT;
+ALTER TABLE letters ADD COLUMN IF NOT EXISTS style JSONB;
+ALTER TABLE letters ADD COLUMN IF NOT EXISTS stamps JSONB;
+ALTER TABLE letters ADD COLUMN IF NOT EXISTS status VARCHAR(10) NOT NULL DEFAULT 'sent' CHECK (status IN ('sent', 'draft'));
+ALTER TABLE letters ADD COLUMN IF NOT EXISTS resume_code_hash VARCHAR(64) UNIQUE;
+ALTER TABLE letters ALTER COLUMN code DROP NOT NULL;
+
+-- Create index on code for fast lookups
+CREATE INDEX IF NOT EXISTS idx_letters_code ON letters(code);
+
+-- Create index on expires_at for cleanup
+CREATE INDEX IF NOT EXISTS idx_letters_expires ON letters(expires_at);
+
+-- Create index on thread_id for conversations
+CREATE INDEX IF NOT EXISTS idx_letters_thread ON letters(thread_id);
+
+-- Create revisions table for letters edited before their first read
+CREATE TABLE IF NOT EXISTS letter_revisions (
+  id SERIAL PRIMARY KEY,
+  letter_id INTEGER NOT NULL REFERENCES letters(id) ON DELETE CASCADE,
+  subject VARCHAR(200) NOT NULL,
+  content TEXT NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_letter_revisions_letter ON letter_revisions(letter_id);
+
+-- Create mailbox table linking members to letters they saved or sent
+CREATE TABLE IF NOT EXISTS mailbox_entries (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  letter_id INTEGER NOT NULL REFERENCES letters(id) ON DELETE CASCADE,
+  folder VARCHAR(10) NOT NULL CHECK (folder IN ('received', 'sent')),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  read_at TIMESTAMP WITH TIME ZONE,
+  UNIQUE (user_id, letter_id, folder)
+);
+
+-- Create attachments table for photos uploaded with letters; files live in
+-- the storage driver, and rows without a letter are swept up after a day
+CREATE TABLE IF NOT EXISTS attachments (
+  id SERIAL PRIMARY KEY,
+  token VARCHAR(32) UNIQUE NOT NULL,
+  letter_id INTEGER REFERENCES letters(id) ON DELETE SET NULL,
+  storage_key TEXT NOT NULL,
+  content_type VARCHAR(50) NOT NULL,
+  byte_size INTEGER NOT NULL,
+  width INTEGER NOT NULL,
+  height INTEGER NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_attachments_letter ON attachments(letter_id);
+
+-- Create rate limit table for throttling code lookups
+CREATE TABLE IF NOT EXISTS rate_limits (
+  key VARCHAR(100) PRIMARY KEY,
+  hits INTEGER NOT NULL DEFAULT 0,
+  window_started_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  failures INTEGER NOT NULL DEFAULT 0,
+  last_failure_at TIMESTAMP WITH TIME ZONE,
+  locked_until TIMESTAMP WITH TIME ZONE
+);
+
+-- Create stats table for tracking usage
+CREATE TABLE IF NOT EXISTS stats (
+  id SERIAL PRIMARY KEY,
+  metric VARCHAR(50) UNIQUE NOT NULL,
+  value INTEGER DEFAULT 0,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Insert initial stats
+INSERT INTO stats (metric, value) VALUES ('total_letters', 0) ON CONFLICT (metric) DO NOTHING;
+INSERT INTO stats (metric, value) VALUES ('total_reads', 0) ON CONFLICT (metric) DO NOTHING;
\ No newline at end of file
@@ -0,0 +1,7 @@
+-- Counter bump the Supabase letter store calls as supabase.rpc('increment_stat')
+CREATE OR REPLACE FUNCTION increment_stat(stat_name TEXT) RETURNS VOID AS $$
+  INSERT INTO stats (metric, value, updated_at)
+  VALUES (stat_name, 1, NOW())
+  ON CONFLICT (metric)
+  DO UPDATE SET value = stats.value + 1, updated_at = NOW();
+$$ LANGUAGE sql;
@@ -0,0 +1,3 @@
+-- Nothing to undo: letters_check is also part of 001 on new databases, and
+-- 001 can't be rolled back.
+SELECT 1;
@@ -0,0 +1,11 @@
+-- Only drafts may go without a letter code. New databases got this rule from
+-- 001 as letters_check; ones upgraded from the old sql/schema.sql did not.
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint
+    WHERE conrelid = 'letters'::regclass AND conname = 'letters_check'
+  ) THEN
+    ALTER TABLE letters ADD CONSTRAINT letters_check CHECK (status = 'draft' OR code IS NOT NULL);
+  END IF;
+END $$;
@@ -1,473 +1,136 @@
-import React, { useState, useEffect } from 'react';
-
-// API Configuration - will use your deployed Vercel URL
-const API_BASE = process.env.NODE_ENV === 'production' 
-  ? '/api' 
-  : '/api';
-
-// API Service
-const letterAPI = {
-  async sendLetter(letterData) {
-    const response = await fetch(`${API_BASE}/letters`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(letterData),
-    });
-    
-    if (!response.ok) {
-      const error = await response.json();
-      throw new Error(error.error || 'Failed to send letter');
-    }
-    
-    return response.json();
-  },
-
-  async getLetter(code) {
-    const response = await fetch(`${API_BASE}/letters?code=${code}`);
-    
-    if (!response.ok) {
-      const error = await response.json();
-      throw new Error(error.error || 'Failed to fetch letter');
-    }
-    
-    return response.json();
-  }
-};
-
-// Simple routing hook
-const useRouter = () => {
-  const [currentPath, setCurrentPath] = useState(window.location.hash.slice(1) || '/');
-  
-  useEffect(() => {
-    const handleHashChange = () => {
-      setCurrentPath(window.location.hash.slice(1) || '/');
-    };
-    
-    window.addEventListener('hashchange', handleHashChange);
-    return () => window.removeEventListener('hashchange', handleHashChange);
-  }, []);
-  
-  const navigate = (path) => {
-    window.location.hash = path;
-    setCurrentPath(path);
-  };
-  
-  const getParam = (name) => {
-    const params = new URLSearchParams(currentPath.split('?')[1]);
-    return params.get(name);
-  };
-  
-  return { currentPath, navigate, getParam };
-};
-
-// Envelope component with animation
-const Envelope = ({ onClick, isOpening = false, hasLetter = true }) => {
-  return (
-    <div 
-      className={`envelope ${isOpening ? 'opening' : ''}`}
-      onClick={onClick}
-      role="button"
-      tabIndex="0"
-    >
-      <div className="envelope-front">
-        <div className="postage-area"></div>
-        <div className="addressee">To: You</div>
-      </div>
-      <div className="envelope-flap"></div>
-      <div className="wax-seal"></div>
-      {hasLetter && <div className="unread-badge">📬</div>}
-    </div>
-  );
-};
-
-// Loading component
-const Loading = ({ message = "Loading..." }) => (
-  <div className="loading">
-    <div className="loading-envelope">📮</div>
-    <p>{message}</p>
-  </div>
-);
-
-// Home page with centered envelope
-const HomePage = () => {
-  const [showLetter, setShowLetter] = useState(false);
-  const [isOpening, setIsOpening] = useState(false);
-  const { navigate } = useRouter();
-
-  const handleEnvelopeClick = () => {
-    setIsOpening(true);
-    setTimeout(() => {
-      setShowLetter(true);
-    }, 900);
-  };
-
-  const closeLetter = () => {
-    setShowLetter(false);
-    setIsOpening(false);
-  };
-
-  if (showLetter) {
-    return (
-      <div className="letter-view">
-        <div className="letter-card">
-          <div className="letter-meta">
-            <div>From: <strong>The Mail Club Team</strong></div>
-            <div>Today</div>
-          </div>
-          <h3>Welcome to Digital Mail Club! 🌟</h3>
-          <div className="letter-body">
-            Dear Friend,<br/><br/>
-            Welcome to our magical corner of the internet! This is your digital mailbox where heartfelt letters travel across the world instantly.<br/><br/>
-            <strong>How it works:</strong><br/>
-            • Click "Write New" to compose a letter<br/>
-            • Get a unique 6-character code<br/>
-            • Share the code with anyone, anywhere!<br/>
-            • They can read your letter from any device<br/><br/>
-            Your letters are now stored in the cloud and can be accessed from anywhere! Start spreading some joy! ✨<br/><br/>
-            Happy letter writing!<br/><br/>
-            💌 The Mail Club Team
-          </div>
-          <div className="letter-actions">
-            <button className="btn btn-secondary" onClick={() => navigate('/write')}>
-              Write New Letter
-            </button>
-            <button className="btn btn-primary" onClick={closeLetter}>
-              Close Letter
-            </button>
-          </div>
-        </div>
-      </div>
-    );
-  }
-
-  return (
-    <div className="mailbox">
-      <Envelope onClick={handleEnvelopeClick} isOpening={isOpening} />
-      <div className="nav-buttons">
-        <a href="#/write" className="btn btn-primary">Write New Letter</a>
-        <a href="#/view" className="btn btn-secondary">Read by Code</a>
-      </div>
-      <div className="stats">
-        <p>✨ Letters now travel instantly across the internet! ✨</p>
-      </div>
-    </div>
-  );
+import { useState, useEffect, useCallback } from 'react';
+import { letterClient } from './api';
+import { collectOutbox } from './storage';
+import { SessionContext } from './session';
+import { RouterContext, useHistoryRouter } from './router';
+import HomePage from './pages/HomePage';
+import WritePage from './pages/WritePage';
+import ViewPage from './pages/ViewPage';
+import ThreadPage from './pages/ThreadPage';
+import ManagePage from './pages/ManagePage';
+import TrackPage from './pages/TrackPage';
+import AuthPage from './pages/AuthPage';
+import InboxPage from './pages/InboxPage';
+import AboutPage from './pages/AboutPage';
+import NotFoundPage from './pages/NotFoundPage';
+
+const PAGES = {
+  home: HomePage,
+  write: WritePage,
+  view: ViewPage,
+  thread: ThreadPage,
+  manage: ManagePage,
+  login: AuthPage,
+  inbox: InboxPage,
+  track: TrackPage,
+  about: AboutPage,
+  notFound: NotFoundPage
 };
 
-// Write letter page
-const WritePage = () => {
-  const [subject, setSubject] = useState('');
-  const [content, setContent] = useState('');
-  const [senderName, setSenderName] = useState('');
-  const [generatedCode, setGeneratedCode] = useState(null);
-  const [loading, setLoading] = useState(false);
-  const [error, setError] = useState('');
-
-  const handleSend = async () => {
-    if (!subject.trim() || !content.trim()) {
-      setError('Please fill in both subject and message');
-      return;
-    }
+// Internal links navigate in place instead of reloading the app
+const shouldHandleLink = (event, link) =>
+  event.button === 0 &&
+  !event.defaultPrevented &&
+  !(event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) &&
+  !link.target &&
+  !link.hasAttribute('download') &&
+  link.origin === window.location.origin &&
+  !/^\/(api|l)\//.test(link.pathname);
 
-    setLoading(true);
-    setError('');
+// Main App component
+const App = () => {
+  const router = useHistoryRouter();
+  const { navigate } = router;
+  const [session, setSession] = useState({ user: null, unread: 0 });
 
+  const refreshSession = useCallback(async () => {
     try {
-      const result = await letterAPI.sendLetter({
-        subject: subject.trim(),
-        content: content.trim(),
-        senderName: senderName.trim() || 'Anonymous Friend'
-      });
-
-      setGeneratedCode(result.code);
+      const { user } = await letterClient.getAccount();
+      const unread = user ? (await letterClient.listMailbox()).unread : 0;
+      setSession({ user, unread });
     } catch (error) {
-      console.error('Send error:', error);
-      setError(error.message || 'Failed to send letter. Please try again.');
-    } finally {
-      setLoading(false);
+      console.error('Session error:', error);
+      setSession({ user: null, unread: 0 });
     }
-  };
+  }, []);
 
-  const resetForm = () => {
-    setSubject('');
-    setContent('');
-    setSenderName('');
-    setGeneratedCode(null);
-    setError('');
-  };
+  useEffect(() => {
+    refreshSession();
+  }, [refreshSession]);
 
-  if (loading) {
-    return <Loading message="Sealing your letter and sending to the cloud... 📮" />;
-  }
-
-  if (generatedCode) {
-    const shareUrl = `${window.location.origin}${window.location.pathname}#/view?code=${generatedCode}`;
-    
-    return (
-      <div className="write-form">
-        <h2>✨ Letter Sent Successfully!</h2>
-        <div className="success-message">
-          <div className="code-display">
-            <p>Your letter code is:</p>
-            <div className="generated-code">{generatedCode}</div>
-            <p>Share this code with anyone, anywhere in the world!</p>
-          </div>
-          <div className="share-link">
-            <p>Or share this direct link:</p>
-            <input 
-              type="text" 
-              value={shareUrl}
-              readOnly
-              className="link-input"
-              onClick={(e) => e.target.select()}
-            />
-            <button 
-              className="btn btn-copy"
-              onClick={async () => {
-                try {
-                  await navigator.clipboard.writeText(shareUrl);
-                  alert('Link copied to clipboard! 📋');
-                } catch (err) {
-                  // Fallback for older browsers
-                  const input = document.querySelector('.link-input');
-                  input.select();
-                  document.execCommand('copy');
-                  alert('Link copied to clipboard! 📋');
-                }
-              }}
-            >
-              Copy Link 📋
-            </button>
-          </div>
-          <div className="nav-buttons">
-            <button className="btn btn-primary" onClick={resetForm}>
-              Write Another Letter
-            </button>
-            <a href="#/" className="btn btn-secondary">
-              Back to Mailbox
-            </a>
-          </div>
-        </div>
-      </div>
-    );
-  }
+  useEffect(() => {
+    const handleClick = (event) => {
+      const link = event.target.closest('a[href]');
+      if (!link || !shouldHandleLink(event, link)) return;
 
-  return (
-    <div className="write-form">
-      <h2>Write a Letter 💌</h2>
-      <div>
-        <div className="form-group">
-          <label htmlFor="sender">Your Name (optional):</label>
-          <input
-            type="text"
-            id="sender"
-            value={senderName}
-            onChange={(e) => setSenderName(e.target.value)}
-            placeholder="Anonymous Friend"
-          />
-        </div>
-        <div className="form-group">
-          <label htmlFor="subject">Subject:</label>
-          <input
-            type="text"
-            id="subject"
-            value={subject}
-            onChange={(e) => setSubject(e.target.value)}
-            placeholder="A message for you..."
-            required
-          />
-        </div>
-        <div className="form-group">
-          <label htmlFor="content">Your Letter:</label>
-          <textarea
-            id="content"
-            value={content}
-            onChange={(e) => setContent(e.target.value)}
-            placeholder="Dear friend,&#10;&#10;I hope this letter finds you well..."
-            rows="12"
-            required
-          />
-        </div>
-        {error && <div className="error-message">{error}</div>}
-        <div className="nav-buttons">
-          <button 
-            type="button" 
-            className="btn btn-primary" 
-            onClick={handleSend}
-            disabled={loading}
-          >
-            {loading ? 'Sending...' : 'Seal & Send 📮'}
-          </button>
-          <a href="#/" className="btn btn-secondary">
-            Cancel
-          </a>
-        </div>
-      </div>
-    </div>
-  );
-};
+      event.preventDefault();
+      navigate(`${link.pathname}${link.search}${link.hash}`);
+    };
 
-// View letter by code page
-const ViewPage = () => {
-  const { getParam, navigate } = useRouter();
-  const [codeInput, setCodeInput] = useState('');
-  const [letter, setLetter] = useState(null);
-  const [showLetter, setShowLetter] = useState(false);
-  const [isOpening, setIsOpening] = useState(false);
-  const [error, setError] = useState('');
-  const [loading, setLoading] = useState(false);
+    document.addEventListener('click', handleClick);
+    return () => document.removeEventListener('click', handleClick);
+  }, [navigate]);
 
+  // Letters queued while offline go out in the background; collect their
+  // codes when the service worker says so, and nudge it when we reconnect
   useEffect(() => {
-    const codeFromUrl = getParam('code');
-    if (codeFromUrl) {
-      setCodeInput(codeFromUrl);
-      findLetter(codeFromUrl);
-    }
-  }, [getParam]);
-
-  const findLetter = async (code) => {
-    if (!code.trim()) {
-      setError('Please enter a letter code');
-      return;
-    }
+    const collect = () => collectOutbox().catch(error => console.log('Outbox check failed (non-critical):', error.message));
+    const handleMessage = (event) => {
+      if (event.data?.type === 'outbox-delivered') collect();
+    };
+    const handleOnline = () => {
+      navigator.serviceWorker?.controller?.postMessage({ type: 'replay-outbox' });
+    };
 
-    setLoading(true);
-    setError('');
+    collect();
+    navigator.serviceWorker?.addEventListener('message', handleMessage);
+    window.addEventListener('online', handleOnline);
+    return () => {
+      navigator.serviceWorker?.removeEventListener('message', handleMessage);
+      window.removeEventListener('online', handleOnline);
+    };
+  }, []);
 
+  const handleSignOut = async () => {
     try {
-      const result = await letterAPI.getLetter(code.trim().toUpperCase());
-      setLetter(result.letter);
-    } catch (error) {
-      console.error('Fetch error:', error);
-      setError(error.message || 'Failed to find letter');
-      setLetter(null);
+      await letterClient.signOut();
     } finally {
-      setLoading(false);
+      await refreshSession();
+      navigate('/');
     }
   };
 
-  const handleCodeSubmit = () => {
-    findLetter(codeInput);
-  };
-
-  const openEnvelope = () => {
-    if (!letter) return;
-    setIsOpening(true);
-    setTimeout(() => {
-      setShowLetter(true);
-    }, 900);
-  };
-
-  const closeLetter = () => {
-    setShowLetter(false);
-    setIsOpening(false);
-  };
-
-  if (loading) {
-    return <Loading message="Searching for your letter in the cloud... 🔍" />;
-  }
-
-  if (showLetter && letter) {
-    return (
-      <div className="letter-view">
-        <div className="letter-card">
-          <div className="letter-meta">
-            <div>From: <strong>{letter.senderName}</strong></div>
-            <div>{new Date(letter.dateCreated).toLocaleDateString()}</div>
-          </div>
-          <h3>{letter.subject}</h3>
-          <div className="letter-body">
-            {letter.content.split('\n').map((line, index) => (
-              <React.Fragment key={index}>
-                {line}
-                {index < letter.content.split('\n').length - 1 && <br />}
-              </React.Fragment>
-            ))}
-          </div>
-          <div className="letter-actions">
-            <button className="btn btn-secondary" onClick={() => navigate('/write')}>
-              Write Reply 💌
-            </button>
-            <button className="btn btn-primary" onClick={closeLetter}>
-              Close Letter
-            </button>
-          </div>
-        </div>
-      </div>
-    );
-  }
-
-  return (
-    <div className="view-page">
-      <div className="code-entry">
-        <h2>Enter Letter Code 🔑</h2>
-        <div>
-          <div className="form-group">
-            <label htmlFor="code">6-Character Code:</label>
-            <input
-              type="text"
-              id="code"
-              value={codeInput}
-              onChange={(e) => setCodeInput(e.target.value.toUpperCase())}
-              placeholder="ABC123"
-              maxLength="6"
-              style={{ textTransform: 'uppercase' }}
-            />
-          </div>
-          <button 
-            type="button" 
-            className="btn btn-primary" 
-            onClick={handleCodeSubmit}
-            disabled={loading}
-          >
-            {loading ? 'Searching...' : 'Find Letter 🔍'}
-          </button>
-          {error && <div className="error-message">{error}</div>}
-        </div>
-        <div className="nav-buttons">
-          <a href="#/" className="btn btn-secondary">Back to Mailbox</a>
-        </div>
-      </div>
-
-      {letter && (
-        <div className="found-letter">
-          <h3>Letter Found! 🎉</h3>
-          <p>From: <strong>{letter.senderName}</strong></p>
-          <Envelope onClick={openEnvelope} isOpening={isOpening} />
-        </div>
-      )}
-    </div>
-  );
-};
-
-// Main App component
-const App = () => {
-  const { currentPath } = useRouter();
-
-  const renderPage = () => {
-    const basePath = currentPath.split('?')[0];
-    switch (basePath) {
-      case '/write':
-        return <WritePage />;
-      case '/view':
-        return <ViewPage />;
-      default:
-        return <HomePage />;
-    }
-  };
+  // Keyed by path so moving between letters starts each page afresh
+  const Page = PAGES[router.route.page];
 
   return (
     <div className="app">
-      <div className="container">
-        <div className="header">
-          <h1 className="club-title">Digital Mail Club</h1>
-          <p className="privacy-label">Letters that travel across the world ✨</p>
-        </div>
-
-        {renderPage()}
-      </div>
+      <RouterContext.Provider value={router}>
+        <SessionContext.Provider value={{ ...session, refresh: refreshSession }}>
+          <div className="container">
+            <div className="header">
+              <h1 className="club-title">Digital Mail Club</h1>
+              <p className="privacy-label">Letters that travel across the world ✨</p>
+              <div className="account-bar">
+                <a href="/about">About</a>
+                {session.user ? (
+                  <>
+                    <span>Hello, {session.user.displayName}</span>
+                    <a href="/inbox">
+                      My Mailbox {session.unread > 0 && <span className="count-badge">{session.unread}</span>}
+                    </a>
+                    <button className="link-button" onClick={handleSignOut}>Sign Out</button>
+                  </>
+                ) : (
+                  <a href="/login">Sign In</a>
+                )}
+              </div>
+            </div>
+
+            <Page key={router.location.pathname} />
+          </div>
+        </SessionContext.Provider>
+      </RouterContext.Provider>
 
       <style jsx>{`
         @import url('https://fonts.googleapis.com/css2?family=Special+Elite&family=Caveat:wght@400;600&display=swap');
@@ -525,6 +188,36 @@ const App = () => {
           opacity: 0.8;
         }
 
+        .account-bar {
+          display: flex;
+          gap: 15px;
+          justify-content: center;
+          align-items: center;
+          margin-top: 10px;
+          font-size: 0.85rem;
+        }
+
+        .account-bar a,
+        .link-button {
+          color: var(--dusty-blue);
+          background: none;
+          border: none;
+          font-family: inherit;
+          font-size: inherit;
+          cursor: pointer;
+          text-decoration: underline;
+        }
+
+        .count-badge {
+          display: inline-block;
+          background: var(--faded-rose);
+          color: white;
+          border-radius: 10px;
+          padding: 0 7px;
+          margin-left: 4px;
+          font-size: 0.75rem;
+        }
+
         /* Loading Component */
         .loading {
           display: flex;
@@ -655,6 +348,73 @@ const App = () => {
           z-index: 1;
         }
 
+        .stamp {
+          width: 45px;
+          height: 45px;
+          background: var(--warm-yellow);
+          border: 3px solid white;
+          border-radius: 3px;
+          cursor: grab;
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          font-size: 20px;
+          box-shadow: 0 2px 8px var(--paper-shadow);
+          user-select: none;
+        }
+
+        .stamp:disabled {
+          cursor: not-allowed;
+          opacity: 0.5;
+        }
+
+        .stamp.on-envelope {
+          position: absolute;
+          z-index: 5;
+          cursor: default;
+        }
+
+        .stamp.on-envelope.removable {
+          cursor: pointer;
+        }
+
+        .stamp.on-envelope.removable:hover {
+          filter: brightness(1.1);
+          box-shadow: 0 4px 12px var(--paper-shadow);
+        }
+
+        .stamp-designer {
+          margin-bottom: 20px;
+        }
+
+        .stamp-designer h4 {
+          font-family: "Caveat", cursive;
+          font-size: 1.2rem;
+          margin-bottom: 10px;
+          color: var(--moss);
+        }
+
+        .stamp-designer .envelope {
+          margin: 0 auto;
+          max-width: 100%;
+          cursor: default;
+        }
+
+        .stamp-designer .envelope:hover {
+          transform: none;
+        }
+
+        .stamps-tray {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 10px;
+          margin-top: 20px;
+          padding: 15px;
+          background: rgba(255,255,255,0.2);
+          border-radius: 12px;
+          justify-content: center;
+        }
+
         .unread-badge {
           position: absolute;
           top: -8px;
@@ -671,6 +431,29 @@ const App = () => {
           z-index: 4;
         }
 
+        .envelope.sealed {
+          cursor: default;
+        }
+
+        .envelope.sealed:hover {
+          transform: none;
+        }
+
+        .envelope-countdown {
+          position: absolute;
+          bottom: 20px;
+          left: 50%;
+          transform: translateX(-50%);
+          background: var(--cream);
+          color: var(--faded-rose);
+          border: 2px dashed var(--faded-rose);
+          border-radius: 20px;
+          padding: 6px 16px;
+          font-size: 1rem;
+          white-space: nowrap;
+          z-index: 4;
+        }
+
         .nav-buttons {
           display: flex;
           gap: 15px;
@@ -703,6 +486,11 @@ const App = () => {
           color: var(--ink);
         }
 
+        .btn-danger {
+          background: var(--faded-rose);
+          color: white;
+        }
+
         .btn-copy {
           background: var(--moss);
           color: white;
@@ -775,6 +563,208 @@ const App = () => {
           color: var(--ink);
         }
 
+        .letter-body p {
+          margin-bottom: 1em;
+        }
+
+        .letter-body ul,
+        .letter-body ol {
+          margin: 0 0 1em 1.5em;
+        }
+
+        .letter-postscript {
+          font-size: 0.95em;
+          font-style: italic;
+          opacity: 0.85;
+        }
+
+        .letter-signature {
+          font-family: "Caveat", cursive;
+          font-size: 1.6em;
+          text-align: right;
+          transform: rotate(-3deg);
+          margin-top: 0.5em;
+        }
+
+        .letter-photos {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 12px;
+          margin-top: 20px;
+          justify-content: center;
+        }
+
+        .letter-photos img {
+          max-width: 220px;
+          height: auto;
+          border: 6px solid white;
+          box-shadow: 0 4px 12px var(--paper-shadow);
+          transform: rotate(-1deg);
+        }
+
+        .letter-photos a:nth-child(even) img {
+          transform: rotate(1.5deg);
+        }
+
+        .photo-thumbs {
+          display: flex;
+          gap: 10px;
+          flex-wrap: wrap;
+          margin-top: 10px;
+        }
+
+        .photo-thumb {
+          position: relative;
+        }
+
+        .photo-thumb img {
+          width: 70px;
+          height: 70px;
+          object-fit: cover;
+          border-radius: 4px;
+          box-shadow: 0 2px 4px var(--paper-shadow);
+        }
+
+        .photo-thumb button {
+          position: absolute;
+          top: -8px;
+          right: -8px;
+          width: 22px;
+          height: 22px;
+          border-radius: 50%;
+          border: none;
+          background: var(--faded-rose);
+          color: white;
+          cursor: pointer;
+        }
+
+        .letter-decorations {
+          font-size: 1.3rem;
+          text-align: center;
+          margin-bottom: 10px;
+        }
+
+        /* Stationery */
+        .paper-vintage {
+          background: linear-gradient(135deg, #f4f1de 0%, #e9dcc9 100%);
+          background-image: 
+            radial-gradient(circle at 20% 80%, rgba(120,119,108,0.3) 0%, transparent 50%),
+            radial-gradient(circle at 80% 20%, rgba(120,119,108,0.15) 0%, transparent 50%);
+        }
+
+        .paper-typewriter {
+          background: #f8f6f0;
+          background-image: repeating-linear-gradient(transparent, transparent 23px, #d4af37 23px, #d4af37 24px);
+        }
+
+        .paper-telegram {
+          background: #fff8dc;
+          background-image: 
+            linear-gradient(90deg, #daa520 0px, #daa520 2px, transparent 2px),
+            repeating-linear-gradient(transparent, transparent 19px, #daa520 19px, #daa520 20px);
+        }
+
+        .paper-manuscript {
+          background: #faf0e6;
+          background-image: 
+            repeating-linear-gradient(transparent, transparent 29px, #8b4513 29px, #8b4513 30px),
+            linear-gradient(90deg, #cd853f 79px, #cd853f 81px, transparent 81px);
+        }
+
+        .paper-wartime {
+          background: #f5f5dc;
+          background-image: 
+            linear-gradient(45deg, transparent 40%, rgba(139,69,19,0.1) 50%, transparent 60%),
+            repeating-linear-gradient(transparent, transparent 24px, rgba(139,69,19,0.2) 24px, rgba(139,69,19,0.2) 25px);
+        }
+
+        .paper-royal {
+          background: linear-gradient(135deg, #f8f5ff 0%, #e6e0ff 100%);
+          background-image: 
+            radial-gradient(circle at 50% 50%, rgba(138,43,226,0.1) 0%, transparent 50%),
+            repeating-linear-gradient(transparent, transparent 24px, rgba(138,43,226,0.1) 24px, rgba(138,43,226,0.1) 25px);
+        }
+
+        .paper-nature {
+          background: linear-gradient(135deg, #f0fff0 0%, #e8f5e8 100%);
+          background-image: 
+            radial-gradient(circle at 30% 70%, rgba(34,139,34,0.1) 0%, transparent 40%),
+            repeating-linear-gradient(transparent, transparent 24px, rgba(34,139,34,0.1) 24px, rgba(34,139,34,0.1) 25px);
+        }
+
+        .paper-sunset {
+          background: linear-gradient(135deg, #fff5ee 0%, #ffe4e1 100%);
+          background-image: 
+            radial-gradient(circle at 80% 20%, rgba(255,69,0,0.1) 0%, transparent 50%),
+            repeating-linear-gradient(transparent, transparent 24px, rgba(255,69,0,0.1) 24px, rgba(255,69,0,0.1) 25px);
+        }
+
+        .stationery-picker {
+          background: rgba(255,255,255,0.3);
+          border-radius: 10px;
+          padding: 20px;
+          margin-bottom: 20px;
+        }
+
+        .stationery-section {
+          margin-bottom: 15px;
+        }
+
+        .stationery-section h4,
+        .letter-preview h4 {
+          font-family: "Caveat", cursive;
+          font-size: 1.2rem;
+          margin-bottom: 10px;
+          color: var(--moss);
+        }
+
+        .option-grid {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 10px;
+        }
+
+        .option-btn {
+          width: 50px;
+          height: 50px;
+          border: 2px solid var(--dusty-blue);
+          border-radius: 8px;
+          cursor: pointer;
+          font-size: 1.3rem;
+          background: white;
+          transition: all 0.3s ease;
+        }
+
+        .option-btn.active {
+          border-color: var(--moss);
+          transform: scale(1.1);
+          box-shadow: 0 2px 8px rgba(0,0,0,0.2);
+        }
+
+        .color-btn {
+          width: 36px;
+          height: 36px;
+          border-radius: 50%;
+          border: 2px solid white;
+          cursor: pointer;
+          transition: transform 0.2s ease;
+        }
+
+        .color-btn.active {
+          transform: scale(1.2);
+          border-color: var(--ink);
+        }
+
+        .letter-preview {
+          margin-bottom: 20px;
+        }
+
+        .preview-card {
+          padding: 25px;
+          max-height: 300px;
+          animation: none;
+        }
+
         .letter-actions {
           display: flex;
           gap: 10px;
@@ -782,6 +772,17 @@ const App = () => {
           justify-content: center;
         }
 
+        .download-options {
+          display: flex;
+          gap: 10px;
+          margin-top: 15px;
+          justify-content: center;
+        }
+
+        .print-only {
+          display: none;
+        }
+
         /* Write View */
         .write-form {
           max-width: 600px;
@@ -819,6 +820,7 @@ const App = () => {
         }
 
         .form-group input,
+        .form-group select,
         .form-group textarea {
           width: 100%;
           padding: 10px;
@@ -859,10 +861,85 @@ const App = () => {
           font-family: "Special Elite", monospace;
         }
 
+        .code-card {
+          display: flex;
+          align-items: center;
+          justify-content: space-between;
+          gap: 20px;
+          width: 3.5in;
+          max-width: 100%;
+          min-height: 2in;
+          margin: 25px auto 10px;
+          padding: 16px 18px;
+          background: #FFFFFF;
+          border: 2px dashed var(--kraft);
+          border-radius: 10px;
+          text-align: left;
+          box-sizing: border-box;
+        }
+
+        .code-card-envelope {
+          width: 48px;
+          height: 33px;
+        }
+
+        .code-card-title {
+          font-family: "Caveat", cursive;
+          font-size: 1.4rem;
+          color: var(--moss);
+          margin: 4px 0 0;
+        }
+
+        .code-card-from {
+          font-size: 0.8rem;
+          color: var(--ink);
+          margin: 0;
+        }
+
+        .code-card-code {
+          font-family: "Special Elite", monospace;
+          font-size: 1.1rem;
+          font-weight: bold;
+          letter-spacing: 2px;
+          color: var(--faded-rose);
+          margin: 8px 0 4px;
+          word-break: break-all;
+        }
+
+        .code-card-hint {
+          font-size: 0.65rem;
+          color: var(--moss);
+          margin: 0;
+        }
+
+        .code-card-qr {
+          width: 1.3in;
+          height: 1.3in;
+          flex-shrink: 0;
+          image-rendering: pixelated;
+        }
+
+        .card-actions {
+          text-align: center;
+        }
+
+        .delivery-note {
+          margin-top: 10px;
+          color: var(--moss);
+          font-family: "Caveat", cursive;
+          font-size: 1.2rem;
+        }
+
         .share-link {
           margin-bottom: 20px;
         }
 
+        .manage-hint {
+          font-size: 0.8rem;
+          color: var(--faded-rose);
+          margin-top: 6px;
+        }
+
         .link-input {
           width: 100%;
           padding: 8px;
@@ -903,6 +980,104 @@ const App = () => {
           margin-bottom: 20px;
         }
 
+        .edited-marker {
+          font-style: italic;
+          opacity: 0.8;
+        }
+
+        .letter-diff {
+          white-space: pre-wrap;
+          display: inline;
+        }
+
+        .letter-diff ins {
+          background: rgba(108, 122, 92, 0.2);
+          text-decoration: none;
+        }
+
+        .letter-diff del {
+          background: rgba(201, 128, 136, 0.2);
+          color: var(--faded-rose);
+        }
+
+        .edit-letter {
+          text-align: left;
+          margin-bottom: 20px;
+        }
+
+        .edit-letter p {
+          margin-bottom: 15px;
+          color: var(--moss);
+        }
+
+        .notice-message {
+          color: var(--moss);
+          margin-top: 10px;
+          font-weight: bold;
+        }
+
+        .field-hint {
+          font-size: 0.8rem;
+          color: var(--moss);
+          margin-top: 6px;
+        }
+
+        .encrypted-notice {
+          color: var(--moss);
+          font-size: 0.85rem;
+          margin-bottom: 15px;
+        }
+
+        .unlock-form {
+          margin-bottom: 20px;
+        }
+
+        .reply-marker {
+          color: var(--dusty-blue);
+          font-size: 0.9rem;
+          margin-bottom: 15px;
+        }
+
+        .thread-title {
+          font-family: "Caveat", cursive;
+          font-size: 2rem;
+          color: var(--moss);
+          text-align: center;
+          margin-bottom: 20px;
+        }
+
+        .thread-letter {
+          margin-bottom: 20px;
+          max-height: none;
+        }
+
+        .thread-placeholder {
+          font-family: "Special Elite", monospace;
+          font-size: 0.9rem;
+          color: var(--moss);
+          opacity: 0.8;
+        }
+
+        .thread-open {
+          margin-top: 15px;
+          text-align: right;
+          font-size: 0.85rem;
+        }
+
+        .burn-notice {
+          color: var(--faded-rose);
+          font-weight: bold;
+          margin-bottom: 15px;
+        }
+
+        .lockout-message {
+          margin-top: 10px;
+          padding: 10px;
+          border: 2px dashed var(--faded-rose);
+          border-radius: 8px;
+          color: var(--ink);
+        }
+
         .error-message {
           color: var(--faded-rose);
           margin-top: 10px;
@@ -920,6 +1095,132 @@ const App = () => {
           margin-bottom: 20px;
         }
 
+        /* Inbox */
+        .inbox {
+          max-width: 700px;
+          margin: 0 auto;
+        }
+
+        .inbox-tabs {
+          display: flex;
+          gap: 10px;
+          justify-content: center;
+          margin-bottom: 20px;
+        }
+
+        .inbox-tab {
+          padding: 8px 20px;
+          border: 2px solid var(--dusty-blue);
+          border-radius: 20px;
+          background: transparent;
+          font-family: inherit;
+          color: var(--ink);
+          cursor: pointer;
+        }
+
+        .inbox-tab.active {
+          background: var(--dusty-blue);
+          color: white;
+        }
+
+        .inbox-add {
+          display: flex;
+          gap: 10px;
+          margin-bottom: 20px;
+        }
+
+        .inbox-add input {
+          flex: 1;
+          padding: 10px;
+          border: 1px solid var(--dusty-blue);
+          border-radius: 6px;
+          font-family: inherit;
+        }
+
+        .inbox-list {
+          display: flex;
+          flex-direction: column;
+          gap: 10px;
+        }
+
+        .outbox-list {
+          margin-bottom: 20px;
+        }
+
+        .outbox-list .inbox-item {
+          border-style: dashed;
+          cursor: default;
+        }
+
+        .inbox-item {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          background: var(--cream);
+          border-radius: 10px;
+          padding: 15px 20px;
+          box-shadow: 0 4px 12px var(--paper-shadow);
+          cursor: pointer;
+          border-left: 4px solid transparent;
+        }
+
+        .inbox-item.unread {
+          border-left-color: var(--faded-rose);
+        }
+
+        .inbox-item.unread strong::before {
+          content: "● ";
+          color: var(--faded-rose);
+        }
+
+        .inbox-item-main {
+          display: flex;
+          flex-direction: column;
+          gap: 4px;
+        }
+
+        .inbox-item-main span {
+          font-size: 0.8rem;
+          color: var(--moss);
+        }
+
+        .inbox-remove {
+          background: none;
+          border: none;
+          font-size: 1.4rem;
+          color: var(--faded-rose);
+          cursor: pointer;
+        }
+
+        .track-title {
+          font-family: "Caveat", cursive;
+          color: var(--moss);
+          text-align: center;
+          margin-bottom: 20px;
+        }
+
+        .drafts {
+          width: 100%;
+          max-width: 700px;
+        }
+
+        .drafts .inbox-add {
+          margin-top: 15px;
+        }
+
+        .draft-status strong {
+          font-family: "Courier New", monospace;
+          letter-spacing: 1px;
+        }
+
+        .inbox-empty {
+          text-align: center;
+          font-family: "Caveat", cursive;
+          font-size: 1.3rem;
+          color: var(--moss);
+          opacity: 0.8;
+        }
+
         /* Responsive */
         @media (max-width: 768px) {
           .container {
@@ -951,6 +1252,60 @@ const App = () => {
             font-size: 0.8rem;
           }
         }
+
+        /* Print: just the envelope and the letter on its paper */
+        @media print {
+          @page {
+            margin: 12mm;
+          }
+
+          * {
+            -webkit-print-color-adjust: exact;
+            print-color-adjust: exact;
+          }
+
+          .app {
+            background: none;
+          }
+
+          .header,
+          .letter-actions,
+          .download-options,
+          .notice-message {
+            display: none !important;
+          }
+
+          /* On the send success screen only the code card is printed */
+          .write-form > h2,
+          .success-message > :not(.code-card) {
+            display: none !important;
+          }
+
+          .write-form {
+            background: none;
+            box-shadow: none;
+          }
+
+          .print-only {
+            display: block;
+          }
+
+          .print-envelope .envelope {
+            margin: 0 auto 30px;
+            box-shadow: none;
+          }
+
+          .letter-view {
+            padding: 0;
+          }
+
+          .letter-card {
+            max-height: none;
+            overflow: visible;
+            box-shadow: none;
+            animation: none;
+          }
+        }
       `}</style>
     </div>
   );
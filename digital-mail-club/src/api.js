@@ -0,0 +1,9 @@
+import { createLetterClient } from './utils/letterClient';
+
+// API Configuration - will use your deployed Vercel URL
+const API_BASE = process.env.NODE_ENV === 'production' 
+  ? '/api' 
+  : '/api';
+
+// Every API call goes through the client the standalone apps use too
+export const letterClient = createLetterClient(API_BASE);
@@ -0,0 +1,48 @@
+import { useState, useEffect } from 'react';
+import QRCode from 'qrcode';
+
+// Pocket-sized card to slip into a real envelope: the code, who it's from and a
+// QR code of the share link, generated on this device
+const CodeCard = ({ code, shareUrl, senderName, note = null }) => {
+  const [qrSvg, setQrSvg] = useState(null);
+
+  useEffect(() => {
+    QRCode.toString(shareUrl, {
+      type: 'svg',
+      margin: 1,
+      errorCorrectionLevel: 'M',
+      color: { dark: '#3B3A39', light: '#FFFFFF' }
+    })
+      .then(setQrSvg)
+      .catch(error => console.log('QR code failed (non-critical):', error.message));
+  }, [shareUrl]);
+
+  return (
+    <div className="code-card">
+      <div className="code-card-main">
+        <svg className="code-card-envelope" viewBox="0 0 64 44" aria-hidden="true">
+          <rect x="1" y="1" width="62" height="42" rx="4" fill="#D4B89B" />
+          <path d="M1 5 L32 26 L63 5 L63 1 L1 1 Z" fill="#C9A98A" />
+          <circle cx="32" cy="26" r="6" fill="#C98088" />
+          <rect x="50" y="30" width="9" height="10" rx="1" fill="#F1C96B" stroke="#FFFFFF" strokeDasharray="2 1" />
+        </svg>
+        <p className="code-card-title">A letter for you</p>
+        <p className="code-card-from">From: {senderName}</p>
+        <div className="code-card-code">{code}</div>
+        <p className="code-card-hint">
+          Scan the code, or enter it at {window.location.host}
+        </p>
+        {note && <p className="code-card-hint">{note}</p>}
+      </div>
+      {qrSvg && (
+        <img
+          className="code-card-qr"
+          src={`data:image/svg+xml;charset=utf-8,${encodeURIComponent(qrSvg)}`}
+          alt={`QR code for letter ${code}`}
+        />
+      )}
+    </div>
+  );
+};
+
+export default CodeCard;
@@ -0,0 +1,64 @@
+import { STAMPS, createStamp } from '../utils/stamps';
+
+// Envelope component with animation
+// Stamps sit at percentage positions; pass onDropStamp/onRemoveStamp to make it a drop target
+const Envelope = ({
+  onClick,
+  isOpening = false,
+  hasLetter = true,
+  countdown = null,
+  stamps = [],
+  onDropStamp = null,
+  onRemoveStamp = null
+}) => {
+  const handleDrop = (e) => {
+    e.preventDefault();
+    const glyph = e.dataTransfer.getData('text/plain');
+    if (!STAMPS.includes(glyph)) return;
+
+    const rect = e.currentTarget.getBoundingClientRect();
+    onDropStamp(createStamp(
+      glyph,
+      ((e.clientX - rect.left) / rect.width) * 100,
+      ((e.clientY - rect.top) / rect.height) * 100
+    ));
+  };
+
+  return (
+    <div 
+      className={`envelope ${isOpening ? 'opening' : ''} ${countdown ? 'sealed' : ''}`}
+      onClick={onClick}
+      onDragOver={onDropStamp ? (e) => e.preventDefault() : undefined}
+      onDrop={onDropStamp ? handleDrop : undefined}
+      role="button"
+      tabIndex="0"
+    >
+      <div className="envelope-front">
+        <div className="postage-area"></div>
+        <div className="addressee">To: You</div>
+      </div>
+      <div className="envelope-flap"></div>
+      <div className="wax-seal"></div>
+      {stamps.map((stamp, index) => (
+        <div
+          key={index}
+          className={`stamp on-envelope ${onRemoveStamp ? 'removable' : ''}`}
+          style={{
+            left: `${stamp.x}%`,
+            top: `${stamp.y}%`,
+            background: stamp.color,
+            transform: `translate(-50%, -50%) rotate(${stamp.rotation}deg)`
+          }}
+          onClick={onRemoveStamp ? (e) => { e.stopPropagation(); onRemoveStamp(index); } : undefined}
+          title={onRemoveStamp ? 'Remove stamp' : undefined}
+        >
+          {stamp.glyph}
+        </div>
+      ))}
+      {countdown && <div className="envelope-countdown">Opens in {countdown}</div>}
+      {hasLetter && !countdown && <div className="unread-badge">📬</div>}
+    </div>
+  );
+};
+
+export default Envelope;
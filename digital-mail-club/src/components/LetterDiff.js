@@ -0,0 +1,14 @@
+import { diffWords } from '../utils/diff';
+
+// Highlights what changed between two versions of a letter
+const LetterDiff = ({ before, after }) => (
+  <div className="letter-diff">
+    {diffWords(before, after).map((part, index) => {
+      if (part.type === 'added') return <ins key={index}>{part.text}</ins>;
+      if (part.type === 'removed') return <del key={index}>{part.text}</del>;
+      return <span key={index}>{part.text}</span>;
+    })}
+  </div>
+);
+
+export default LetterDiff;
@@ -0,0 +1,19 @@
+// Photos that came with a letter
+const LetterPhotos = ({ photos, senderName }) =>
+  photos && photos.length > 0 ? (
+    <div className="letter-photos">
+      {photos.map((photo, index) => (
+        <a key={photo.id} href={photo.url} target="_blank" rel="noopener noreferrer">
+          <img
+            src={photo.url}
+            alt={`From ${senderName} (${index + 1} of ${photos.length})`}
+            width={photo.width}
+            height={photo.height}
+            loading="lazy"
+          />
+        </a>
+      ))}
+    </div>
+  ) : null;
+
+export default LetterPhotos;
@@ -0,0 +1,44 @@
+import React from 'react';
+import { parseLetter } from '../utils/letterFormat';
+
+// Inline formatting nodes from the letter parser; text is never read as HTML
+const INLINE_ELEMENTS = { bold: 'strong', italic: 'em', underline: 'u' };
+
+const LetterInline = ({ nodes }) => nodes.map((node, index) => {
+  if (node.type === 'text') return <React.Fragment key={index}>{node.text}</React.Fragment>;
+  const Tag = INLINE_ELEMENTS[node.type];
+  return <Tag key={index}><LetterInline nodes={node.children} /></Tag>;
+});
+
+const LetterLines = ({ lines }) => lines.map((line, index) => (
+  <React.Fragment key={index}>
+    {index > 0 && <br />}
+    <LetterInline nodes={line} />
+  </React.Fragment>
+));
+
+// Letter text with its markdown-lite formatting (see utils/letterFormat)
+const LetterText = ({ text }) => (
+  <>
+    {parseLetter(text).map((block, index) => {
+      if (block.type === 'list') {
+        const List = block.ordered ? 'ol' : 'ul';
+        return (
+          <List key={index}>
+            {block.items.map((item, i) => <li key={i}><LetterInline nodes={item} /></li>)}
+          </List>
+        );
+      }
+      if (block.type === 'signature') {
+        return <p key={index} className="letter-signature"><LetterInline nodes={block.content} /></p>;
+      }
+      return (
+        <p key={index} className={block.type === 'postscript' ? 'letter-postscript' : undefined}>
+          <LetterLines lines={block.lines} />
+        </p>
+      );
+    })}
+  </>
+);
+
+export default LetterText;
@@ -0,0 +1,9 @@
+// Loading component
+const Loading = ({ message = "Loading..." }) => (
+  <div className="loading">
+    <div className="loading-envelope">📮</div>
+    <p>{message}</p>
+  </div>
+);
+
+export default Loading;
@@ -0,0 +1,131 @@
+// A letter's paper, ink, decorations and stamps, and the pickers for them
+import { PAPERS, FONTS, INKS, DECORATIONS, MAX_DECORATIONS, getFontFamily } from '../utils/stationery';
+import { STAMPS, MAX_STAMPS, createStamp } from '../utils/stamps';
+import Envelope from './Envelope';
+
+// Paper class and text style for a letter's stationery (older letters have none)
+export const paperClass = (style) => (style ? `paper-${style.paper}` : '');
+
+export const inkStyle = (style) =>
+  (style ? { fontFamily: getFontFamily(style.font), color: style.ink } : undefined);
+
+export const LetterDecorations = ({ style }) =>
+  style && style.decorations.length > 0
+    ? <div className="letter-decorations">{style.decorations.join(' ')}</div>
+    : null;
+
+// Stamp sheet: drag a stamp onto the envelope, or tap to stick it in the corner
+export const StampTray = ({ stamps, onChange }) => {
+  const addStamp = (stamp) => {
+    if (stamps.length < MAX_STAMPS) onChange([...stamps, stamp]);
+  };
+
+  return (
+    <div className="stamp-designer">
+      <h4>📮 Stamp Your Envelope (up to {MAX_STAMPS})</h4>
+      <Envelope
+        hasLetter={false}
+        stamps={stamps}
+        onDropStamp={addStamp}
+        onRemoveStamp={(index) => onChange(stamps.filter((_, i) => i !== index))}
+      />
+      <div className="stamps-tray">
+        {STAMPS.map(glyph => (
+          <button
+            key={glyph}
+            type="button"
+            className="stamp"
+            draggable="true"
+            onDragStart={(e) => e.dataTransfer.setData('text/plain', glyph)}
+            onClick={() => addStamp(createStamp(glyph, 82 - stamps.length * 4, 25 + stamps.length * 4))}
+            disabled={stamps.length >= MAX_STAMPS}
+          >
+            {glyph}
+          </button>
+        ))}
+      </div>
+      <p className="field-hint">Click a stamp on the envelope to peel it off.</p>
+    </div>
+  );
+};
+
+// Paper, font, ink and decoration pickers for WritePage
+export const StationeryPicker = ({ style, onChange }) => {
+  const update = (changes) => onChange({ ...style, ...changes });
+
+  const toggleDecoration = (decoration) => {
+    if (style.decorations.includes(decoration)) {
+      update({ decorations: style.decorations.filter(item => item !== decoration) });
+    } else if (style.decorations.length < MAX_DECORATIONS) {
+      update({ decorations: [...style.decorations, decoration] });
+    }
+  };
+
+  return (
+    <div className="stationery-picker">
+      <div className="stationery-section">
+        <h4>📜 Paper</h4>
+        <div className="option-grid">
+          {PAPERS.map(paper => (
+            <button
+              key={paper.value}
+              type="button"
+              className={`option-btn ${style.paper === paper.value ? 'active' : ''}`}
+              onClick={() => update({ paper: paper.value })}
+              title={paper.label}
+            >
+              {paper.icon}
+            </button>
+          ))}
+        </div>
+      </div>
+      <div className="stationery-section">
+        <h4>✍️ Font</h4>
+        <div className="option-grid">
+          {FONTS.map(font => (
+            <button
+              key={font.value}
+              type="button"
+              className={`option-btn ${style.font === font.value ? 'active' : ''}`}
+              onClick={() => update({ font: font.value })}
+              title={font.label}
+              style={{ fontFamily: font.family }}
+            >
+              Aa
+            </button>
+          ))}
+        </div>
+      </div>
+      <div className="stationery-section">
+        <h4>🎨 Ink</h4>
+        <div className="option-grid">
+          {INKS.map(ink => (
+            <button
+              key={ink.value}
+              type="button"
+              className={`color-btn ${style.ink === ink.value ? 'active' : ''}`}
+              onClick={() => update({ ink: ink.value })}
+              title={ink.label}
+              style={{ background: ink.value }}
+            />
+          ))}
+        </div>
+      </div>
+      <div className="stationery-section">
+        <h4>✨ Decorations (up to {MAX_DECORATIONS})</h4>
+        <div className="option-grid">
+          {DECORATIONS.map(decoration => (
+            <button
+              key={decoration}
+              type="button"
+              className={`option-btn ${style.decorations.includes(decoration) ? 'active' : ''}`}
+              onClick={() => toggleDecoration(decoration)}
+            >
+              {decoration}
+            </button>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
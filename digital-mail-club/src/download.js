@@ -0,0 +1,30 @@
+import { imageToPdf, renderLetterSvg } from './utils/letterRender';
+
+// Save a letter as a PNG postcard or a one-page PDF. It's drawn in the browser,
+// so encrypted and self-destructing letters can be kept too.
+export const downloadLetter = async (letter, format) => {
+  const { svg, width, height } = renderLetterSvg(letter);
+  const image = new Image();
+  image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+  await image.decode();
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  canvas.getContext('2d').drawImage(image, 0, 0);
+
+  const toBlob = (type, quality) => new Promise(resolve => canvas.toBlob(resolve, type, quality));
+  let file;
+  if (format === 'pdf') {
+    const jpeg = new Uint8Array(await (await toBlob('image/jpeg', 0.92)).arrayBuffer());
+    file = new Blob([imageToPdf(jpeg, width, height)], { type: 'application/pdf' });
+  } else {
+    file = await toBlob('image/png');
+  }
+
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(file);
+  link.download = `letter-${letter.code}.${format}`;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+};
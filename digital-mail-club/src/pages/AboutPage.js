@@ -0,0 +1,24 @@
+// What the club is, for anyone who arrives by a shared link
+const AboutPage = () => (
+  <div className="letter-view">
+    <div className="letter-card">
+      <h3>About Digital Mail Club 💌</h3>
+      <div className="letter-body">
+        Digital Mail Club brings back the joy of real letters. Write one, choose its paper,
+        ink and stamps, and we seal it under a secret code.<br/><br/>
+        <strong>Anyone with the code can open it</strong> - no accounts, no inbox to check.
+        Letters can wait for a delivery day, burn after their last reading, or be locked
+        with a passphrase only your reader knows.<br/><br/>
+        Letters are kept for 30 days unless you choose otherwise, and a letter's sender
+        can always edit or delete it with their private manage link.
+      </div>
+    </div>
+
+    <div className="nav-buttons">
+      <a href="/write" className="btn btn-primary">Write New Letter</a>
+      <a href="/" className="btn btn-secondary">Back to Mailbox</a>
+    </div>
+  </div>
+);
+
+export default AboutPage;
@@ -0,0 +1,85 @@
+import { useState } from 'react';
+import { letterClient } from '../api';
+import { useSession } from '../session';
+import { useRouter } from '../router';
+
+// Sign in or create an account
+const AuthPage = () => {
+  const { navigate } = useRouter();
+  const session = useSession();
+  const [mode, setMode] = useState('login');
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [displayName, setDisplayName] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSubmit = async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      await letterClient.signIn(mode, { email, password, displayName });
+      await session.refresh();
+      navigate('/inbox');
+    } catch (error) {
+      console.error('Auth error:', error);
+      setError(error.message || 'Failed to sign in');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="write-form">
+      <h2>{mode === 'login' ? 'Welcome Back 📫' : 'Join the Club 📫'}</h2>
+      {mode === 'register' && (
+        <div className="form-group">
+          <label htmlFor="display-name">Your Name:</label>
+          <input
+            type="text"
+            id="display-name"
+            value={displayName}
+            onChange={(e) => setDisplayName(e.target.value)}
+            placeholder="Anonymous Friend"
+          />
+        </div>
+      )}
+      <div className="form-group">
+        <label htmlFor="email">Email:</label>
+        <input
+          type="email"
+          id="email"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          autoComplete="email"
+        />
+      </div>
+      <div className="form-group">
+        <label htmlFor="password">Password:</label>
+        <input
+          type="password"
+          id="password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && handleSubmit()}
+          autoComplete={mode === 'login' ? 'current-password' : 'new-password'}
+        />
+      </div>
+      {error && <div className="error-message">{error}</div>}
+      <div className="nav-buttons">
+        <button className="btn btn-primary" onClick={handleSubmit} disabled={loading}>
+          {loading ? 'One moment...' : mode === 'login' ? 'Sign In' : 'Create Account'}
+        </button>
+        <button
+          className="btn btn-secondary"
+          onClick={() => setMode(mode === 'login' ? 'register' : 'login')}
+        >
+          {mode === 'login' ? 'New here? Create an account' : 'Have an account? Sign in'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default AuthPage;
@@ -0,0 +1,171 @@
+import { useState, useEffect } from 'react';
+import { normalizeCode } from '../utils/letterCodes';
+import { letterClient } from '../api';
+import { createDraftId, localDrafts } from '../storage';
+import { useRouter } from '../router';
+import Envelope from '../components/Envelope';
+
+// Home page with centered envelope
+const HomePage = () => {
+  const { historyState, navigate } = useRouter();
+  const [isOpening, setIsOpening] = useState(false);
+  const [drafts, setDrafts] = useState(() => localDrafts.list());
+  const [resumeInput, setResumeInput] = useState('');
+  const [resuming, setResuming] = useState(false);
+  const [draftError, setDraftError] = useState('');
+  const showLetter = !!historyState.opened;
+
+  useEffect(() => {
+    if (!showLetter) setIsOpening(false);
+  }, [showLetter]);
+
+  // The open letter is its own history entry, so Back folds it away again
+  const handleEnvelopeClick = () => {
+    setIsOpening(true);
+    setTimeout(() => {
+      navigate(null, { state: { opened: true } });
+    }, 900);
+  };
+
+  const closeLetter = () => {
+    window.history.back();
+  };
+
+  const discardDraft = (draft) => {
+    if (!window.confirm(`Discard "${draft.subject || 'Untitled letter'}"? This can't be undone.`)) {
+      return;
+    }
+
+    localDrafts.remove(draft.id);
+    setDrafts(localDrafts.list());
+    if (draft.resumeCode) {
+      letterClient.deleteDraft(draft.resumeCode).catch(error => console.log('Server draft removal failed (non-critical):', error.message));
+    }
+  };
+
+  // Pull a draft saved on another device into this browser and keep writing
+  const resumeDraft = async () => {
+    const resumeCode = normalizeCode(resumeInput);
+    if (!resumeCode) return;
+
+    setResuming(true);
+    setDraftError('');
+
+    try {
+      const { draft } = await letterClient.loadDraft(resumeCode);
+      const existing = localDrafts.list().find(entry => entry.resumeCode === resumeCode);
+      const saved = localDrafts.save({
+        id: existing ? existing.id : createDraftId(),
+        subject: draft.subject,
+        content: draft.content,
+        senderName: draft.senderName,
+        style: draft.style,
+        stamps: draft.stamps,
+        replyTo: draft.replyTo,
+        resumeCode
+      });
+      navigate(`/write?draft=${saved.id}`);
+    } catch (error) {
+      console.error('Resume error:', error);
+      setDraftError(error.message || 'Failed to load draft');
+      setResuming(false);
+    }
+  };
+
+  if (showLetter) {
+    return (
+      <div className="letter-view">
+        <div className="letter-card">
+          <div className="letter-meta">
+            <div>From: <strong>The Mail Club Team</strong></div>
+            <div>Today</div>
+          </div>
+          <h3>Welcome to Digital Mail Club! 🌟</h3>
+          <div className="letter-body">
+            Dear Friend,<br/><br/>
+            Welcome to our magical corner of the internet! This is your digital mailbox where heartfelt letters travel across the world instantly.<br/><br/>
+            <strong>How it works:</strong><br/>
+            • Click "Write New" to compose a letter<br/>
+            • Get a unique secret code (or a passphrase)<br/>
+            • Share the code with anyone, anywhere!<br/>
+            • They can read your letter from any device<br/><br/>
+            Your letters are now stored in the cloud and can be accessed from anywhere! Start spreading some joy! ✨<br/><br/>
+            Happy letter writing!<br/><br/>
+            💌 The Mail Club Team
+          </div>
+          <div className="letter-actions">
+            <button className="btn btn-secondary" onClick={() => navigate('/write')}>
+              Write New Letter
+            </button>
+            <button className="btn btn-primary" onClick={closeLetter}>
+              Close Letter
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="mailbox">
+      <Envelope onClick={handleEnvelopeClick} isOpening={isOpening} />
+      <div className="nav-buttons">
+        <a href="/write" className="btn btn-primary">Write New Letter</a>
+        <a href="/letter" className="btn btn-secondary">Read by Code</a>
+        <a href="/track" className="btn btn-secondary">Track My Letters</a>
+      </div>
+      <div className="drafts">
+        {drafts.length > 0 && (
+          <>
+            <h3 className="track-title">Unfinished Letters 📝</h3>
+            <div className="inbox-list">
+              {drafts.map(draft => (
+                <div
+                  key={draft.id}
+                  className="inbox-item"
+                  onClick={() => navigate(`/write?draft=${draft.id}`)}
+                  role="button"
+                  tabIndex="0"
+                >
+                  <div className="inbox-item-main">
+                    <strong>{draft.subject || 'Untitled letter'}</strong>
+                    <span>
+                      Saved {new Date(draft.updatedAt).toLocaleString()}
+                      {draft.replyTo && ` • reply to ${draft.replyTo}`}
+                      {draft.resumeCode && ' • ☁️ saved to the cloud'}
+                    </span>
+                  </div>
+                  <button
+                    className="inbox-remove"
+                    onClick={(e) => { e.stopPropagation(); discardDraft(draft); }}
+                    title="Discard draft"
+                  >
+                    ×
+                  </button>
+                </div>
+              ))}
+            </div>
+          </>
+        )}
+        <div className="inbox-add">
+          <input
+            type="text"
+            value={resumeInput}
+            onChange={(e) => setResumeInput(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && resumeDraft()}
+            placeholder="Started a letter on another device? Enter its resume code"
+          />
+          <button className="btn btn-secondary" onClick={resumeDraft} disabled={resuming}>
+            {resuming ? 'Fetching...' : 'Resume ✍️'}
+          </button>
+        </div>
+        {draftError && <div className="error-message">{draftError}</div>}
+      </div>
+      <div className="stats">
+        <p>✨ Letters now travel instantly across the internet! ✨</p>
+      </div>
+    </div>
+  );
+};
+
+export default HomePage;
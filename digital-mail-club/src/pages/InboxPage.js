@@ -0,0 +1,166 @@
+import { useState, useEffect, useCallback } from 'react';
+import { normalizeCode } from '../utils/letterCodes';
+import { letterClient } from '../api';
+import { useSession } from '../session';
+import { useRouter } from '../router';
+import Loading from '../components/Loading';
+
+// A member's saved and sent letters
+const InboxPage = () => {
+  const { navigate } = useRouter();
+  const session = useSession();
+  const [mailbox, setMailbox] = useState({ received: [], sent: [] });
+  const [folder, setFolder] = useState('received');
+  const [codeInput, setCodeInput] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadMailbox = useCallback(async () => {
+    setLoading(true);
+    try {
+      setMailbox(await letterClient.listMailbox());
+    } catch (error) {
+      console.error('Mailbox error:', error);
+      setError(error.message || 'Failed to load mailbox');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (session.user) loadMailbox();
+  }, [session.user, loadMailbox]);
+
+  const addByCode = async () => {
+    if (!codeInput.trim()) return;
+    setError('');
+
+    try {
+      await letterClient.saveToMailbox(normalizeCode(codeInput));
+      setCodeInput('');
+      await loadMailbox();
+      session.refresh();
+    } catch (error) {
+      setError(error.message || 'Failed to add letter');
+    }
+  };
+
+  const openEntry = async (entry) => {
+    if (folder === 'received' && !entry.readAt) {
+      letterClient.markMailboxRead(entry.code).then(session.refresh).catch(() => {});
+    }
+    navigate(`/letter/${entry.code}`);
+  };
+
+  const removeEntry = async (entry) => {
+    try {
+      await letterClient.removeFromMailbox(entry.code, folder);
+      await loadMailbox();
+      session.refresh();
+    } catch (error) {
+      setError(error.message || 'Failed to remove letter');
+    }
+  };
+
+  if (!session.user) {
+    return (
+      <div className="write-form">
+        <h2>Your Mailbox 📫</h2>
+        <p>Sign in to keep the letters you receive and send in one place.</p>
+        <div className="nav-buttons">
+          <a href="/login" className="btn btn-primary">Sign In</a>
+        </div>
+      </div>
+    );
+  }
+
+  if (loading) {
+    return <Loading message="Emptying the mailbox... 📫" />;
+  }
+
+  const entries = mailbox[folder];
+  const unread = mailbox.received.filter(entry => !entry.readAt).length;
+
+  return (
+    <div className="inbox">
+      <div className="inbox-tabs">
+        <button
+          className={`inbox-tab ${folder === 'received' ? 'active' : ''}`}
+          onClick={() => setFolder('received')}
+        >
+          Received {unread > 0 && <span className="count-badge">{unread}</span>}
+        </button>
+        <button
+          className={`inbox-tab ${folder === 'sent' ? 'active' : ''}`}
+          onClick={() => setFolder('sent')}
+        >
+          Sent
+        </button>
+      </div>
+
+      {folder === 'received' && (
+        <div className="inbox-add">
+          <input
+            type="text"
+            value={codeInput}
+            onChange={(e) => setCodeInput(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && addByCode()}
+            placeholder="Got a code? Add it to your mailbox"
+          />
+          <button className="btn btn-primary" onClick={addByCode}>Add 📥</button>
+        </div>
+      )}
+
+      {error && <div className="error-message">{error}</div>}
+
+      {entries.length === 0 ? (
+        <p className="inbox-empty">
+          {folder === 'received' ? 'No letters saved yet.' : 'No letters sent while signed in yet.'}
+        </p>
+      ) : (
+        <div className="inbox-list">
+          {entries.map(entry => (
+            <div
+              key={entry.code}
+              className={`inbox-item ${folder === 'received' && !entry.readAt ? 'unread' : ''}`}
+              onClick={() => openEntry(entry)}
+              role="button"
+              tabIndex="0"
+            >
+              <div className="inbox-item-main">
+                <strong>
+                  {entry.sealed
+                    ? `⏳ Sealed until ${new Date(entry.deliverAt).toLocaleString()}`
+                    : entry.burned
+                      ? '🔥 Self-destructed'
+                      : entry.withheld
+                        ? '🔥 Self-destructing letter'
+                        : entry.subject}
+                </strong>
+                <span>
+                  {folder === 'received' ? `From ${entry.senderName}` : `Code ${entry.code}`}
+                  {' • '}{new Date(entry.dateCreated).toLocaleDateString()}
+                  {entry.encrypted && ' • 🔒'}
+                </span>
+              </div>
+              <button
+                className="inbox-remove"
+                onClick={(e) => { e.stopPropagation(); removeEntry(entry); }}
+                title="Remove from mailbox"
+              >
+                ×
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="nav-buttons">
+        <a href="/write" className="btn btn-primary">Write New Letter</a>
+        <a href="/" className="btn btn-secondary">Back to Mailbox</a>
+      </div>
+    </div>
+  );
+};
+
+export default InboxPage;
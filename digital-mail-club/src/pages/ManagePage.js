@@ -0,0 +1,179 @@
+import { useState, useEffect } from 'react';
+import { letterClient } from '../api';
+import { sentLetters } from '../storage';
+import { buildShareUrl, useRouter } from '../router';
+import Loading from '../components/Loading';
+
+// Sender-only page for revoking a letter
+const ManagePage = () => {
+  const { params, getFragmentParam } = useRouter();
+  const code = params.code;
+  const manageToken = getFragmentParam('token');
+  const [letter, setLetter] = useState(null);
+  const [subject, setSubject] = useState('');
+  const [content, setContent] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [revoked, setRevoked] = useState(false);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+
+  useEffect(() => {
+    if (!code || !manageToken) return;
+
+    const loadLetter = async () => {
+      setLoading(true);
+      try {
+        const result = await letterClient.getManagedLetter(code, manageToken);
+        setLetter(result.letter);
+        setSubject(result.letter.subject);
+        setContent(result.letter.content);
+      } catch (error) {
+        console.error('Fetch error:', error);
+        setError(error.message || 'Failed to load letter');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadLetter();
+  }, [code, manageToken]);
+
+  const handleSave = async () => {
+    if (!subject.trim() || !content.trim()) {
+      setError('Please fill in both subject and message');
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+    setNotice('');
+
+    try {
+      const result = await letterClient.updateLetter(code, manageToken, {
+        subject: subject.trim(),
+        content: content.trim()
+      });
+      setLetter({ ...letter, subject: subject.trim(), content: content.trim(), editedAt: result.editedAt });
+      setNotice('Changes saved! Your reader will see the corrected letter. ✏️');
+    } catch (error) {
+      console.error('Update error:', error);
+      setError(error.message || 'Failed to update letter');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRevoke = async () => {
+    if (!window.confirm('Revoke this letter? Nobody will be able to read it afterwards.')) {
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+
+    try {
+      await letterClient.deleteLetter(code, manageToken);
+      sentLetters.remove(code);
+      setRevoked(true);
+    } catch (error) {
+      console.error('Delete error:', error);
+      setError(error.message || 'Failed to revoke letter');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (loading) {
+    return <Loading message="Fetching your letter back from the post office... 📭" />;
+  }
+
+  if (!code || !manageToken) {
+    return (
+      <div className="write-form">
+        <h2>Manage Your Letter ✉️</h2>
+        <div className="error-message">This manage link is incomplete. Use the full link you got when sending.</div>
+        <div className="nav-buttons">
+          <a href="/" className="btn btn-secondary">Back to Mailbox</a>
+        </div>
+      </div>
+    );
+  }
+
+  if (revoked) {
+    return (
+      <div className="write-form">
+        <h2>Letter Revoked 📭</h2>
+        <div className="success-message">
+          <p>Letter <strong>{code}</strong> has been deleted. Its code no longer opens anything.</p>
+        </div>
+        <div className="nav-buttons">
+          <a href="/write" className="btn btn-primary">Write New Letter</a>
+          <a href="/" className="btn btn-secondary">Back to Mailbox</a>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="write-form">
+      <h2>Manage Your Letter ✉️</h2>
+      <div className="success-message">
+        <div className="code-display">
+          <p>Letter code:</p>
+          <div className="generated-code">{code}</div>
+          <p>Share link: <a href={`/letter/${code}`}>{buildShareUrl(code)}</a></p>
+          {letter && (
+            <p className="delivery-note">
+              {letter.firstReadAt || letter.readCount > 0
+                ? `📬 Opened ${letter.readCount} ${letter.readCount === 1 ? 'time' : 'times'}` +
+                  (letter.firstReadAt ? `, first on ${new Date(letter.firstReadAt).toLocaleString()}` : '')
+                : '📪 Not opened yet'}
+            </p>
+          )}
+        </div>
+        {letter && letter.encryption && (
+          <p>This letter is end-to-end encrypted, so it can't be edited here.</p>
+        )}
+        {letter && !letter.encryption && letter.readCount === 0 && !letter.burnedAt && (
+          <div className="edit-letter">
+            <p>Not opened yet — you can still fix any typos:</p>
+            <div className="form-group">
+              <label htmlFor="edit-subject">Subject:</label>
+              <input
+                type="text"
+                id="edit-subject"
+                value={subject}
+                onChange={(e) => setSubject(e.target.value)}
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="edit-content">Your Letter:</label>
+              <textarea
+                id="edit-content"
+                value={content}
+                onChange={(e) => setContent(e.target.value)}
+                rows="10"
+              />
+            </div>
+            <button className="btn btn-primary" onClick={handleSave}>
+              Save Changes ✏️
+            </button>
+          </div>
+        )}
+        {letter && !letter.encryption && (letter.readCount > 0 || letter.burnedAt) && (
+          <p>This letter has been opened, so it can no longer be edited.</p>
+        )}
+        {notice && <div className="notice-message">{notice}</div>}
+        {error && <div className="error-message">{error}</div>}
+        <div className="nav-buttons">
+          <button className="btn btn-danger" onClick={handleRevoke}>
+            Revoke Letter 🗑️
+          </button>
+          <a href="/" className="btn btn-secondary">Back to Mailbox</a>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ManagePage;
@@ -0,0 +1,15 @@
+const NotFoundPage = () => (
+  <div className="letter-view">
+    <div className="error-message">
+      <h3>This page got lost in the mail 📭</h3>
+      <p>The address doesn't match anything here. If someone sent you a letter code, you can open it below.</p>
+    </div>
+
+    <div className="nav-buttons">
+      <a href="/letter" className="btn btn-primary">Read by Code</a>
+      <a href="/" className="btn btn-secondary">Back to Mailbox</a>
+    </div>
+  </div>
+);
+
+export default NotFoundPage;
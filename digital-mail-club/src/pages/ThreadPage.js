@@ -0,0 +1,93 @@
+import { useState, useEffect } from 'react';
+import { normalizeCode } from '../utils/letterCodes';
+import { decryptContent } from '../utils/letterCrypto';
+import { letterClient } from '../api';
+import { useRouter } from '../router';
+import LetterText from '../components/LetterText';
+import { inkStyle, paperClass } from '../components/Stationery';
+import Loading from '../components/Loading';
+
+// A reply chain, oldest letter first
+const ThreadPage = () => {
+  const { params, getFragmentParam } = useRouter();
+  const code = params.code;
+  const linkKey = getFragmentParam('key');
+  const [letters, setLetters] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!code) return;
+
+    const loadThread = async () => {
+      setLoading(true);
+      setError('');
+
+      try {
+        const result = await letterClient.getThread(normalizeCode(code));
+
+        // The key in this link only opens the letter it was shared with
+        const thread = await Promise.all(result.letters.map(async (entry) => {
+          if (entry.encryption?.kdf === 'link' && entry.code === normalizeCode(code) && linkKey) {
+            try {
+              return { ...entry, content: await decryptContent(entry.content, entry.encryption, linkKey), encryption: null };
+            } catch (decryptError) {
+              return entry;
+            }
+          }
+          return entry;
+        }));
+
+        setLetters(thread);
+      } catch (error) {
+        console.error('Thread error:', error);
+        setError(error.message || 'Failed to load conversation');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadThread();
+  }, [code, linkKey]);
+
+  if (loading) {
+    return <Loading message="Gathering the whole conversation... 🧵" />;
+  }
+
+  return (
+    <div className="letter-view thread-view">
+      <h2 className="thread-title">Conversation 🧵</h2>
+      {error && <div className="error-message">{error}</div>}
+      {letters.map((entry) => (
+        <div key={entry.code} className={`letter-card thread-letter ${paperClass(entry.style)}`}>
+          <div className="letter-meta">
+            <div>From: <strong>{entry.senderName}</strong></div>
+            <div>{new Date(entry.dateCreated).toLocaleDateString()}</div>
+          </div>
+          {entry.withheld ? (
+            <p className="thread-placeholder">
+              🔒 This letter can only be read on its own — it may be unopened, scheduled or set to self-destruct.
+            </p>
+          ) : (
+            <>
+              <h3>{entry.subject}</h3>
+              <div className="letter-body" style={inkStyle(entry.style)}>
+                {entry.encryption
+                  ? <p className="thread-placeholder">🔒 Encrypted — open it with its own link or passphrase.</p>
+                  : <LetterText text={entry.content} />}
+              </div>
+            </>
+          )}
+          <div className="thread-open">
+            <a href={`/letter/${entry.code}`}>Open letter {entry.code}</a>
+          </div>
+        </div>
+      ))}
+      <div className="nav-buttons">
+        <a href="/" className="btn btn-secondary">Back to Mailbox</a>
+      </div>
+    </div>
+  );
+};
+
+export default ThreadPage;
@@ -0,0 +1,158 @@
+import { useState, useEffect, useCallback } from 'react';
+import { letterClient } from '../api';
+import { outbox, sentLetters, useOutbox } from '../storage';
+import { useSession } from '../session';
+import { buildShareUrl, useRouter } from '../router';
+import Loading from '../components/Loading';
+
+const LETTER_STATUS_LABELS = {
+  scheduled: '⏳ Scheduled',
+  unread: '📪 Not opened yet',
+  read: '📬 Opened',
+  burned: '🔥 Self-destructed',
+  expired: '🕰️ Expired'
+};
+
+// Read receipts for every letter sent from this browser or this account
+const TrackPage = () => {
+  const session = useSession();
+  const { navigate } = useRouter();
+  const [letters, setLetters] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [reloads, setReloads] = useState(0);
+  const queued = useOutbox(() => setReloads(count => count + 1));
+
+  const loadStatus = useCallback(async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const local = sentLetters.list();
+      const result = await letterClient.trackLetters(local.map(({ code, token }) => ({ code, token })));
+
+      // Revoked and cleaned-up letters have nothing left to track
+      result.missing.forEach(sentLetters.remove);
+
+      const byCode = Object.fromEntries(local.map(entry => [entry.code, entry]));
+      setLetters(result.letters.map(letter => ({
+        ...letter,
+        token: byCode[letter.code]?.token,
+        linkKey: byCode[letter.code]?.linkKey
+      })));
+    } catch (error) {
+      console.error('Status error:', error);
+      setError(error.message || 'Failed to load letter status');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadStatus();
+  }, [loadStatus, session.user, reloads]);
+
+  const forgetLetter = (code) => {
+    sentLetters.remove(code);
+    setLetters(letters.filter(letter => letter.code !== code));
+  };
+
+  if (loading) {
+    return <Loading message="Asking the post office about your letters... 📬" />;
+  }
+
+  return (
+    <div className="inbox">
+      <h2 className="track-title">Track My Letters 📬</h2>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {queued.length > 0 && (
+        <div className="inbox-list outbox-list">
+          {queued.map(entry => (
+            <div key={entry.id} className="inbox-item">
+              <div className="inbox-item-main">
+                <strong>{entry.subject || 'Untitled letter'}</strong>
+                <span>
+                  {entry.error
+                    ? `⚠️ Couldn't be sent: ${entry.error}`
+                    : '📡 Waiting in the outbox - it will be sent once you\'re back online'}
+                </span>
+                <span>Written {new Date(entry.queuedAt).toLocaleString()}</span>
+              </div>
+              {entry.error && (
+                <button
+                  className="inbox-remove"
+                  onClick={() => outbox.remove(entry.id)}
+                  title="Dismiss - the letter is still in your drafts"
+                >
+                  ×
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {letters.length === 0 ? (
+        <p className="inbox-empty">
+          {session.user ? 'No letters sent from here or your account yet.' : 'No letters sent from this browser yet.'}
+        </p>
+      ) : (
+        <div className="inbox-list">
+          {letters.map(letter => (
+            <div
+              key={letter.code}
+              className="inbox-item"
+              onClick={() => letter.token && navigate(`/letter/${letter.code}/manage#token=${letter.token}`)}
+              role="button"
+              tabIndex="0"
+            >
+              <div className="inbox-item-main">
+                <strong>{letter.subject || `Letter ${letter.code}`}</strong>
+                <span>
+                  {LETTER_STATUS_LABELS[letter.status]}
+                  {letter.readAt && ` • first opened ${new Date(letter.readAt).toLocaleString()}`}
+                  {letter.readCount > 0 && ` • ${letter.readCount} ${letter.readCount === 1 ? 'reading' : 'readings'}`}
+                </span>
+                <span>
+                  Code {letter.code}
+                  {' • '}sent {new Date(letter.dateCreated).toLocaleDateString()}
+                  {' • '}{letter.expiresAt
+                    ? `expires ${new Date(letter.expiresAt).toLocaleDateString()}`
+                    : 'never expires'}
+                  {letter.recipientEmail && ` • to ${letter.recipientEmail}`}
+                  {letter.readReceipt && ' • 🔔'}
+                </span>
+                {letter.linkKey && (
+                  <span>
+                    🔒 Share it with its full link:{' '}
+                    <a href={buildShareUrl(letter.code, letter.linkKey)} onClick={(e) => e.stopPropagation()}>
+                      {buildShareUrl(letter.code, letter.linkKey)}
+                    </a>
+                  </span>
+                )}
+              </div>
+              {letter.token && (
+                <button
+                  className="inbox-remove"
+                  onClick={(e) => { e.stopPropagation(); forgetLetter(letter.code); }}
+                  title="Stop tracking on this device"
+                >
+                  ×
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="nav-buttons">
+        <button className="btn btn-primary" onClick={loadStatus}>Refresh 🔄</button>
+        <a href="/" className="btn btn-secondary">Back to Mailbox</a>
+      </div>
+    </div>
+  );
+};
+
+export default TrackPage;
@@ -0,0 +1,366 @@
+import { useState, useEffect, useCallback } from 'react';
+import { normalizeCode } from '../utils/letterCodes';
+import { decryptContent } from '../utils/letterCrypto';
+import { letterClient } from '../api';
+import { openedLetters } from '../storage';
+import { useSession } from '../session';
+import { useRouter } from '../router';
+import { formatCountdown, useCountdown } from '../time';
+import { downloadLetter } from '../download';
+import Envelope from '../components/Envelope';
+import LetterText from '../components/LetterText';
+import { LetterDecorations, inkStyle, paperClass } from '../components/Stationery';
+import LetterPhotos from '../components/LetterPhotos';
+import LetterDiff from '../components/LetterDiff';
+import Loading from '../components/Loading';
+
+// Letters fetched this session by code, so going back and forth between
+// pages doesn't spend another reading of a self-destructing letter
+const fetchedLetters = new Map();
+
+// View letter by code page
+const ViewPage = () => {
+  const { params, historyState, getFragmentParam, navigate } = useRouter();
+  const session = useSession();
+  const [savedNotice, setSavedNotice] = useState('');
+  const [codeInput, setCodeInput] = useState('');
+  const [letter, setLetter] = useState(null);
+  const [isOpening, setIsOpening] = useState(false);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [showChanges, setShowChanges] = useState(false);
+  const [lockedUntil, setLockedUntil] = useState(null);
+  const [passphraseInput, setPassphraseInput] = useState('');
+  const [decrypting, setDecrypting] = useState(false);
+  const [showDownload, setShowDownload] = useState(false);
+  const [downloading, setDownloading] = useState(false);
+  const codeFromUrl = params.code;
+  const keyFromUrl = getFragmentParam('key');
+  const showLetter = !!historyState.opened;
+  const remaining = useCountdown(letter?.sealed ? letter.deliverAt : null);
+  const lockRemaining = useCountdown(lockedUntil);
+  const isLocked = lockRemaining > 0;
+
+  const findLetter = useCallback(async (code, { fresh = false } = {}) => {
+    if (!code.trim()) {
+      setError('Please enter a letter code');
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+    setLockedUntil(null);
+
+    try {
+      const normalized = normalizeCode(code);
+      if (fresh || !fetchedLetters.has(normalized)) {
+        const result = await letterClient.getLetter(normalized);
+        fetchedLetters.set(normalized, result.letter);
+      }
+      let found = fetchedLetters.get(normalized);
+
+      // Letters encrypted with a link key open straight away when the link carries it
+      if (found.encryption?.kdf === 'link' && keyFromUrl) {
+        try {
+          found = { ...found, content: await decryptContent(found.content, found.encryption, keyFromUrl), decrypted: true };
+        } catch (decryptError) {
+          setError(decryptError.message);
+        }
+      }
+
+      setLetter(found);
+    } catch (error) {
+      console.error('Fetch error:', error);
+      setError(error.message || 'Failed to find letter');
+      setLetter(null);
+      if (error.retryAfter) {
+        setLockedUntil(new Date(Date.now() + error.retryAfter * 1000).toISOString());
+      }
+    } finally {
+      setLoading(false);
+    }
+  }, [keyFromUrl]);
+
+  useEffect(() => {
+    if (codeFromUrl) {
+      setCodeInput(codeFromUrl);
+      findLetter(codeFromUrl);
+    }
+  }, [codeFromUrl, findLetter]);
+
+  // Going back from an open letter shows its envelope again
+  useEffect(() => {
+    if (!showLetter) {
+      setIsOpening(false);
+      setShowChanges(false);
+      setShowDownload(false);
+    }
+  }, [showLetter]);
+
+  // Fetch the full letter once a scheduled delivery unlocks (the short
+  // delay gives a slightly slow server clock a chance to catch up)
+  useEffect(() => {
+    if (letter?.sealed && remaining === 0) {
+      const timer = setTimeout(() => findLetter(letter.code, { fresh: true }), 1000);
+      return () => clearTimeout(timer);
+    }
+  }, [letter, remaining, findLetter]);
+
+  const handleCodeSubmit = () => {
+    const code = normalizeCode(codeInput);
+    if (!code) {
+      setError('Please enter a letter code');
+    } else if (code === normalizeCode(codeFromUrl || '')) {
+      findLetter(code, { fresh: true });
+    } else {
+      navigate(`/letter/${encodeURIComponent(code)}`);
+    }
+  };
+
+  const saveToMailbox = async () => {
+    try {
+      await letterClient.saveToMailbox(letter.code, true);
+      setSavedNotice('Saved to your mailbox! 📥');
+      session.refresh();
+    } catch (error) {
+      setSavedNotice(error.message);
+    }
+  };
+
+  const handleUnlock = async () => {
+    setDecrypting(true);
+    setError('');
+
+    try {
+      const content = await decryptContent(letter.content, letter.encryption, passphraseInput);
+      setLetter({ ...letter, content, decrypted: true });
+      setPassphraseInput('');
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setDecrypting(false);
+    }
+  };
+
+  const isEncryptedShut = !!letter?.encryption && !letter.decrypted;
+
+  const openEnvelope = () => {
+    if (!letter || letter.sealed || isEncryptedShut) return;
+    setIsOpening(true);
+    // Kept as fetched - still encrypted if it was - for rereading offline
+    openedLetters.save(fetchedLetters.get(letter.code))
+      .catch(error => console.log('Offline copy failed (non-critical):', error.message));
+    setTimeout(() => {
+      navigate(null, { state: { opened: true } });
+    }, 900);
+  };
+
+  const closeLetter = () => {
+    window.history.back();
+  };
+
+  const handleDownload = async (format) => {
+    setDownloading(true);
+    try {
+      await downloadLetter(letter, format);
+    } catch (error) {
+      console.error('Download error:', error);
+      setSavedNotice('Could not prepare the download - try printing instead.');
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  if (loading) {
+    return <Loading message="Searching for your letter in the cloud... 🔍" />;
+  }
+
+  if (showLetter && letter && !letter.sealed && !isEncryptedShut) {
+    return (
+      <div className="letter-view">
+        <div className="print-only print-envelope">
+          <Envelope hasLetter={false} stamps={letter.stamps || []} />
+        </div>
+        <div className={`letter-card ${paperClass(letter.style)}`}>
+          <LetterDecorations style={letter.style} />
+          <div className="letter-meta">
+            <div>From: <strong>{letter.senderName}</strong></div>
+            <div>
+              {new Date(letter.dateCreated).toLocaleDateString()}
+              {letter.editedAt && (
+                <span className="edited-marker" title={`Edited ${new Date(letter.editedAt).toLocaleString()}`}>
+                  {' '}✏️ edited
+                </span>
+              )}
+            </div>
+          </div>
+          <h3>{letter.subject}</h3>
+          {letter.parentCode && (
+            <div className="reply-marker">↩️ In reply to letter {letter.parentCode}</div>
+          )}
+          {letter.decrypted && (
+            <div className="encrypted-notice">🔒 End-to-end encrypted — decrypted on this device</div>
+          )}
+          {!navigator.onLine && (
+            <div className="encrypted-notice">📴 You're offline — this is the copy kept when you first opened it</div>
+          )}
+          {letter.finalRead && (
+            <div className="burn-notice">
+              🔥 This was the final reading — the letter has now self-destructed.
+            </div>
+          )}
+          {showChanges && letter.original ? (
+            <div className="letter-body" style={inkStyle(letter.style)}>
+              {letter.original.subject !== letter.subject && (
+                <p className="diff-subject">
+                  Subject: <LetterDiff before={letter.original.subject} after={letter.subject} />
+                </p>
+              )}
+              <LetterDiff before={letter.original.content} after={letter.content} />
+            </div>
+          ) : (
+            <div className="letter-body" style={inkStyle(letter.style)}>
+              <LetterText text={letter.content} />
+            </div>
+          )}
+          <LetterPhotos photos={letter.attachments} senderName={letter.senderName} />
+          <div className="letter-actions">
+            {letter.original && (
+              <button className="btn btn-copy" onClick={() => setShowChanges(!showChanges)}>
+                {showChanges ? 'Hide Changes' : 'Show Changes ✏️'}
+              </button>
+            )}
+            {letter.parentCode && (
+              <button
+                className="btn btn-copy"
+                onClick={() => navigate(`/letter/${letter.code}/thread${keyFromUrl ? `#key=${keyFromUrl}` : ''}`)}
+              >
+                View Conversation 🧵
+              </button>
+            )}
+            {session.user && (
+              <button className="btn btn-copy" onClick={saveToMailbox}>
+                Save to My Mailbox 📥
+              </button>
+            )}
+            <button className="btn btn-copy" onClick={() => setShowDownload(!showDownload)}>
+              Download ⬇️
+            </button>
+            <button
+              className="btn btn-secondary"
+              onClick={() => navigate(`/write?replyTo=${letter.code}&subject=${encodeURIComponent(
+                letter.subject.startsWith('Re: ') ? letter.subject : `Re: ${letter.subject}`
+              )}`)}
+            >
+              Write Reply 💌
+            </button>
+            <button className="btn btn-primary" onClick={closeLetter}>
+              Close Letter
+            </button>
+          </div>
+          {showDownload && (
+            <div className="download-options">
+              <button className="btn btn-secondary" onClick={() => window.print()}>
+                Print 🖨️
+              </button>
+              <button className="btn btn-secondary" onClick={() => handleDownload('png')} disabled={downloading}>
+                Postcard Image 🖼️
+              </button>
+              <button className="btn btn-secondary" onClick={() => handleDownload('pdf')} disabled={downloading}>
+                PDF 📄
+              </button>
+            </div>
+          )}
+          {savedNotice && <div className="notice-message">{savedNotice}</div>}
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="view-page">
+      <div className="code-entry">
+        <h2>Enter Letter Code 🔑</h2>
+        <div>
+          <div className="form-group">
+            <label htmlFor="code">Letter Code:</label>
+            <input
+              type="text"
+              id="code"
+              value={codeInput}
+              onChange={(e) => setCodeInput(e.target.value)}
+              placeholder="ABCD2345 or maple-otter-lantern-moss"
+              maxLength="64"
+              autoCapitalize="none"
+              autoComplete="off"
+              spellCheck="false"
+            />
+          </div>
+          <button 
+            type="button" 
+            className="btn btn-primary" 
+            onClick={handleCodeSubmit}
+            disabled={loading || isLocked}
+          >
+            {loading ? 'Searching...' : 'Find Letter 🔍'}
+          </button>
+          {error && <div className="error-message">{error}</div>}
+          {isLocked && (
+            <div className="lockout-message">
+              🔒 The mail slot is locked. Try again in {formatCountdown(lockRemaining)}.
+            </div>
+          )}
+        </div>
+        <div className="nav-buttons">
+          <a href="/" className="btn btn-secondary">Back to Mailbox</a>
+        </div>
+      </div>
+
+      {letter && letter.sealed && (
+        <div className="found-letter">
+          <h3>A Letter Is On Its Way! ⏳</h3>
+          <p>From: <strong>{letter.senderName}</strong></p>
+          <p>It can be opened on {new Date(letter.deliverAt).toLocaleString()}</p>
+          <Envelope countdown={formatCountdown(remaining)} stamps={letter.stamps || []} />
+        </div>
+      )}
+
+      {letter && !letter.sealed && (
+        <div className="found-letter">
+          <h3>Letter Found! 🎉</h3>
+          <p>From: <strong>{letter.senderName}</strong></p>
+          {letter.finalRead && (
+            <p className="burn-notice">🔥 This is its last reading — once you close it, it's gone.</p>
+          )}
+          {!letter.finalRead && letter.readsRemaining !== null && letter.readsRemaining !== undefined && (
+            <p>🔥 It will self-destruct after {letter.readsRemaining} more {letter.readsRemaining === 1 ? 'reading' : 'readings'}.</p>
+          )}
+          {isEncryptedShut && letter.encryption.kdf === 'pbkdf2' && (
+            <div className="unlock-form">
+              <p>🔒 This letter is sealed with a passphrase.</p>
+              <div className="form-group">
+                <label htmlFor="unlock-passphrase">Passphrase:</label>
+                <input
+                  type="password"
+                  id="unlock-passphrase"
+                  value={passphraseInput}
+                  onChange={(e) => setPassphraseInput(e.target.value)}
+                  onKeyDown={(e) => e.key === 'Enter' && handleUnlock()}
+                />
+              </div>
+              <button className="btn btn-primary" onClick={handleUnlock} disabled={decrypting || !passphraseInput}>
+                {decrypting ? 'Unlocking...' : 'Unlock Letter 🔑'}
+              </button>
+            </div>
+          )}
+          {isEncryptedShut && letter.encryption.kdf === 'link' && (
+            <p className="unlock-form">🔒 This letter is encrypted. Open it with the full link you were sent — the code alone can't unlock it.</p>
+          )}
+          <Envelope onClick={openEnvelope} isOpening={isOpening} stamps={letter.stamps || []} />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ViewPage;
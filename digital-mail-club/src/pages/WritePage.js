@@ -0,0 +1,721 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import {
+  EXPIRY_OPTIONS,
+  DEFAULT_EXPIRY,
+  MAX_READS_LIMIT,
+  MAX_ATTACHMENTS,
+  MAX_ATTACHMENT_BYTES,
+  ATTACHMENT_TYPES
+} from '../utils/letterOptions';
+import { CODE_STYLES, DEFAULT_CODE_STYLE } from '../utils/letterCodes';
+import { encryptContent } from '../utils/letterCrypto';
+import { DEFAULT_STYLE } from '../utils/stationery';
+import { OUTBOX_ID_HEADER } from '../utils/offline';
+import { letterClient } from '../api';
+import { DRAFT_AUTOSAVE_DELAY_MS, createDraftId, localDrafts, outbox, sentLetters, useOutbox } from '../storage';
+import { useSession } from '../session';
+import { buildManageUrl, buildShareUrl, useRouter } from '../router';
+import { toLocalInputValue } from '../time';
+import LetterText from '../components/LetterText';
+import { LetterDecorations, StampTray, StationeryPicker, inkStyle, paperClass } from '../components/Stationery';
+import LetterPhotos from '../components/LetterPhotos';
+import CodeCard from '../components/CodeCard';
+import Loading from '../components/Loading';
+
+// Write letter page
+const WritePage = () => {
+  const { getParam, navigate } = useRouter();
+  const session = useSession();
+  const [initialDraft] = useState(() => localDrafts.get(getParam('draft')));
+  const replyTo = getParam('replyTo') || initialDraft?.replyTo || null;
+  const [subject, setSubject] = useState(() => initialDraft?.subject ?? (getParam('subject') || ''));
+  const [content, setContent] = useState(() => initialDraft?.content ?? '');
+  const [senderName, setSenderName] = useState(() => initialDraft?.senderName ?? '');
+  const [recipientEmail, setRecipientEmail] = useState('');
+  const [deliverAt, setDeliverAt] = useState('');
+  const [expiresIn, setExpiresIn] = useState(DEFAULT_EXPIRY);
+  const [maxReads, setMaxReads] = useState('');
+  const [codeStyle, setCodeStyle] = useState(DEFAULT_CODE_STYLE);
+  const [encryptMode, setEncryptMode] = useState('none');
+  const [passphrase, setPassphrase] = useState('');
+  const [style, setStyle] = useState(() => initialDraft?.style || DEFAULT_STYLE);
+  const [stamps, setStamps] = useState(() => initialDraft?.stamps || []);
+  const [photos, setPhotos] = useState([]);
+  const [uploading, setUploading] = useState(false);
+  const [wantsReceipt, setWantsReceipt] = useState(false);
+  const [receiptEmail, setReceiptEmail] = useState('');
+  const [receiptWebhook, setReceiptWebhook] = useState('');
+  const [generatedCode, setGeneratedCode] = useState(null);
+  const [sentLetter, setSentLetter] = useState(null);
+  const [linkKey, setLinkKey] = useState(null);
+  const [queuedId, setQueuedId] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [draftId, setDraftId] = useState(() => initialDraft?.id || null);
+  const [resumeCode, setResumeCode] = useState(() => initialDraft?.resumeCode || null);
+  const [draftSavedAt, setDraftSavedAt] = useState(() => initialDraft?.updatedAt || null);
+  const [cloudSaving, setCloudSaving] = useState(false);
+  const lastSavedDraft = useRef(null);
+
+  // A letter sent from the outbox while we wait gets the usual success screen
+  const outboxEntries = useOutbox((delivered) => {
+    const ours = delivered.find(({ entry }) => entry.id === queuedId);
+    if (!ours) return;
+
+    setQueuedId(null);
+    setDraftId(null);
+    setResumeCode(null);
+    setDraftSavedAt(null);
+    lastSavedDraft.current = null;
+    setGeneratedCode(ours.result.code);
+    setSentLetter({ ...ours.result, encryptMode: ours.entry.encryptMode });
+    setLinkKey(ours.entry.linkKey);
+  });
+  const queuedEntry = outboxEntries.find(entry => entry.id === queuedId);
+  // The server only ever gets ciphertext of an encrypted letter, so its drafts stay on this device
+  const localOnly = encryptMode !== 'none';
+
+  const draftFields = useCallback(() => ({
+    subject,
+    content,
+    senderName,
+    style,
+    stamps,
+    replyTo
+  }), [subject, content, senderName, style, stamps, replyTo]);
+
+  // Autosave a moment after typing stops; cloud drafts follow along unless the letter is encrypted
+  useEffect(() => {
+    if (generatedCode || queuedId || (!draftId && !subject.trim() && !content.trim())) return;
+
+    // Opening a draft shouldn't count as editing it
+    const snapshot = JSON.stringify(draftFields());
+    if (lastSavedDraft.current === null && draftId) lastSavedDraft.current = snapshot;
+    if (snapshot === lastSavedDraft.current) return;
+
+    const timer = setTimeout(() => {
+      lastSavedDraft.current = snapshot;
+      const saved = localDrafts.save({ ...draftFields(), id: draftId || createDraftId(), resumeCode });
+      setDraftId(saved.id);
+      setDraftSavedAt(saved.updatedAt);
+
+      if (resumeCode && !localOnly) {
+        letterClient.updateDraft(resumeCode, draftFields())
+          .catch(error => console.log('Cloud draft sync failed (non-critical):', error.message));
+      }
+    }, DRAFT_AUTOSAVE_DELAY_MS);
+
+    return () => clearTimeout(timer);
+  }, [draftFields, draftId, resumeCode, localOnly, generatedCode, queuedId, subject, content]);
+
+  const saveToCloud = async () => {
+    if (localOnly) return;
+
+    setCloudSaving(true);
+    setError('');
+
+    try {
+      const result = resumeCode
+        ? await letterClient.updateDraft(resumeCode, draftFields())
+        : await letterClient.createDraft(draftFields());
+      const code = result.resumeCode || resumeCode;
+      lastSavedDraft.current = JSON.stringify(draftFields());
+      const saved = localDrafts.save({ ...draftFields(), id: draftId || createDraftId(), resumeCode: code });
+      setResumeCode(code);
+      setDraftId(saved.id);
+      setDraftSavedAt(saved.updatedAt);
+    } catch (error) {
+      console.error('Draft save error:', error);
+      setError(error.message || 'Failed to save draft');
+    } finally {
+      setCloudSaving(false);
+    }
+  };
+
+  // A sent letter is no longer a draft, here or on the server
+  const clearDraft = () => {
+    if (draftId) localDrafts.remove(draftId);
+    if (resumeCode) {
+      letterClient.deleteDraft(resumeCode).catch(error => console.log('Server draft removal failed (non-critical):', error.message));
+    }
+    setDraftId(null);
+    setResumeCode(null);
+    setDraftSavedAt(null);
+    lastSavedDraft.current = null;
+  };
+
+  const handleSend = async () => {
+    if (!subject.trim() || !content.trim()) {
+      setError('Please fill in both subject and message');
+      return;
+    }
+
+    if (deliverAt && new Date(deliverAt) <= new Date()) {
+      setError('Please pick a delivery date in the future');
+      return;
+    }
+
+    if (encryptMode === 'passphrase' && passphrase.length < 8) {
+      setError('Please choose a passphrase of at least 8 characters');
+      return;
+    }
+
+    if (photos.length > 0 && encryptMode !== 'none') {
+      setError('Photos can\'t be encrypted - remove them or turn encryption off');
+      return;
+    }
+
+    if (wantsReceipt && !receiptEmail.trim() && !receiptWebhook.trim()) {
+      setError('Tell us where to send the read receipt, or turn it off');
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+
+    try {
+      // Encrypt in the browser so only ciphertext ever leaves this device
+      let body = { content: content.trim(), encryption: null, linkKey: null };
+      if (encryptMode !== 'none') {
+        const sealed = await encryptContent(content.trim(), encryptMode === 'passphrase' ? passphrase : null);
+        body = { content: sealed.ciphertext, encryption: sealed.encryption, linkKey: sealed.linkKey };
+      }
+
+      // Offline, the service worker queues the letter and answers { queued, outboxId }
+      const result = await letterClient.sendLetter({
+        subject: subject.trim(),
+        content: body.content,
+        encryption: body.encryption,
+        senderName: senderName.trim() || 'Anonymous Friend',
+        recipientEmail: recipientEmail.trim() || null,
+        deliverAt: deliverAt ? new Date(deliverAt).toISOString() : null,
+        expiresIn,
+        maxReads: maxReads ? parseInt(maxReads, 10) : null,
+        codeStyle,
+        replyTo,
+        style,
+        stamps,
+        attachments: photos.map(photo => photo.id),
+        readReceipt: wantsReceipt
+          ? { email: receiptEmail.trim() || null, webhookUrl: receiptWebhook.trim() || null }
+          : null
+      }, { [OUTBOX_ID_HEADER]: createDraftId() });
+
+      // Offline: the draft stays put until the outbox gets the letter through
+      if (result.queued) {
+        const saved = localDrafts.save({ ...draftFields(), id: draftId || createDraftId(), resumeCode });
+        setDraftId(saved.id);
+        outbox.save({
+          id: result.outboxId,
+          subject: subject.trim(),
+          encryptMode,
+          linkKey: body.linkKey,
+          draftId: saved.id,
+          resumeCode,
+          queuedAt: new Date().toISOString()
+        });
+        setQueuedId(result.outboxId);
+        return;
+      }
+
+      sentLetters.add({
+        code: result.code,
+        token: result.manageToken,
+        subject: subject.trim(),
+        sentAt: new Date().toISOString()
+      });
+      clearDraft();
+      setGeneratedCode(result.code);
+      setSentLetter({ ...result, encryptMode });
+      setLinkKey(body.linkKey);
+    } catch (error) {
+      console.error('Send error:', error);
+      setError(error.message || 'Failed to send letter. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handlePhotoSelect = async (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = '';
+    setError('');
+
+    if (photos.length + files.length > MAX_ATTACHMENTS) {
+      setError(`You can attach up to ${MAX_ATTACHMENTS} photos`);
+      return;
+    }
+
+    const rejected = files.find(file => !ATTACHMENT_TYPES.includes(file.type) || file.size > MAX_ATTACHMENT_BYTES);
+    if (rejected) {
+      setError(`${rejected.name} must be a JPEG, PNG, WebP or GIF under ${MAX_ATTACHMENT_BYTES / 1024 / 1024} MB`);
+      return;
+    }
+
+    setUploading(true);
+    try {
+      for (const file of files) {
+        const { attachment } = await letterClient.uploadAttachment(file);
+        // Unsent uploads aren't served back, so preview the local file
+        setPhotos(current => [...current, { ...attachment, previewUrl: URL.createObjectURL(file) }]);
+      }
+    } catch (error) {
+      console.error('Upload error:', error);
+      setError(error.message || 'Failed to upload photo');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const removePhoto = (id) => {
+    setPhotos(photos.filter(photo => photo.id !== id));
+    letterClient.removeAttachment(id).catch(error => console.log('Photo removal failed (non-critical):', error.message));
+  };
+
+  const resetForm = () => {
+    setSubject('');
+    setContent('');
+    setSenderName('');
+    setRecipientEmail('');
+    setDeliverAt('');
+    setExpiresIn(DEFAULT_EXPIRY);
+    setMaxReads('');
+    setCodeStyle(DEFAULT_CODE_STYLE);
+    setEncryptMode('none');
+    setPassphrase('');
+    setStyle(DEFAULT_STYLE);
+    setStamps([]);
+    setPhotos([]);
+    setWantsReceipt(false);
+    setReceiptEmail('');
+    setReceiptWebhook('');
+    setGeneratedCode(null);
+    setSentLetter(null);
+    setLinkKey(null);
+    setError('');
+    if (replyTo || getParam('draft')) navigate('/write');
+  };
+
+  if (loading) {
+    return <Loading message="Sealing your letter and sending to the cloud... 📮" />;
+  }
+
+  if (queuedId) {
+    const editAgain = () => {
+      outbox.remove(queuedId);
+      setQueuedId(null);
+    };
+
+    return (
+      <div className="write-form">
+        <h2>📡 Waiting for a Connection</h2>
+        {queuedEntry?.error ? (
+          <>
+            <div className="error-message">
+              <p>Your letter couldn't be sent: {queuedEntry.error}</p>
+            </div>
+            <div className="nav-buttons">
+              <button className="btn btn-primary" onClick={editAgain}>Edit and Try Again ✏️</button>
+            </div>
+          </>
+        ) : (
+          <>
+            <div className="success-message">
+              <p>You're offline, so your letter is sealed and waiting in the outbox.</p>
+              <p className="delivery-note">
+                📮 It will be posted by itself as soon as you're back online - you can close this page.
+                Its code will appear here, and under <a href="/track">Track My Letters</a>.
+              </p>
+            </div>
+            <div className="nav-buttons">
+              <a href="/" className="btn btn-secondary">Back to Mailbox</a>
+            </div>
+          </>
+        )}
+      </div>
+    );
+  }
+
+  if (generatedCode) {
+    const shareUrl = buildShareUrl(generatedCode, linkKey);
+    const manageUrl = buildManageUrl(generatedCode, sentLetter.manageToken);
+    
+    return (
+      <div className="write-form">
+        <h2>✨ Letter Sent Successfully!</h2>
+        <div className="success-message">
+          <div className="code-display">
+            <p>Your letter code is:</p>
+            <div className="generated-code">{generatedCode}</div>
+            <p>Share this code with anyone, anywhere in the world!</p>
+            {sentLetter?.deliverAt && (
+              <p className="delivery-note">
+                ⏳ It stays sealed until {new Date(sentLetter.deliverAt).toLocaleString()}
+              </p>
+            )}
+            <p className="delivery-note">
+              {sentLetter?.expiresAt
+                ? `🕰️ It expires on ${new Date(sentLetter.expiresAt).toLocaleString()}`
+                : '🕰️ It never expires'}
+            </p>
+            {sentLetter?.recipientEmail && (
+              <p className="delivery-note">
+                {sentLetter.notified
+                  ? `📧 We emailed the code to ${sentLetter.recipientEmail}`
+                  : sentLetter.deliverAt
+                    ? `📧 We'll email the code to ${sentLetter.recipientEmail} on delivery day`
+                    : `📧 We couldn't email ${sentLetter.recipientEmail} just now — please share the code yourself`}
+              </p>
+            )}
+            {sentLetter.encryptMode === 'link' && (
+              <p className="delivery-note">
+                🔒 It's encrypted — only the full link below can open it, the code alone won't
+              </p>
+            )}
+            {sentLetter.encryptMode === 'passphrase' && (
+              <p className="delivery-note">
+                🔒 It's encrypted — share the passphrase separately, we can't recover it
+              </p>
+            )}
+            {sentLetter?.readReceipt && (
+              <p className="delivery-note">
+                📬 We'll let you know the first time it's opened
+              </p>
+            )}
+            {sentLetter?.maxReads && (
+              <p className="delivery-note">
+                🔥 It self-destructs after {sentLetter.maxReads} {sentLetter.maxReads === 1 ? 'reading' : 'readings'}
+              </p>
+            )}
+          </div>
+          <div className="share-link">
+            <p>Or share this direct link:</p>
+            <input 
+              type="text" 
+              value={shareUrl}
+              readOnly
+              className="link-input"
+              onClick={(e) => e.target.select()}
+            />
+            <button 
+              className="btn btn-copy"
+              onClick={async () => {
+                try {
+                  await navigator.clipboard.writeText(shareUrl);
+                  alert('Link copied to clipboard! 📋');
+                } catch (err) {
+                  // Fallback for older browsers
+                  const input = document.querySelector('.link-input');
+                  input.select();
+                  document.execCommand('copy');
+                  alert('Link copied to clipboard! 📋');
+                }
+              }}
+            >
+              Copy Link 📋
+            </button>
+          </div>
+          <CodeCard
+            code={generatedCode}
+            shareUrl={shareUrl}
+            senderName={senderName.trim() || 'Anonymous Friend'}
+            note={{
+              link: 'It\'s encrypted - scan the QR code, the code alone won\'t open it.',
+              passphrase: 'You\'ll also need the passphrase to open it.'
+            }[sentLetter.encryptMode] || null}
+          />
+          <div className="card-actions">
+            <button className="btn btn-secondary" onClick={() => window.print()}>
+              Print Code Card 🖨️
+            </button>
+          </div>
+          <div className="share-link manage-link">
+            <p>🔐 Keep this private manage link to revoke your letter later:</p>
+            <input 
+              type="text" 
+              value={manageUrl}
+              readOnly
+              className="link-input"
+              onClick={(e) => e.target.select()}
+            />
+            <p className="manage-hint">Anyone with this link can delete your letter — don't share it!</p>
+          </div>
+          <div className="nav-buttons">
+            <button className="btn btn-primary" onClick={resetForm}>
+              Write Another Letter
+            </button>
+            <a href={`/letter/${generatedCode}/manage#token=${sentLetter.manageToken}`} className="btn btn-secondary">
+              Manage Your Letter
+            </a>
+            <a href="/track" className="btn btn-secondary">
+              Track My Letters
+            </a>
+            <a href="/" className="btn btn-secondary">
+              Back to Mailbox
+            </a>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="write-form">
+      <h2>{replyTo ? 'Write a Reply 💌' : 'Write a Letter 💌'}</h2>
+      {replyTo && (
+        <div className="reply-marker">
+          ↩️ Replying to letter {replyTo} — it will be linked into your conversation.{' '}
+          <a href="/write">Write a new letter instead</a>
+        </div>
+      )}
+      <div>
+        <div className="form-group">
+          <label htmlFor="sender">Your Name (optional):</label>
+          <input
+            type="text"
+            id="sender"
+            value={senderName}
+            onChange={(e) => setSenderName(e.target.value)}
+            placeholder="Anonymous Friend"
+          />
+        </div>
+        <div className="form-group">
+          <label htmlFor="recipientEmail">Recipient's Email (optional):</label>
+          <input
+            type="email"
+            id="recipientEmail"
+            value={recipientEmail}
+            onChange={(e) => setRecipientEmail(e.target.value)}
+            placeholder="friend@example.com"
+          />
+          {recipientEmail.trim() && encryptMode === 'link' && (
+            <p className="field-hint">
+              The email only carries the code — send them the full link yourself so they can decrypt it.
+            </p>
+          )}
+        </div>
+        <div className="form-group">
+          <label htmlFor="subject">Subject:</label>
+          <input
+            type="text"
+            id="subject"
+            value={subject}
+            onChange={(e) => setSubject(e.target.value)}
+            placeholder="A message for you..."
+            required
+          />
+        </div>
+        <div className="form-group">
+          <label htmlFor="content">Your Letter:</label>
+          <textarea
+            id="content"
+            value={content}
+            onChange={(e) => setContent(e.target.value)}
+            placeholder="Dear friend,&#10;&#10;I hope this letter finds you well..."
+            rows="12"
+            required
+          />
+          <p className="field-hint">
+            **bold**, *italic*, __underline__, "- " for lists, start a paragraph with P.S., and sign off with "~ Your Name".
+          </p>
+          {draftSavedAt && (
+            <p className="field-hint draft-status">
+              💾 Draft saved on this device at {new Date(draftSavedAt).toLocaleTimeString()}
+              {localOnly && ' only — encrypted letters never leave it as plain text'}
+              {!localOnly && (resumeCode
+                ? <> — finish it anywhere with resume code <strong>{resumeCode}</strong></>
+                : ' (photos and passphrases are not kept)')}
+            </p>
+          )}
+        </div>
+        <div className="form-group">
+          <label htmlFor="photos">Photos (optional, up to {MAX_ATTACHMENTS}):</label>
+          {encryptMode === 'none' ? (
+            <input
+              type="file"
+              id="photos"
+              accept={ATTACHMENT_TYPES.join(',')}
+              multiple
+              onChange={handlePhotoSelect}
+              disabled={uploading || photos.length >= MAX_ATTACHMENTS}
+            />
+          ) : (
+            <p className="field-hint">Photos can't be encrypted, so they're off for encrypted letters.</p>
+          )}
+          {uploading && <p className="field-hint">Uploading... 📷</p>}
+          {photos.length > 0 && (
+            <div className="photo-thumbs">
+              {photos.map(photo => (
+                <div key={photo.id} className="photo-thumb">
+                  <img src={photo.previewUrl} alt="Attached" />
+                  <button type="button" onClick={() => removePhoto(photo.id)} title="Remove photo">×</button>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+        <StationeryPicker style={style} onChange={setStyle} />
+        <StampTray stamps={stamps} onChange={setStamps} />
+        <div className="letter-preview">
+          <h4>📖 Preview</h4>
+          <div className={`letter-card preview-card ${paperClass(style)}`}>
+            <LetterDecorations style={style} />
+            <h3>{subject || 'A message for you...'}</h3>
+            <div className="letter-body" style={inkStyle(style)}>
+              <LetterText text={content || 'Dear friend...'} />
+            </div>
+            <LetterPhotos
+              photos={photos.map(photo => ({ ...photo, url: photo.previewUrl }))}
+              senderName={senderName || 'Anonymous Friend'}
+            />
+          </div>
+        </div>
+        <div className="form-group">
+          <label htmlFor="deliver-at">Deliver On (optional):</label>
+          <input
+            type="datetime-local"
+            id="deliver-at"
+            value={deliverAt}
+            min={toLocalInputValue(new Date())}
+            onChange={(e) => setDeliverAt(e.target.value)}
+          />
+        </div>
+        <div className="form-group">
+          <label htmlFor="expires-in">Expires After:</label>
+          <select
+            id="expires-in"
+            value={expiresIn}
+            onChange={(e) => setExpiresIn(e.target.value)}
+          >
+            {EXPIRY_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="form-group">
+          <label htmlFor="max-reads">Self-Destruct After (optional):</label>
+          <input
+            type="number"
+            id="max-reads"
+            value={maxReads}
+            onChange={(e) => setMaxReads(e.target.value)}
+            placeholder="Unlimited readings"
+            min="1"
+            max={MAX_READS_LIMIT}
+          />
+        </div>
+        <div className="form-group">
+          <label htmlFor="encrypt-mode">Encryption:</label>
+          <select
+            id="encrypt-mode"
+            value={encryptMode}
+            onChange={(e) => setEncryptMode(e.target.value)}
+          >
+            <option value="none">None</option>
+            <option value="link">Secret key in the share link</option>
+            <option value="passphrase">Passphrase</option>
+          </select>
+          {encryptMode !== 'none' && (
+            <p className="field-hint">
+              Your letter is encrypted on this device; the subject line stays readable.
+              Its draft is saved here only, not to the cloud.
+            </p>
+          )}
+        </div>
+        {encryptMode === 'passphrase' && (
+          <div className="form-group">
+            <label htmlFor="passphrase">Passphrase:</label>
+            <input
+              type="password"
+              id="passphrase"
+              value={passphrase}
+              onChange={(e) => setPassphrase(e.target.value)}
+              placeholder="At least 8 characters"
+              autoComplete="new-password"
+            />
+          </div>
+        )}
+        <div className="form-group">
+          <label htmlFor="code-style">Letter Code:</label>
+          <select
+            id="code-style"
+            value={codeStyle}
+            onChange={(e) => setCodeStyle(e.target.value)}
+          >
+            {Object.entries(CODE_STYLES).map(([value, style]) => (
+              <option key={value} value={value}>{style.label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="form-group">
+          <label htmlFor="read-receipt">Read Receipt:</label>
+          <select
+            id="read-receipt"
+            value={wantsReceipt ? 'on' : 'off'}
+            onChange={(e) => {
+              setWantsReceipt(e.target.value === 'on');
+              if (!receiptEmail && session.user) setReceiptEmail(session.user.email);
+            }}
+          >
+            <option value="off">Off</option>
+            <option value="on">Tell me when it's first opened</option>
+          </select>
+          <p className="field-hint">
+            Either way, you can check on it any time under <a href="/track">Track My Letters</a>.
+          </p>
+        </div>
+        {wantsReceipt && (
+          <>
+            <div className="form-group">
+              <label htmlFor="receipt-email">Email Me At:</label>
+              <input
+                type="email"
+                id="receipt-email"
+                value={receiptEmail}
+                onChange={(e) => setReceiptEmail(e.target.value)}
+                placeholder="you@example.com"
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="receipt-webhook">Or Ping a Webhook (optional):</label>
+              <input
+                type="url"
+                id="receipt-webhook"
+                value={receiptWebhook}
+                onChange={(e) => setReceiptWebhook(e.target.value)}
+                placeholder="https://example.com/hooks/retromail"
+              />
+            </div>
+          </>
+        )}
+        {error && <div className="error-message">{error}</div>}
+        <div className="nav-buttons">
+          <button 
+            type="button" 
+            className="btn btn-primary" 
+            onClick={handleSend}
+            disabled={loading}
+          >
+            {loading ? 'Sending...' : 'Seal & Send 📮'}
+          </button>
+          <button
+            type="button"
+            className="btn btn-secondary"
+            onClick={saveToCloud}
+            disabled={cloudSaving || localOnly || (!subject.trim() && !content.trim())}
+            title={localOnly
+              ? 'Encrypted letters are only drafted on this device'
+              : 'Get a resume code to finish this letter on another device'}
+          >
+            {cloudSaving ? 'Saving...' : resumeCode ? 'Save to Cloud ☁️' : 'Continue Elsewhere ☁️'}
+          </button>
+          <a href="/" className="btn btn-secondary">
+            Cancel
+          </a>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default WritePage;
@@ -0,0 +1,154 @@
+// History-based routing: pages by path, upgrades for old links, and the share
+// and manage links pages hand out
+import { useState, useEffect, useLayoutEffect, useCallback, useRef, createContext, useContext } from 'react';
+
+// Links built from the current page, so they work wherever the app is hosted.
+// Share links go through /l/<code> so chat apps can show a preview card.
+// An encryption key rides in the #fragment, which browsers never send to the server
+export const buildShareUrl = (code, linkKey = null) =>
+  `${window.location.origin}/l/${code}${linkKey ? `#key=${linkKey}` : ''}`;
+
+export const buildManageUrl = (code, manageToken) =>
+  `${window.location.origin}/letter/${code}/manage#token=${manageToken}`;
+
+// Pages by path; ":name" segments become route params
+const ROUTES = [
+  { path: '/', page: 'home' },
+  { path: '/write', page: 'write' },
+  { path: '/letter', page: 'view' },
+  { path: '/letter/:code', page: 'view' },
+  { path: '/letter/:code/thread', page: 'thread' },
+  { path: '/letter/:code/manage', page: 'manage' },
+  { path: '/inbox', page: 'inbox' },
+  { path: '/track', page: 'track' },
+  { path: '/login', page: 'login' },
+  { path: '/about', page: 'about' }
+];
+
+const matchRoute = (pathname) => {
+  const segments = pathname.split('/').filter(Boolean);
+
+  for (const route of ROUTES) {
+    const parts = route.path.split('/').filter(Boolean);
+    if (parts.length !== segments.length) continue;
+
+    const params = {};
+    const matches = parts.every((part, index) => {
+      if (!part.startsWith(':')) return part === segments[index];
+      try {
+        params[part.slice(1)] = decodeURIComponent(segments[index]);
+        return true;
+      } catch (error) {
+        return false;
+      }
+    });
+
+    if (matches) return { page: route.page, params };
+  }
+
+  return { page: 'notFound', params: {} };
+};
+
+// Old #/view?code=... links (and /l/ share links when no server answers them)
+// are rewritten in place; keys and tokens move into the #fragment
+const upgradeLegacyUrl = () => {
+  const { pathname, hash } = window.location;
+  const shareLink = pathname.match(/^\/l\/([^/]+)\/?$/);
+  if (shareLink) {
+    window.history.replaceState(null, '', `/letter/${shareLink[1]}${hash}`);
+    return;
+  }
+
+  if (!hash.startsWith('#/')) return;
+
+  const [path, query = ''] = hash.slice(1).split('?');
+  const params = new URLSearchParams(query);
+  const secrets = new URLSearchParams();
+  ['key', 'token'].forEach(name => {
+    if (params.has(name)) secrets.set(name, params.get(name));
+    params.delete(name);
+  });
+
+  let target = path === '/view' ? '/letter' : path;
+  const code = params.get('code');
+  if (code && ['/view', '/thread', '/manage'].includes(path)) {
+    params.delete('code');
+    target = `/letter/${encodeURIComponent(code)}${path === '/view' ? '' : path}`;
+  }
+
+  const search = params.toString();
+  const fragment = secrets.toString();
+  window.history.replaceState(null, '', `${target}${search ? `?${search}` : ''}${fragment ? `#${fragment}` : ''}`);
+};
+
+const createHistoryKey = () => Math.random().toString(36).slice(2, 10);
+
+const readLocation = () => ({
+  pathname: window.location.pathname,
+  search: window.location.search,
+  hash: window.location.hash,
+  state: window.history.state || {}
+});
+
+// History-based routing. Every history entry gets a key so its scroll position
+// can be restored on back/forward; pages keep per-entry UI state (like an open
+// envelope) in history.state.
+export const RouterContext = createContext(null);
+
+export const useHistoryRouter = () => {
+  const [location, setLocation] = useState(() => {
+    upgradeLegacyUrl();
+    if (!window.history.state?.key) {
+      window.history.replaceState({ ...window.history.state, key: createHistoryKey() }, '');
+    }
+    return readLocation();
+  });
+  const scrollPositions = useRef({});
+  const poppedRef = useRef(false);
+
+  useEffect(() => {
+    window.history.scrollRestoration = 'manual';
+
+    const rememberScroll = () => {
+      scrollPositions.current[window.history.state?.key] = window.scrollY;
+    };
+    const handlePopState = () => {
+      poppedRef.current = true;
+      setLocation(readLocation());
+    };
+
+    window.addEventListener('scroll', rememberScroll, { passive: true });
+    window.addEventListener('popstate', handlePopState);
+    return () => {
+      window.removeEventListener('scroll', rememberScroll);
+      window.removeEventListener('popstate', handlePopState);
+    };
+  }, []);
+
+  // New pages start at the top; back/forward returns to where you were
+  useLayoutEffect(() => {
+    window.scrollTo(0, poppedRef.current ? scrollPositions.current[location.state.key] || 0 : 0);
+    poppedRef.current = false;
+  }, [location]);
+
+  const navigate = useCallback((to, { replace = false, state = {} } = {}) => {
+    window.history[replace ? 'replaceState' : 'pushState']({ ...state, key: createHistoryKey() }, '', to);
+    setLocation(readLocation());
+  }, []);
+
+  return { location, route: matchRoute(location.pathname), navigate };
+};
+
+// Path params, ?query params, and #fragment params (secrets such as link keys
+// and manage tokens, which browsers never send to the server)
+export const useRouter = () => {
+  const { location, route, navigate } = useContext(RouterContext);
+
+  return {
+    params: route.params,
+    historyState: location.state,
+    navigate,
+    getParam: (name) => new URLSearchParams(location.search).get(name),
+    getFragmentParam: (name) => new URLSearchParams(location.hash.slice(1)).get(name)
+  };
+};
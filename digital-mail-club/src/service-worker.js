@@ -0,0 +1,139 @@
+/* eslint-disable no-restricted-globals */
+
+// Service worker for Digital Mail Club. Create React App builds this file with
+// Workbox and fills in self.__WB_MANIFEST with the hashed shell assets.
+//
+// - The app shell is precached, so every page loads without a connection
+// - Letters posted while offline wait in an IndexedDB outbox and are sent by
+//   Background Sync (or when the app reopens, where that isn't supported)
+// - Letters already opened can be reread offline from a cache the app fills
+
+import { clientsClaim } from 'workbox-core';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { precacheAndRoute, createHandlerBoundToURL } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { CacheFirst, StaleWhileRevalidate } from 'workbox-strategies';
+import { Queue } from 'workbox-background-sync';
+import {
+  OPENED_LETTERS_CACHE,
+  OUTBOX_ID_HEADER,
+  OUTBOX_QUEUE,
+  OUTBOX_RESULTS_CACHE,
+  OUTBOX_RETENTION_MINUTES,
+  isLetterLookup,
+  outboxResultUrl
+} from './utils/offline';
+
+clientsClaim();
+
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Every page is the same single-page app, so navigations get the cached
+// index.html. API calls, share previews and real files go to the network.
+const fileExtensionRegexp = /[^/?]+\.[^/]+$/;
+registerRoute(
+  ({ request, url }) =>
+    request.mode === 'navigate' &&
+    !url.pathname.startsWith('/api/') &&
+    !url.pathname.startsWith('/l/') &&
+    !url.pathname.match(fileExtensionRegexp),
+  createHandlerBoundToURL(process.env.PUBLIC_URL + '/index.html')
+);
+
+// Handwriting and typewriter fonts, so offline letters still look like letters
+registerRoute(
+  ({ url }) => url.origin === 'https://fonts.googleapis.com',
+  new StaleWhileRevalidate({ cacheName: 'google-fonts-stylesheets' })
+);
+
+registerRoute(
+  ({ url }) => url.origin === 'https://fonts.gstatic.com',
+  new CacheFirst({
+    cacheName: 'google-fonts',
+    plugins: [new ExpirationPlugin({ maxEntries: 20, maxAgeSeconds: 365 * 24 * 60 * 60 })]
+  })
+);
+
+const tellClients = async (message) => {
+  const clients = await self.clients.matchAll({ includeUncontrolled: true, type: 'window' });
+  clients.forEach(client => client.postMessage(message));
+};
+
+// Send queued letters oldest first. The server's reply - a code, or a
+// rejection that won't change on retry - is parked for the app to collect.
+const deliverOutbox = async ({ queue }) => {
+  let entry;
+  while ((entry = await queue.shiftRequest())) {
+    let response;
+    try {
+      response = await fetch(entry.request.clone());
+    } catch (error) {
+      // Still offline: put it back and let the sync retry later
+      await queue.unshiftRequest(entry);
+      throw error;
+    }
+
+    const results = await caches.open(OUTBOX_RESULTS_CACHE);
+    await results.put(outboxResultUrl(entry.metadata.outboxId), response);
+    await tellClients({ type: 'outbox-delivered', outboxId: entry.metadata.outboxId });
+  }
+};
+
+const outbox = new Queue(OUTBOX_QUEUE, {
+  maxRetentionTime: OUTBOX_RETENTION_MINUTES,
+  onSync: deliverOutbox
+});
+
+registerRoute(
+  ({ url }) => url.pathname === '/api/letters',
+  async ({ request }) => {
+    const outboxId = request.headers.get(OUTBOX_ID_HEADER);
+    const queued = outboxId && request.clone();
+
+    try {
+      return await fetch(request);
+    } catch (error) {
+      if (!queued) throw error;
+
+      await outbox.pushRequest({ request: queued, metadata: { outboxId } });
+      console.log(`📡 Letter queued until we're back online: ${outboxId}`);
+      return new Response(JSON.stringify({ queued: true, outboxId }), {
+        status: 202,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+  },
+  'POST'
+);
+
+// Lookups always ask the server first, so read counts and revocations stay
+// honest; only a failed connection falls back to a letter opened before
+registerRoute(
+  ({ url }) => isLetterLookup(url),
+  async ({ request }) => {
+    const opened = await caches.open(OPENED_LETTERS_CACHE);
+
+    try {
+      const response = await fetch(request);
+      if (response.status === 404 || response.status === 410) {
+        await opened.delete(request);
+      }
+      return response;
+    } catch (error) {
+      const cached = await opened.match(request);
+      if (cached) return cached;
+      throw error;
+    }
+  }
+);
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+
+  // Browsers without Background Sync ask again whenever the app comes back online
+  if (event.data?.type === 'replay-outbox') {
+    event.waitUntil(deliverOutbox({ queue: outbox }).catch(error => console.log('Outbox still waiting:', error.message)));
+  }
+});
@@ -0,0 +1,51 @@
+// Registers the service worker built from src/service-worker.js. Only
+// production builds register it - in development it would cache stale bundles.
+// New versions wait until every tab is closed, then take over on the next visit.
+
+export function register(config) {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) {
+    return;
+  }
+
+  // The worker has to come from our own origin to control our pages
+  const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+  if (publicUrl.origin !== window.location.origin) {
+    return;
+  }
+
+  window.addEventListener('load', () => {
+    const swUrl = `${process.env.PUBLIC_URL}/service-worker.js`;
+
+    navigator.serviceWorker
+      .register(swUrl)
+      .then(registration => {
+        registration.onupdatefound = () => {
+          const installingWorker = registration.installing;
+          if (!installingWorker) return;
+
+          installingWorker.onstatechange = () => {
+            if (installingWorker.state !== 'installed') return;
+
+            if (navigator.serviceWorker.controller) {
+              console.log('📦 A new version is ready and will load once all tabs are closed');
+              if (config && config.onUpdate) config.onUpdate(registration);
+            } else {
+              console.log('📦 Ready for offline use');
+              if (config && config.onSuccess) config.onSuccess(registration);
+            }
+          };
+        };
+      })
+      .catch(error => {
+        console.error('Service worker registration failed:', error);
+      });
+  });
+}
+
+export function unregister() {
+  if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.ready
+      .then(registration => registration.unregister())
+      .catch(error => console.error(error.message));
+  }
+}
@@ -0,0 +1,5 @@
+import { createContext, useContext } from 'react';
+
+// Signed-in member and unread count, shared by every page
+export const SessionContext = createContext({ user: null, unread: 0, refresh: () => {} });
+export const useSession = () => useContext(SessionContext);
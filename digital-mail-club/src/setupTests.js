@@ -3,3 +3,16 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+
+// Jest's jsdom and node environments leave out Web Crypto and, in jsdom,
+// TextEncoder, which browsers and Node both have; lend them Node's
+import { webcrypto } from 'crypto';
+import { TextDecoder, TextEncoder } from 'util';
+
+if (!global.crypto?.subtle) {
+  Object.defineProperty(global, 'crypto', { value: webcrypto, configurable: true });
+}
+
+if (!global.TextEncoder) {
+  Object.assign(global, { TextEncoder, TextDecoder });
+}
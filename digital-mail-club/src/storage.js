@@ -0,0 +1,174 @@
+// What the app keeps in this browser: letters sent from it with their manage
+// tokens, autosaved drafts, the offline outbox and copies of opened letters
+import { useState, useEffect, useRef } from 'react';
+import {
+  MAX_OPENED_LETTERS,
+  OPENED_LETTERS_CACHE,
+  OUTBOX_RESULTS_CACHE,
+  isCacheableLetter,
+  letterCacheUrl,
+  outboxResultUrl
+} from './utils/offline';
+import { letterClient } from './api';
+
+// Letters sent from this browser, with the manage tokens that prove they're ours
+const SENT_LETTERS_KEY = 'retromailSentLetters';
+
+export const sentLetters = {
+  list() {
+    try {
+      return JSON.parse(localStorage.getItem(SENT_LETTERS_KEY)) || [];
+    } catch (error) {
+      return [];
+    }
+  },
+
+  add(entry) {
+    const others = sentLetters.list().filter(letter => letter.code !== entry.code);
+    localStorage.setItem(SENT_LETTERS_KEY, JSON.stringify([entry, ...others].slice(0, 100)));
+  },
+
+  remove(code) {
+    const remaining = sentLetters.list().filter(letter => letter.code !== code);
+    localStorage.setItem(SENT_LETTERS_KEY, JSON.stringify(remaining));
+  }
+};
+
+// Unfinished letters autosaved in this browser, newest first. Photos and
+// passphrases are never kept; resumeCode links the draft to its server copy.
+const DRAFTS_KEY = 'retromailDrafts';
+const MAX_DRAFTS = 20;
+export const DRAFT_AUTOSAVE_DELAY_MS = 800;
+
+export const localDrafts = {
+  list() {
+    try {
+      return JSON.parse(localStorage.getItem(DRAFTS_KEY)) || [];
+    } catch (error) {
+      return [];
+    }
+  },
+
+  get(id) {
+    return localDrafts.list().find(draft => draft.id === id) || null;
+  },
+
+  save(draft) {
+    const others = localDrafts.list().filter(entry => entry.id !== draft.id);
+    const entry = { ...draft, updatedAt: new Date().toISOString() };
+    localStorage.setItem(DRAFTS_KEY, JSON.stringify([entry, ...others].slice(0, MAX_DRAFTS)));
+    return entry;
+  },
+
+  remove(id) {
+    const remaining = localDrafts.list().filter(draft => draft.id !== id);
+    localStorage.setItem(DRAFTS_KEY, JSON.stringify(remaining));
+  }
+};
+
+export const createDraftId = () => `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+
+// Letters written offline and waiting in the service worker's outbox. Their
+// drafts are kept until the server accepts them, so a rejection loses nothing.
+const OUTBOX_KEY = 'retromailOutbox';
+const OUTBOX_EVENT = 'retromail:outbox';
+
+export const outbox = {
+  list() {
+    try {
+      return JSON.parse(localStorage.getItem(OUTBOX_KEY)) || [];
+    } catch (error) {
+      return [];
+    }
+  },
+
+  save(entry) {
+    const others = outbox.list().filter(queued => queued.id !== entry.id);
+    localStorage.setItem(OUTBOX_KEY, JSON.stringify([entry, ...others]));
+    window.dispatchEvent(new CustomEvent(OUTBOX_EVENT, { detail: { delivered: [] } }));
+  },
+
+  remove(id) {
+    const remaining = outbox.list().filter(queued => queued.id !== id);
+    localStorage.setItem(OUTBOX_KEY, JSON.stringify(remaining));
+    window.dispatchEvent(new CustomEvent(OUTBOX_EVENT, { detail: { delivered: [] } }));
+  }
+};
+
+// Pick up the server's replies to letters the service worker sent in the background
+export const collectOutbox = async () => {
+  if (!('caches' in window)) return;
+
+  const results = await caches.open(OUTBOX_RESULTS_CACHE);
+  const delivered = [];
+
+  for (const entry of outbox.list().filter(queued => !queued.error)) {
+    const response = await results.match(outboxResultUrl(entry.id));
+    if (!response) continue;
+
+    const result = await response.json().catch(() => ({}));
+    await results.delete(outboxResultUrl(entry.id));
+
+    if (!response.ok) {
+      outbox.save({ ...entry, error: result.error || 'The post office turned this letter away' });
+      continue;
+    }
+
+    sentLetters.add({
+      code: result.code,
+      token: result.manageToken,
+      subject: entry.subject,
+      sentAt: new Date().toISOString(),
+      linkKey: entry.linkKey
+    });
+    if (entry.draftId) localDrafts.remove(entry.draftId);
+    if (entry.resumeCode) {
+      letterClient.deleteDraft(entry.resumeCode).catch(error => console.log('Server draft removal failed (non-critical):', error.message));
+    }
+    outbox.remove(entry.id);
+    delivered.push({ entry, result });
+    console.log(`📮 Queued letter sent: ${result.code}`);
+  }
+
+  if (delivered.length > 0) {
+    window.dispatchEvent(new CustomEvent(OUTBOX_EVENT, { detail: { delivered } }));
+  }
+};
+
+// Entries waiting in the outbox, kept current as letters go out
+export const useOutbox = (onDelivered) => {
+  const [entries, setEntries] = useState(() => outbox.list());
+  const onDeliveredRef = useRef(onDelivered);
+  onDeliveredRef.current = onDelivered;
+
+  useEffect(() => {
+    const handleChange = (event) => {
+      setEntries(outbox.list());
+      if (event.detail.delivered.length > 0 && onDeliveredRef.current) {
+        onDeliveredRef.current(event.detail.delivered);
+      }
+    };
+
+    window.addEventListener(OUTBOX_EVENT, handleChange);
+    return () => window.removeEventListener(OUTBOX_EVENT, handleChange);
+  }, []);
+
+  return entries;
+};
+
+// Raw copies of letters opened on this device, which the service worker
+// serves when a lookup can't reach the server
+export const openedLetters = {
+  async save(letter) {
+    if (!('caches' in window) || !isCacheableLetter(letter)) return;
+
+    const cache = await caches.open(OPENED_LETTERS_CACHE);
+    await cache.put(letterCacheUrl(letter.code), new Response(JSON.stringify({ success: true, letter }), {
+      headers: { 'Content-Type': 'application/json' }
+    }));
+
+    // Keys come back oldest first
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - MAX_OPENED_LETTERS)).map(key => cache.delete(key)));
+  }
+};
@@ -0,0 +1,32 @@
+// Countdowns and date inputs for scheduled letters and locked mail slots
+import { useState, useEffect } from 'react';
+
+// Ticking countdown to a target date, in milliseconds
+export const useCountdown = (target) => {
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    if (!target) return;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [target]);
+
+  return target ? Math.max(0, new Date(target).getTime() - now) : 0;
+};
+
+export const formatCountdown = (ms) => {
+  const totalSeconds = Math.ceil(ms / 1000);
+  const days = Math.floor(totalSeconds / 86400);
+  const hours = Math.floor((totalSeconds % 86400) / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  const pad = (n) => String(n).padStart(2, '0');
+
+  return `${days > 0 ? `${days}d ` : ''}${pad(hours)}h ${pad(minutes)}m ${pad(seconds)}s`;
+};
+
+// Value for a datetime-local input, in the browser's timezone
+export const toLocalInputValue = (date) => {
+  const offset = date.getTimezoneOffset() * 60000;
+  return new Date(date.getTime() - offset).toISOString().slice(0, 16);
+};
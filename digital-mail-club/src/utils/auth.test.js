@@ -0,0 +1,44 @@
+/**
+ * @jest-environment node
+ */
+import authHandler from '../../api/auth.js';
+import { hashPassword, verifyPassword } from '../../api/_lib/auth.js';
+
+// Vercel-style req/res pair for one client address
+const post = async (body, ip) => {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    setHeader(name, value) { this.headers[name.toLowerCase()] = value; return this; },
+    status(code) { this.statusCode = code; return this; },
+    json(value) { this.body = value; return this; },
+    end() { return this; }
+  };
+  await authHandler({ method: 'POST', body, headers: { 'x-forwarded-for': ip } }, res);
+  return res;
+};
+
+beforeEach(() => {
+  delete process.env.POSTGRES_URL;
+});
+
+test('passwords only verify against their own hash, and never without one', async () => {
+  const stored = await hashPassword('correct horse');
+
+  expect(await verifyPassword('correct horse', stored)).toBe(true);
+  expect(await verifyPassword('wrong horse', stored)).toBe(false);
+  expect(await verifyPassword('correct horse', undefined)).toBe(false);
+});
+
+test('sign-ups and sign-ins share the lookup limiter', async () => {
+  const attempts = [];
+  for (let i = 0; i < 31; i++) {
+    attempts.push(await post({ action: i % 2 ? 'login' : 'register', email: 'me@example.com', password: 'short' }, '198.51.100.7'));
+  }
+
+  expect(attempts.slice(0, 30).every(response => response.statusCode === 400)).toBe(true);
+  expect(attempts[30].statusCode).toBe(429);
+  expect(attempts[30].headers['retry-after']).toBeDefined();
+
+  expect((await post({ action: 'register', email: 'me@example.com', password: 'short' }, '198.51.100.8')).statusCode).toBe(400);
+});
@@ -0,0 +1,47 @@
+// Word-level diff for showing how an edited letter changed
+
+const tokenize = (text) => text.split(/(\s+)/).filter(Boolean);
+
+// Longest-common-subsequence diff; returns [{ type: 'same' | 'added' | 'removed', text }]
+export const diffWords = (before, after) => {
+  const a = tokenize(before);
+  const b = tokenize(after);
+  const width = b.length + 1;
+  const lengths = new Uint16Array((a.length + 1) * width);
+
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i * width + j] = a[i] === b[j]
+        ? lengths[(i + 1) * width + j + 1] + 1
+        : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+
+  const parts = [];
+  const push = (type, text) => {
+    const last = parts[parts.length - 1];
+    if (last && last.type === type) {
+      last.text += text;
+    } else {
+      parts.push({ type, text });
+    }
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push('same', a[i]);
+      i++;
+      j++;
+    } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+      push('removed', a[i++]);
+    } else {
+      push('added', b[j++]);
+    }
+  }
+  while (i < a.length) push('removed', a[i++]);
+  while (j < b.length) push('added', b[j++]);
+
+  return parts;
+};
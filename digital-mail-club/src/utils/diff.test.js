@@ -0,0 +1,15 @@
+import { diffWords } from './diff';
+
+test('marks replaced words as removed and added', () => {
+  expect(diffWords('See you on Friday', 'See you on Saturday')).toEqual([
+    { type: 'same', text: 'See you on ' },
+    { type: 'removed', text: 'Friday' },
+    { type: 'added', text: 'Saturday' }
+  ]);
+});
+
+test('returns a single unchanged part for identical text', () => {
+  expect(diffWords('Dear friend,\nhello', 'Dear friend,\nhello')).toEqual([
+    { type: 'same', text: 'Dear friend,\nhello' }
+  ]);
+});
@@ -0,0 +1,167 @@
+// Fetch client for the API, shared by the React app and the standalone HTML
+// apps, so a code written in any of them opens in all of them. Letters, photos,
+// accounts, mailboxes, sender status and server drafts all go through it.
+import { normalizeCode } from './letterCodes.js';
+
+// Parsed JSON body, or an Error carrying the API's message, status and any lockout
+async function readResponse(response, fallbackMessage) {
+  const body = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    const failure = new Error(body.error || fallbackMessage);
+    failure.status = response.status;
+    // Lookup lockouts tell us how long to wait before trying again
+    failure.retryAfter = body.retryAfter;
+    throw failure;
+  }
+
+  return body;
+}
+
+export function createLetterClient(apiBase = '/api') {
+  const request = async (path, fallbackMessage, { body, headers = {}, ...options } = {}) => {
+    const response = await fetch(`${apiBase}${path}`, {
+      ...options,
+      headers: body === undefined ? headers : { 'Content-Type': 'application/json', ...headers },
+      ...(body === undefined ? {} : { body: JSON.stringify(body) })
+    });
+
+    return readResponse(response, fallbackMessage);
+  };
+
+  // Manage tokens and draft resume codes travel as bearer tokens
+  const bearer = (token) => ({ Authorization: `Bearer ${token}` });
+  const letterPath = (code) => `/letters?code=${encodeURIComponent(code)}`;
+
+  return {
+    sendLetter(letterData, headers = {}) {
+      return request('/letters', 'Failed to send letter', { method: 'POST', body: letterData, headers });
+    },
+
+    getLetter(code) {
+      return request(letterPath(normalizeCode(code)), 'Failed to fetch letter');
+    },
+
+    getThread(code) {
+      return request(`${letterPath(code)}&thread=true`, 'Failed to fetch conversation');
+    },
+
+    getManagedLetter(code, manageToken) {
+      return request(`${letterPath(code)}&manage=true`, 'Failed to fetch letter', { headers: bearer(manageToken) });
+    },
+
+    updateLetter(code, manageToken, letterData) {
+      return request(letterPath(code), 'Failed to update letter', {
+        method: 'PATCH',
+        body: letterData,
+        headers: bearer(manageToken)
+      });
+    },
+
+    deleteLetter(code, manageToken) {
+      return request(letterPath(code), 'Failed to delete letter', { method: 'DELETE', headers: bearer(manageToken) });
+    },
+
+    // Photos are uploaded as the raw request body before the letter is sent
+    async uploadAttachment(blob) {
+      const response = await fetch(`${apiBase}/attachments`, {
+        method: 'POST',
+        headers: { 'Content-Type': blob.type || 'application/octet-stream' },
+        body: blob
+      });
+
+      return readResponse(response, 'Failed to upload photo');
+    },
+
+    removeAttachment(id) {
+      return request(`/attachments?id=${encodeURIComponent(id)}`, 'Failed to remove photo', { method: 'DELETE' });
+    },
+
+    // Accounts: the session lives in an HttpOnly cookie
+    getAccount() {
+      return request('/auth', 'Failed to load account');
+    },
+
+    signIn(action, credentials) {
+      return request('/auth', 'Failed to sign in', { method: 'POST', body: { action, ...credentials } });
+    },
+
+    signOut() {
+      return request('/auth', 'Failed to sign out', { method: 'DELETE' });
+    },
+
+    listMailbox() {
+      return request('/mailbox', 'Failed to load mailbox');
+    },
+
+    saveToMailbox(code, read = false) {
+      return request('/mailbox', 'Failed to save letter', { method: 'POST', body: { code, read } });
+    },
+
+    markMailboxRead(code) {
+      return request(`/mailbox?code=${encodeURIComponent(code)}`, 'Failed to update mailbox', { method: 'PATCH' });
+    },
+
+    removeFromMailbox(code, folder) {
+      const query = `code=${encodeURIComponent(code)}&folder=${encodeURIComponent(folder)}`;
+      return request(`/mailbox?${query}`, 'Failed to remove letter', { method: 'DELETE' });
+    },
+
+    // Sender status for letters this browser sent, proven by their manage tokens
+    trackLetters(letters) {
+      return request('/status', 'Failed to load letter status', { method: 'POST', body: { letters } });
+    },
+
+    // Server drafts are addressed by their private resume code
+    createDraft(draft) {
+      return request('/drafts', 'Failed to save draft', { method: 'POST', body: draft });
+    },
+
+    loadDraft(resumeCode) {
+      return request('/drafts', 'Failed to load draft', { headers: bearer(resumeCode) });
+    },
+
+    updateDraft(resumeCode, draft) {
+      return request('/drafts', 'Failed to save draft', { method: 'PUT', body: draft, headers: bearer(resumeCode) });
+    },
+
+    deleteDraft(resumeCode) {
+      return request('/drafts', 'Failed to discard draft', { method: 'DELETE', headers: bearer(resumeCode) });
+    },
+
+    // Attachment URLs are site-relative; resolve them against wherever the API lives
+    resolveUrl(url) {
+      const page = typeof window === 'undefined' ? undefined : window.location.href;
+      return new URL(url, new URL(`${apiBase}/`, page)).href;
+    }
+  };
+}
+
+// The standalone apps keep letters in their own shape; these map it to and from the API's
+
+export const toLetterRequest = (letter) => ({
+  subject: letter.subject,
+  content: letter.body,
+  senderName: letter.senderName || 'Anonymous Friend',
+  style: {
+    paper: letter.paperStyle,
+    font: letter.fontStyle,
+    ink: letter.textColor,
+    decorations: letter.decorations || []
+  },
+  attachments: letter.attachmentIds || []
+});
+
+export const fromApiLetter = (letter, resolveUrl = url => url) => ({
+  from: letter.senderName || 'Anonymous Friend',
+  to: 'You',
+  subject: letter.subject,
+  body: letter.content,
+  dateISO: letter.dateCreated,
+  code: letter.code,
+  paperStyle: letter.style?.paper || 'vintage',
+  fontStyle: letter.style?.font || 'caveat',
+  textColor: letter.style?.ink || '#3B3A39',
+  decorations: letter.style?.decorations || [],
+  images: (letter.attachments || []).map(attachment => resolveUrl(attachment.url))
+});
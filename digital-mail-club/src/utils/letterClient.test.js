@@ -0,0 +1,87 @@
+import { createLetterClient, fromApiLetter, toLetterRequest } from './letterClient';
+
+const respond = (status, body) => Promise.resolve({
+  ok: status < 400,
+  status,
+  json: () => Promise.resolve(body)
+});
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+test('looks letters up by their normalized code', async () => {
+  const calls = [];
+  global.fetch = (url, options) => {
+    calls.push([url, options]);
+    return respond(200, { success: true, letter: { code: 'ABCD2345' } });
+  };
+
+  const client = createLetterClient('https://mail.example/api');
+  const { letter } = await client.getLetter(' abcd 2345 ');
+  expect(letter.code).toBe('ABCD2345');
+  expect(calls[0][0]).toBe('https://mail.example/api/letters?code=ABCD2345');
+});
+
+test('surfaces API errors with their status and lockout', async () => {
+  global.fetch = () => respond(429, { error: 'Too many attempts.', retryAfter: 60 });
+
+  const client = createLetterClient('https://mail.example/api');
+  const failure = await client.getLetter('ABCD2345').catch(error => error);
+  expect(failure.message).toBe('Too many attempts.');
+  expect(failure.status).toBe(429);
+  expect(failure.retryAfter).toBe(60);
+});
+
+test('manage tokens and resume codes go in the Authorization header, bodies as JSON', async () => {
+  const calls = [];
+  global.fetch = (url, options) => {
+    calls.push([url, options]);
+    return respond(200, { success: true });
+  };
+
+  const client = createLetterClient('/api');
+  await client.updateLetter('maple-otter-lantern-moss', 'token123', { subject: 'Hi' });
+  await client.loadDraft('ABCD2345');
+  await client.removeFromMailbox('ABCD2345', 'sent');
+
+  expect(calls[0]).toEqual(['/api/letters?code=maple-otter-lantern-moss', {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json', Authorization: 'Bearer token123' },
+    body: '{"subject":"Hi"}'
+  }]);
+  expect(calls[1]).toEqual(['/api/drafts', { headers: { Authorization: 'Bearer ABCD2345' } }]);
+  expect(calls[2]).toEqual(['/api/mailbox?code=ABCD2345&folder=sent', { method: 'DELETE', headers: {} }]);
+});
+
+test('maps standalone letters to the API and back', () => {
+  const request = toLetterRequest({
+    subject: 'Hello',
+    body: 'Dear friend',
+    paperStyle: 'royal',
+    fontStyle: 'serif',
+    textColor: '#4B0082',
+    decorations: ['🌟'],
+    attachmentIds: ['abc']
+  });
+  expect(request).toEqual({
+    subject: 'Hello',
+    content: 'Dear friend',
+    senderName: 'Anonymous Friend',
+    style: { paper: 'royal', font: 'serif', ink: '#4B0082', decorations: ['🌟'] },
+    attachments: ['abc']
+  });
+
+  const client = createLetterClient('https://mail.example/api');
+  const letter = fromApiLetter({
+    code: 'ABCD2345',
+    subject: 'Hello',
+    content: 'Dear friend',
+    senderName: 'Maya',
+    dateCreated: '2026-10-18T10:00:00Z',
+    style: request.style,
+    attachments: [{ id: 'abc', url: '/api/attachments?id=abc' }]
+  }, client.resolveUrl);
+  expect(letter).toMatchObject({ from: 'Maya', body: 'Dear friend', paperStyle: 'royal', textColor: '#4B0082' });
+  expect(letter.images).toEqual(['https://mail.example/api/attachments?id=abc']);
+});
@@ -0,0 +1,88 @@
+// Letter codes shared by the React app, the API and the Supabase service.
+// Works in browsers and Node alike through the Web Crypto API.
+
+// No 0/O or 1/I, so codes survive being read aloud or copied by hand.
+// 32 symbols means each random byte maps onto the alphabet without bias.
+export const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+// 256 words, so each random byte picks one without bias
+const WORDS = [
+  'acorn', 'amber', 'anchor', 'apple', 'apricot', 'arbor', 'aspen', 'atlas',
+  'autumn', 'badge', 'bakery', 'bamboo', 'banjo', 'barley', 'basket', 'beacon',
+  'berry', 'birch', 'biscuit', 'blossom', 'bluebell', 'bonnet', 'border',
+  'bramble', 'breeze', 'bridge', 'brook', 'bubble', 'bucket', 'budget',
+  'bugle', 'bundle', 'button', 'cabin', 'cactus', 'camel', 'candle', 'canoe',
+  'canvas', 'canyon', 'carrot', 'castle', 'cedar', 'cello', 'chalk', 'cherry',
+  'chestnut', 'cider', 'circus', 'citrus', 'clover', 'cobalt', 'cobble',
+  'cocoa', 'comet', 'compass', 'copper', 'coral', 'cottage', 'cotton',
+  'cradle', 'crayon', 'cricket', 'crystal', 'cupcake', 'daisy', 'dancer',
+  'delta', 'denim', 'desert', 'dewdrop', 'dolphin', 'domino', 'dove', 'dragon',
+  'dream', 'dune', 'eagle', 'echo', 'elm', 'ember', 'emerald', 'fable',
+  'falcon', 'feather', 'fern', 'fiddle', 'fig', 'firefly', 'fjord', 'flint',
+  'flute', 'forest', 'fossil', 'fox', 'garden', 'garnet', 'gazebo', 'ginger',
+  'glacier', 'glade', 'globe', 'goose', 'granite', 'grape', 'gravel', 'grove',
+  'harbor', 'harp', 'hazel', 'heron', 'hickory', 'honey', 'horizon', 'inkwell',
+  'island', 'ivory', 'ivy', 'jasmine', 'jelly', 'jigsaw', 'journal', 'jungle',
+  'kettle', 'kiwi', 'koala', 'lagoon', 'lantern', 'lark', 'lavender', 'lemon',
+  'letter', 'lilac', 'linen', 'lotus', 'lunar', 'magnet', 'mango', 'maple',
+  'marble', 'marsh', 'meadow', 'melon', 'meteor', 'mint', 'mirror', 'mitten',
+  'moon', 'morning', 'mosaic', 'moss', 'muffin', 'nectar', 'nest', 'nickel',
+  'nova', 'nutmeg', 'oak', 'oasis', 'ocean', 'olive', 'opal', 'orbit',
+  'orchid', 'otter', 'owl', 'paddle', 'panda', 'paper', 'parcel', 'parsley',
+  'pebble', 'pencil', 'penguin', 'pepper', 'piano', 'pigeon', 'pillow', 'pine',
+  'planet', 'plum', 'pocket', 'poem', 'pond', 'poppy', 'postcard', 'pretzel',
+  'puffin', 'pumpkin', 'quartz', 'quill', 'quilt', 'rabbit', 'radish',
+  'rainbow', 'raven', 'reed', 'ribbon', 'ripple', 'river', 'robin', 'rocket',
+  'rose', 'ruby', 'saddle', 'saffron', 'sage', 'salmon', 'sapphire', 'satchel',
+  'scarf', 'seashell', 'shadow', 'sierra', 'silver', 'sketch', 'sparrow',
+  'sprout', 'spruce', 'stamp', 'starling', 'stone', 'sugar', 'summit',
+  'sunset', 'swan', 'tangerine', 'teapot', 'thistle', 'thunder', 'tide',
+  'tiger', 'timber', 'toffee', 'topaz', 'tulip', 'tundra', 'turtle', 'twig',
+  'umbrella', 'valley', 'velvet', 'violet', 'voyage', 'waffle', 'walnut',
+  'walrus', 'wander', 'willow', 'window', 'winter', 'wren', 'yarrow', 'yonder',
+  'zephyr', 'zinnia'
+];
+
+export const CODE_STYLES = {
+  standard: { label: '8 characters (ABCD2345)', length: 8 },
+  long: { label: '12 characters (extra private)', length: 12 },
+  passphrase: { label: 'Passphrase (maple-otter-lantern-moss)', words: 4 }
+};
+
+export const DEFAULT_CODE_STYLE = 'standard';
+
+// Accepts current codes, passphrases and the original 6-character codes
+const CODE_PATTERN = /^(?:[A-Z0-9]{6,12}|[a-z]+(?:-[a-z]+){2,5})$/;
+
+const randomBytes = (count) => {
+  const bytes = new Uint8Array(count);
+  crypto.getRandomValues(bytes);
+  return Array.from(bytes);
+};
+
+export const generateLetterCode = (style = DEFAULT_CODE_STYLE) => {
+  const options = CODE_STYLES[style] || CODE_STYLES[DEFAULT_CODE_STYLE];
+
+  if (options.words) {
+    return randomBytes(options.words).map(byte => WORDS[byte]).join('-');
+  }
+
+  return randomBytes(options.length).map(byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+};
+
+// Passphrases are lowercase, character codes uppercase; both tolerate sloppy typing.
+// Spaces, hyphens or both may sit between passphrase words. A code made only of
+// letters counts as a passphrase when every part is one of our words, so
+// "ABCD EFGH" typed from a character code doesn't turn into "abcd-efgh"
+export const normalizeCode = (input = '') => {
+  const code = String(input).trim();
+  const words = code.toLowerCase().split(/[-\s]+/);
+
+  if (words.length > 1 && words.every(word => WORDS.includes(word))) {
+    return words.join('-');
+  }
+
+  return code.toUpperCase().replace(/[\s-]/g, '');
+};
+
+export const isValidCode = (code) => CODE_PATTERN.test(code || '');
@@ -0,0 +1,32 @@
+import { CODE_ALPHABET, generateLetterCode, isValidCode, normalizeCode } from './letterCodes';
+
+test('character codes avoid ambiguous symbols', () => {
+  const code = generateLetterCode('long');
+  expect(code).toHaveLength(12);
+  expect([...code].every(char => CODE_ALPHABET.includes(char))).toBe(true);
+  expect(code).not.toMatch(/[01IO]/);
+});
+
+test('passphrases are hyphenated lowercase words', () => {
+  const code = generateLetterCode('passphrase');
+  expect(code).toMatch(/^[a-z]+(-[a-z]+){3}$/);
+  expect(isValidCode(code)).toBe(true);
+});
+
+test('normalizes typed codes and still accepts original 6-character codes', () => {
+  expect(normalizeCode(' abcd 2345 ')).toBe('ABCD2345');
+  expect(normalizeCode('Maple Otter lantern-MOSS')).toBe('maple-otter-lantern-moss');
+  expect(isValidCode('ABC123')).toBe(true);
+  expect(isValidCode("ABC'; --")).toBe(false);
+});
+
+test('passphrases typed with spaces become hyphenated, character codes stay whole', () => {
+  expect(normalizeCode('maple river stone')).toBe('maple-river-stone');
+  expect(normalizeCode('  Maple   RIVER\tstone ')).toBe('maple-river-stone');
+  expect(normalizeCode('maple - river -stone')).toBe('maple-river-stone');
+  expect(isValidCode(normalizeCode('maple river stone'))).toBe(true);
+
+  expect(normalizeCode('abcd efgh')).toBe('ABCDEFGH');
+  expect(normalizeCode('ABCD-EFGH-JKLM')).toBe('ABCDEFGHJKLM');
+  expect(isValidCode(normalizeCode('abcd efgh'))).toBe(true);
+});
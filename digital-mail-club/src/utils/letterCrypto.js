@@ -0,0 +1,101 @@
+// End-to-end encryption for letter bodies, done entirely in the browser with
+// Web Crypto. The API only ever sees ciphertext plus the public parameters
+// needed to decrypt it (never a key or passphrase).
+
+const PBKDF2_ITERATIONS = 600000;
+
+const toBase64Url = (bytes) =>
+  btoa(String.fromCharCode(...new Uint8Array(bytes)))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+
+const fromBase64Url = (text) => {
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+};
+
+const randomBytes = (count) => crypto.getRandomValues(new Uint8Array(count));
+
+const deriveKey = async (passphrase, salt, iterations) => {
+  const material = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(passphrase),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  );
+
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+};
+
+const importLinkKey = (keyString) =>
+  crypto.subtle.importKey('raw', fromBase64Url(keyString), 'AES-GCM', false, ['encrypt', 'decrypt']);
+
+/**
+ * Encrypt a letter body.
+ * With a passphrase the key is derived via PBKDF2; without one a random key is
+ * generated and returned as `linkKey` to be carried in the share link's #fragment.
+ * Returns { ciphertext, encryption, linkKey }.
+ */
+export const encryptContent = async (content, passphrase = null) => {
+  const iv = randomBytes(12);
+  let key;
+  let encryption;
+  let linkKey = null;
+
+  if (passphrase) {
+    const salt = randomBytes(16);
+    key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+    encryption = {
+      v: 1,
+      kdf: 'pbkdf2',
+      iv: toBase64Url(iv),
+      salt: toBase64Url(salt),
+      iterations: PBKDF2_ITERATIONS
+    };
+  } else {
+    const rawKey = randomBytes(32);
+    linkKey = toBase64Url(rawKey);
+    key = await importLinkKey(linkKey);
+    encryption = { v: 1, kdf: 'link', iv: toBase64Url(iv) };
+  }
+
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    key,
+    new TextEncoder().encode(content)
+  );
+
+  return { ciphertext: toBase64Url(ciphertext), encryption, linkKey };
+};
+
+/**
+ * Decrypt a letter body with either the passphrase or the link key,
+ * depending on how it was encrypted. Throws on a wrong secret.
+ */
+export const decryptContent = async (ciphertext, encryption, secret) => {
+  const key = encryption.kdf === 'pbkdf2'
+    ? await deriveKey(secret, fromBase64Url(encryption.salt), encryption.iterations)
+    : await importLinkKey(secret);
+
+  try {
+    const plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: fromBase64Url(encryption.iv) },
+      key,
+      fromBase64Url(ciphertext)
+    );
+    return new TextDecoder().decode(plaintext);
+  } catch (error) {
+    throw new Error(encryption.kdf === 'pbkdf2'
+      ? 'That passphrase does not open this letter'
+      : 'The key in this link does not open this letter');
+  }
+};
@@ -0,0 +1,38 @@
+/**
+ * @jest-environment node
+ */
+import { decryptContent, encryptContent } from './letterCrypto';
+
+test('link-key letters round-trip and nothing readable reaches the server', async () => {
+  const { ciphertext, encryption, linkKey } = await encryptContent('Dear friend, meet me at noon');
+
+  expect(encryption).toEqual({ v: 1, kdf: 'link', iv: expect.stringMatching(/^[A-Za-z0-9_-]{16}$/) });
+  expect(ciphertext).toMatch(/^[A-Za-z0-9_-]+$/);
+  expect(Buffer.from(ciphertext, 'base64url').toString()).not.toContain('noon');
+  expect(await decryptContent(ciphertext, encryption, linkKey)).toBe('Dear friend, meet me at noon');
+});
+
+test('a different link key does not open the letter', async () => {
+  const letter = await encryptContent('Dear friend');
+  const { linkKey: otherKey } = await encryptContent('Someone else');
+
+  await expect(decryptContent(letter.ciphertext, letter.encryption, otherKey))
+    .rejects.toThrow('The key in this link does not open this letter');
+});
+
+test('passphrase letters open with the passphrase and nothing else', async () => {
+  const { ciphertext, encryption, linkKey } = await encryptContent('Dear friend ✉️', 'correct horse');
+
+  expect(linkKey).toBeNull();
+  expect(encryption).toMatchObject({ v: 1, kdf: 'pbkdf2', iterations: 600000 });
+  expect(await decryptContent(ciphertext, encryption, 'correct horse')).toBe('Dear friend ✉️');
+  await expect(decryptContent(ciphertext, encryption, 'battery staple'))
+    .rejects.toThrow('That passphrase does not open this letter');
+});
+
+test('tampered ciphertext is rejected rather than decrypted', async () => {
+  const { ciphertext, encryption, linkKey } = await encryptContent('Dear friend');
+  const flipped = (ciphertext[0] === 'A' ? 'B' : 'A') + ciphertext.slice(1);
+
+  await expect(decryptContent(flipped, encryption, linkKey)).rejects.toThrow();
+});
@@ -0,0 +1,179 @@
+// Markdown-lite letter formatting, shared by the React app and the vanilla pages
+//
+//   **bold**   *italic* or _italic_   __underline__
+//   - bullet / 1. numbered list items, one per line
+//   P.S. ... starts a postscript paragraph
+//   ~ Love, Maya  a handwritten signature line
+//   \* escapes a marker
+//
+// Text is parsed into a small tree of known node types; nothing in a letter is
+// ever treated as HTML, so renderers only have to escape text nodes.
+
+const INLINE_MARKERS = [
+  { marker: '**', type: 'bold' },
+  { marker: '__', type: 'underline', wordBoundary: true },
+  { marker: '*', type: 'italic' },
+  { marker: '_', type: 'italic', wordBoundary: true }
+];
+
+const ESCAPABLE = '\\*_~';
+
+const BULLET_ITEM = /^\s*[-*•]\s+(.*)$/;
+const NUMBERED_ITEM = /^\s*\d{1,3}[.)]\s+(.*)$/;
+const SIGNATURE = /^\s*~\s*(.+)$/;
+const POSTSCRIPT = /^\s*P\.(?:\s?P\.)*\s?S\./i;
+
+const isWordChar = (char) => !!char && /[\p{L}\p{N}]/u.test(char);
+
+const findMarker = (text, index) =>
+  INLINE_MARKERS.find(({ marker, wordBoundary }) =>
+    text.startsWith(marker, index) &&
+    !(wordBoundary && isWordChar(text[index - 1])) &&
+    text[index + marker.length] !== undefined &&
+    !/\s/.test(text[index + marker.length])
+  );
+
+// Index of the marker that closes one opened at `from`, or -1
+const findClosing = (text, from, { marker, wordBoundary }) => {
+  for (let i = from; i < text.length; i++) {
+    if (text[i] === '\\') {
+      i++;
+      continue;
+    }
+    if (text.startsWith(marker, i) && !/\s/.test(text[i - 1]) &&
+        !(wordBoundary && isWordChar(text[i + marker.length])) &&
+        // "**" closing a single "*" belongs to an inner bold, not to us
+        !(marker.length === 1 && text[i + 1] === marker)) {
+      return i;
+    }
+  }
+  return -1;
+};
+
+export function parseInline(text) {
+  const nodes = [];
+  let buffer = '';
+
+  const flush = () => {
+    if (buffer) nodes.push({ type: 'text', text: buffer });
+    buffer = '';
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (char === '\\' && ESCAPABLE.includes(text[i + 1] || '')) {
+      buffer += text[i + 1];
+      i++;
+      continue;
+    }
+
+    const opener = findMarker(text, i);
+    if (opener) {
+      const start = i + opener.marker.length;
+      const end = findClosing(text, start, opener);
+      if (end > start) {
+        flush();
+        nodes.push({ type: opener.type, children: parseInline(text.slice(start, end)) });
+        i = end + opener.marker.length - 1;
+        continue;
+      }
+    }
+
+    buffer += char;
+  }
+
+  flush();
+  return nodes;
+}
+
+// Split a letter into paragraph, list, postscript and signature blocks
+export function parseLetter(text = '') {
+  const blocks = [];
+  let paragraph = null;
+  let list = null;
+
+  const endBlocks = () => {
+    paragraph = null;
+    list = null;
+  };
+
+  for (const line of String(text).replace(/\r\n?/g, '\n').split('\n')) {
+    if (!line.trim()) {
+      endBlocks();
+      continue;
+    }
+
+    const signature = line.match(SIGNATURE);
+    if (signature) {
+      endBlocks();
+      blocks.push({ type: 'signature', content: parseInline(signature[1].trim()) });
+      continue;
+    }
+
+    const bullet = line.match(BULLET_ITEM);
+    const numbered = !bullet && line.match(NUMBERED_ITEM);
+    if (bullet || numbered) {
+      const ordered = !!numbered;
+      if (!list || list.ordered !== ordered) {
+        paragraph = null;
+        list = { type: 'list', ordered, items: [] };
+        blocks.push(list);
+      }
+      list.items.push(parseInline((bullet || numbered)[1]));
+      continue;
+    }
+
+    if (!paragraph) {
+      list = null;
+      paragraph = { type: POSTSCRIPT.test(line) ? 'postscript' : 'paragraph', lines: [] };
+      blocks.push(paragraph);
+    }
+    paragraph.lines.push(parseInline(line));
+  }
+
+  return blocks;
+}
+
+const ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+export const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => ESCAPES[char]);
+
+const INLINE_TAGS = { bold: 'strong', italic: 'em', underline: 'u' };
+
+const inlineToHtml = (nodes) => nodes.map(node =>
+  node.type === 'text'
+    ? escapeHtml(node.text)
+    : `<${INLINE_TAGS[node.type]}>${inlineToHtml(node.children)}</${INLINE_TAGS[node.type]}>`
+).join('');
+
+// Safe HTML for a letter body, for pages that build markup as strings
+export function renderLetterHtml(text) {
+  return parseLetter(text).map(block => {
+    switch (block.type) {
+      case 'list': {
+        const tag = block.ordered ? 'ol' : 'ul';
+        return `<${tag}>${block.items.map(item => `<li>${inlineToHtml(item)}</li>`).join('')}</${tag}>`;
+      }
+      case 'signature':
+        return `<p class="letter-signature">${inlineToHtml(block.content)}</p>`;
+      case 'postscript':
+        return `<p class="letter-postscript">${block.lines.map(inlineToHtml).join('<br>')}</p>`;
+      default:
+        return `<p>${block.lines.map(inlineToHtml).join('<br>')}</p>`;
+    }
+  }).join('');
+}
+
+// Letter text without any markers, for previews and notifications
+export function letterToPlainText(text) {
+  const plain = (nodes) => nodes.map(node => (node.type === 'text' ? node.text : plain(node.children))).join('');
+
+  return parseLetter(text).map(block => {
+    if (block.type === 'list') {
+      return block.items.map((item, i) => `${block.ordered ? `${i + 1}.` : '•'} ${plain(item)}`).join('\n');
+    }
+    if (block.type === 'signature') return plain(block.content);
+    return block.lines.map(plain).join('\n');
+  }).join('\n\n');
+}
@@ -0,0 +1,22 @@
+import { letterToPlainText, parseLetter, renderLetterHtml } from './letterFormat';
+
+test('renders the formatting markers', () => {
+  expect(renderLetterHtml('Hello **there** *friend*, __really__ _truly_')).toBe(
+    '<p>Hello <strong>there</strong> <em>friend</em>, <u>really</u> <em>truly</em></p>'
+  );
+  expect(renderLetterHtml('snake_case and \\*stars\\*')).toBe('<p>snake_case and *stars*</p>');
+});
+
+test('groups lists, postscripts and signatures into blocks', () => {
+  const letter = 'Dear Sam,\nhello\n\n- one\n- two\n1. first\n\nP.S. bring snacks\n~ Love, Maya';
+  expect(parseLetter(letter).map(block => block.type)).toEqual(
+    ['paragraph', 'list', 'list', 'postscript', 'signature']
+  );
+  expect(letterToPlainText(letter)).toBe('Dear Sam,\nhello\n\n• one\n• two\n\n1. first\n\nP.S. bring snacks\n\nLove, Maya');
+});
+
+test('never lets markup through', () => {
+  const hostile = '**<img src=x onerror="alert(1)">**\n- <script>alert(1)</script>\n~ <b>me</b>';
+  expect(renderLetterHtml(hostile)).not.toMatch(/<(img|script|b)[\s>]/);
+  expect(renderLetterHtml(hostile)).toContain('&lt;img src=x onerror=&quot;alert(1)&quot;&gt;');
+});
@@ -0,0 +1,33 @@
+// Sender options shared by the React app, the API and the Supabase service
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Expiry choices offered to senders (`ms: null` never expires)
+export const EXPIRY_OPTIONS = [
+  { value: '1h', label: '1 hour', ms: HOUR },
+  { value: '1d', label: '1 day', ms: DAY },
+  { value: '7d', label: '1 week', ms: 7 * DAY },
+  { value: '30d', label: '30 days', ms: 30 * DAY },
+  { value: '90d', label: '3 months', ms: 90 * DAY },
+  { value: '1y', label: '1 year', ms: 365 * DAY },
+  { value: 'never', label: 'Never', ms: null }
+];
+
+export const DEFAULT_EXPIRY = '30d';
+
+// Upper bound for "self-destruct after N reads"
+export const MAX_READS_LIMIT = 100;
+
+// Photo attachments: how many per letter and how big an upload may be
+// (Vercel caps request bodies at 4.5 MB)
+export const MAX_ATTACHMENTS = 4;
+export const MAX_ATTACHMENT_BYTES = 4 * 1024 * 1024;
+export const ATTACHMENT_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+
+export const getExpiryOption = (value = DEFAULT_EXPIRY) =>
+  EXPIRY_OPTIONS.find(option => option.value === value) || null;
+
+// Timestamp for the expires_at column; Postgres accepts 'infinity' for "never"
+export const computeExpiresAt = (option, startsAt = Date.now()) =>
+  option.ms === null ? 'infinity' : new Date(startsAt + option.ms).toISOString();
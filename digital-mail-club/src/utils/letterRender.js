@@ -0,0 +1,300 @@
+// Print-quality letter artwork, shared by the React app and the API
+//
+// renderLetterSvg draws the envelope with its stamps and postmark above the
+// letter on its chosen paper, one page wide and as tall as the letter needs.
+// Browsers rasterize it on a canvas, the API with sharp; imageToPdf wraps a
+// JPEG of the artwork into a one-page PDF without any PDF library.
+import { DEFAULT_STYLE, getFontFamily } from './stationery.js';
+import { escapeHtml, parseLetter } from './letterFormat.js';
+
+// A4 width at 150 dpi
+export const PAGE_WIDTH = 1240;
+
+const MARGIN = 80;
+const ENVELOPE = { width: 700, height: 448, top: 70 };
+const SHEET_TOP = ENVELOPE.top + ENVELOPE.height + 60;
+const SHEET_PADDING = 70;
+const TEXT_WIDTH = PAGE_WIDTH - 2 * MARGIN - 2 * SHEET_PADDING;
+
+const BODY_SIZE = 30;
+const LINE_HEIGHT = 54;
+const LIST_INDENT = 44;
+
+// Flat colors for each paper; the on-screen gradients don't survive rasterizing
+const PAPER_COLORS = {
+  plain: { background: '#F7F2EA', line: '#6F7A5C', lineOpacity: 0.12 },
+  vintage: { background: '#F0E8D5', line: '#78776C', lineOpacity: 0.12 },
+  typewriter: { background: '#F8F6F0', line: '#D4AF37', lineOpacity: 1 },
+  telegram: { background: '#FFF8DC', line: '#DAA520', lineOpacity: 1, margin: '#DAA520' },
+  manuscript: { background: '#FAF0E6', line: '#8B4513', lineOpacity: 1, margin: '#CD853F' },
+  wartime: { background: '#F5F5DC', line: '#8B4513', lineOpacity: 0.2 },
+  royal: { background: '#EFEAFF', line: '#8A2BE2', lineOpacity: 0.1 },
+  nature: { background: '#ECF8EC', line: '#228B22', lineOpacity: 0.1 },
+  sunset: { background: '#FFEEE9', line: '#FF4500', lineOpacity: 0.1 }
+};
+
+// Average glyph width per font, as a fraction of the font size, for line wrapping.
+// Generous, since a server without the web fonts falls back to wider faces.
+const GLYPH_WIDTHS = { caveat: 0.55, 'special-elite': 0.62, serif: 0.55, cursive: 0.58 };
+
+const INK_MUTED = '#6C7A5C';
+
+const attr = (value) => escapeHtml(value);
+
+const formatDate = (value, locale) =>
+  new Date(value).toLocaleDateString(locale, { year: 'numeric', month: 'long', day: 'numeric' });
+
+// Inline nodes become runs of text carrying their bold/italic/underline marks
+const toRuns = (nodes, marks = {}) => nodes.flatMap(node =>
+  node.type === 'text' ? [{ ...marks, text: node.text }] : toRuns(node.children, { ...marks, [node.type]: true })
+);
+
+// Greedy word wrap on estimated widths; words longer than a line are split
+function wrapRuns(runs, maxWidth, measure) {
+  const lines = [[]];
+  let width = 0;
+
+  const place = (run, text) => {
+    const line = lines[lines.length - 1];
+    const last = line[line.length - 1];
+    if (last && last.bold === run.bold && last.italic === run.italic && last.underline === run.underline) {
+      last.text += text;
+    } else {
+      line.push({ ...run, text });
+    }
+    width += measure(text, run);
+  };
+
+  for (const run of runs) {
+    for (const token of run.text.split(/(\s+)/).filter(Boolean)) {
+      if (/^\s/.test(token)) {
+        if (width > 0) place(run, ' ');
+        continue;
+      }
+
+      let word = token;
+      while (word) {
+        const fits = width + measure(word, run) <= maxWidth;
+        if (!fits && width > 0) {
+          const line = lines[lines.length - 1];
+          const last = line[line.length - 1];
+          last.text = last.text.trimEnd();
+          lines.push([]);
+          width = 0;
+          continue;
+        }
+
+        // An empty line that still can't hold the word gets as much of it as fits
+        let take = word.length;
+        while (take > 1 && measure(word.slice(0, take), run) > maxWidth) take--;
+        place(run, word.slice(0, take));
+        word = word.slice(take);
+      }
+    }
+  }
+
+  return lines;
+}
+
+const runsToSvg = (runs) => runs.map(run => {
+  const styles = [
+    run.bold ? ' font-weight="bold"' : '',
+    run.italic ? ' font-style="italic"' : '',
+    run.underline ? ' text-decoration="underline"' : ''
+  ].join('');
+  return styles ? `<tspan${styles}>${escapeHtml(run.text)}</tspan>` : escapeHtml(run.text);
+}).join('');
+
+function renderEnvelope(letter, date) {
+  const { width, height, top } = ENVELOPE;
+  const left = (PAGE_WIDTH - width) / 2;
+  const scale = width / 500;
+
+  const stamps = (letter.stamps || []).map(stamp => {
+    const size = 45 * scale;
+    return `
+    <g transform="translate(${left + (stamp.x / 100) * width} ${top + (stamp.y / 100) * height}) rotate(${stamp.rotation})">
+      <rect x="${-size / 2}" y="${-size / 2}" width="${size}" height="${size}" rx="4" fill="${attr(stamp.color)}" stroke="#FFFFFF" stroke-width="4" stroke-dasharray="6 3"/>
+      <text y="${size * 0.18}" font-size="${size * 0.5}" text-anchor="middle">${escapeHtml(stamp.glyph)}</text>
+    </g>`;
+  }).join('');
+
+  return `
+  <g>
+    <rect x="${left}" y="${top}" width="${width}" height="${height}" rx="16" fill="#D4B89B"/>
+    <path d="M${left} ${top + 16} L${PAGE_WIDTH / 2} ${top + height * 0.55} L${left + width} ${top + 16} L${left + width} ${top} L${left} ${top} Z" fill="#C9A98A"/>
+    <circle cx="${PAGE_WIDTH / 2}" cy="${top + height * 0.55}" r="${28 * scale}" fill="#C98088"/>
+    <g transform="translate(${left + 110} ${top + height - 110}) rotate(-12)" fill="none" stroke="#3B3A39" stroke-opacity="0.45" stroke-width="3">
+      <circle r="70"/>
+      <circle r="56"/>
+      <text y="-18" font-family="serif" font-size="16" letter-spacing="3" text-anchor="middle" fill="#3B3A39" fill-opacity="0.6" stroke="none">DIGITAL MAIL</text>
+      <text y="10" font-family="serif" font-size="18" text-anchor="middle" fill="#3B3A39" fill-opacity="0.6" stroke="none">${escapeHtml(date)}</text>
+      <text y="34" font-family="serif" font-size="16" letter-spacing="3" text-anchor="middle" fill="#3B3A39" fill-opacity="0.6" stroke="none">CLUB</text>
+    </g>
+    <text x="${left + width - 60}" y="${top + height - 60}" font-family="'Caveat', cursive" font-size="40" text-anchor="end" fill="#3B3A39">From: ${escapeHtml(letter.senderName || 'Anonymous Friend')}</text>
+    ${stamps}
+  </g>`;
+}
+
+// SVG of the letter as it would be printed; returns { svg, width, height }.
+// letter: { subject, content, senderName, dateCreated, style, stamps }
+export function renderLetterSvg(letter, { locale = 'en-US' } = {}) {
+  const style = letter.style || null;
+  const { font, ink, decorations } = { ...DEFAULT_STYLE, ...style };
+  const paper = PAPER_COLORS[style ? style.paper : 'plain'] || PAPER_COLORS.plain;
+  const fontFamily = attr(getFontFamily(font));
+  const glyphWidth = GLYPH_WIDTHS[font] || 0.58;
+  const date = formatDate(letter.dateCreated || Date.now(), locale);
+
+  const measure = (size) => (text, run = {}) => text.length * size * glyphWidth * (run.bold ? 1.08 : 1);
+
+  const textLeft = MARGIN + SHEET_PADDING;
+  const textRight = PAGE_WIDTH - MARGIN - SHEET_PADDING;
+  let y = SHEET_TOP + SHEET_PADDING;
+  const parts = [];
+
+  if (decorations.length > 0) {
+    y += 40;
+    parts.push(`<text x="${PAGE_WIDTH / 2}" y="${y}" font-size="36" text-anchor="middle" letter-spacing="8">${escapeHtml(decorations.join(' '))}</text>`);
+    y += 30;
+  }
+
+  y += 30;
+  parts.push(`<text x="${textLeft}" y="${y}" font-family="serif" font-size="22" fill="${INK_MUTED}">From: ${escapeHtml(letter.senderName || 'Anonymous Friend')}</text>`);
+  parts.push(`<text x="${textRight}" y="${y}" font-family="serif" font-size="22" fill="${INK_MUTED}" text-anchor="end">${escapeHtml(date)}</text>`);
+  y += 18;
+  parts.push(`<line x1="${textLeft}" y1="${y}" x2="${textRight}" y2="${y}" stroke="${INK_MUTED}" stroke-opacity="0.3" stroke-width="2"/>`);
+
+  y += 70;
+  for (const line of wrapRuns([{ text: letter.subject || '' }], TEXT_WIDTH, measure(44))) {
+    parts.push(`<text x="${textLeft}" y="${y}" font-family="${fontFamily}" font-size="44" font-weight="bold" fill="${attr(ink)}">${runsToSvg(line)}</text>`);
+    y += 58;
+  }
+
+  const bodyTop = y;
+  y += 10;
+
+  const writeLines = (runs, { x = textLeft, size = BODY_SIZE, anchor = 'start', extra = '', prefix = '' } = {}) => {
+    const width = anchor === 'end' ? TEXT_WIDTH : textRight - x;
+    wrapRuns(runs, width, measure(size)).forEach((line, index) => {
+      if (index === 0 && prefix) {
+        parts.push(`<text x="${x - LIST_INDENT}" y="${y}" font-family="${fontFamily}" font-size="${size}" fill="${attr(ink)}">${escapeHtml(prefix)}</text>`);
+      }
+      const lineX = anchor === 'end' ? textRight : x;
+      parts.push(`<text x="${lineX}" y="${y}" font-family="${fontFamily}" font-size="${size}" fill="${attr(ink)}" text-anchor="${anchor}"${extra}>${runsToSvg(line)}</text>`);
+      y += LINE_HEIGHT;
+    });
+  };
+
+  for (const block of parseLetter(letter.content || '')) {
+    if (block.type === 'list') {
+      block.items.forEach((item, index) => {
+        writeLines(toRuns(item), { x: textLeft + LIST_INDENT, prefix: block.ordered ? `${index + 1}.` : '•' });
+      });
+    } else if (block.type === 'signature') {
+      writeLines(toRuns(block.content), { size: BODY_SIZE * 1.6, anchor: 'end' });
+    } else if (block.type === 'postscript') {
+      block.lines.forEach(line => writeLines(toRuns(line), { size: BODY_SIZE * 0.95, extra: ' font-style="italic" opacity="0.85"' }));
+    } else {
+      block.lines.forEach(line => writeLines(toRuns(line)));
+    }
+    y += LINE_HEIGHT * 0.4;
+  }
+
+  const sheetHeight = y + SHEET_PADDING - SHEET_TOP;
+  const height = Math.ceil(SHEET_TOP + sheetHeight + MARGIN);
+  const sheetWidth = PAGE_WIDTH - 2 * MARGIN;
+
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${PAGE_WIDTH}" height="${height}" viewBox="0 0 ${PAGE_WIDTH} ${height}">
+  <defs>
+    <pattern id="rules" x="0" y="${bodyTop + 14}" width="${sheetWidth}" height="${LINE_HEIGHT}" patternUnits="userSpaceOnUse">
+      <line x1="0" y1="0" x2="${sheetWidth}" y2="0" stroke="${paper.line}" stroke-opacity="${paper.lineOpacity}" stroke-width="2"/>
+    </pattern>
+  </defs>
+  <rect width="${PAGE_WIDTH}" height="${height}" fill="#FFFFFF"/>
+  ${renderEnvelope(letter, date)}
+  <rect x="${MARGIN}" y="${SHEET_TOP}" width="${sheetWidth}" height="${sheetHeight}" rx="16" fill="${paper.background}" stroke="#000000" stroke-opacity="0.08" stroke-width="2"/>
+  <rect x="${MARGIN}" y="${bodyTop}" width="${sheetWidth}" height="${y - bodyTop}" fill="url(#rules)"/>
+  ${paper.margin ? `<line x1="${textLeft - 24}" y1="${SHEET_TOP}" x2="${textLeft - 24}" y2="${SHEET_TOP + sheetHeight}" stroke="${paper.margin}" stroke-width="2"/>` : ''}
+  ${parts.join('\n  ')}
+</svg>`;
+
+  return { svg, width: PAGE_WIDTH, height };
+}
+
+// Social preview image for a shared link: a sealed envelope and who it's from,
+// never the subject or words. Sized for Open Graph (1200x630).
+export function renderTeaserSvg({ senderName = 'Anonymous Friend', deliverAt = null } = {}, { locale = 'en-US' } = {}) {
+  const width = 1200;
+  const height = 630;
+  const name = senderName.length > 26 ? `${senderName.slice(0, 25)}…` : senderName;
+  const status = deliverAt
+    ? `is on its way - it opens on ${formatDate(deliverAt, locale)}`
+    : 'is waiting for you…';
+
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+  <rect width="${width}" height="${height}" fill="#F7F2EA"/>
+  <g transform="translate(440 40)">
+    <rect width="320" height="205" rx="12" fill="#D4B89B"/>
+    <path d="M0 10 L160 120 L320 10 L320 0 L0 0 Z" fill="#C9A98A"/>
+    <circle cx="160" cy="120" r="24" fill="#C98088"/>
+    <rect x="254" y="140" width="45" height="45" rx="4" fill="#F1C96B" stroke="#FFFFFF" stroke-width="4" stroke-dasharray="6 3"/>
+  </g>
+  <text x="${width / 2}" y="320" font-family="serif" font-size="36" text-anchor="middle" fill="${INK_MUTED}">A letter from</text>
+  <text x="${width / 2}" y="410" font-family="'Caveat', cursive" font-size="64" text-anchor="middle" fill="#3B3A39">${escapeHtml(name)}</text>
+  <text x="${width / 2}" y="480" font-family="serif" font-size="36" text-anchor="middle" fill="${INK_MUTED}">${escapeHtml(status)}</text>
+  <text x="${width / 2}" y="580" font-family="serif" font-size="24" letter-spacing="6" text-anchor="middle" fill="#7FA3B2">DIGITAL MAIL CLUB</text>
+</svg>`;
+
+  return { svg, width, height };
+}
+
+// One-page PDF showing a JPEG edge to edge on an A4-wide page
+export function imageToPdf(jpeg, width, height) {
+  const encoder = new TextEncoder();
+  const pageWidth = 595.28;
+  const pageHeight = Math.round((pageWidth * height / width) * 100) / 100;
+  const content = `q ${pageWidth} 0 0 ${pageHeight} 0 0 cm /Letter Do Q`;
+
+  const objects = [
+    ['<< /Type /Catalog /Pages 2 0 R >>'],
+    ['<< /Type /Pages /Kids [3 0 R] /Count 1 >>'],
+    [`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] /Resources << /XObject << /Letter 4 0 R >> >> /Contents 5 0 R >>`],
+    [
+      `<< /Type /XObject /Subtype /Image /Width ${width} /Height ${height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${jpeg.length} >>\nstream\n`,
+      jpeg,
+      '\nendstream'
+    ],
+    [`<< /Length ${content.length} >>\nstream\n${content}\nendstream`]
+  ];
+
+  const chunks = [];
+  const offsets = [];
+  let length = 0;
+  const push = (part) => {
+    const bytes = typeof part === 'string' ? encoder.encode(part) : part;
+    chunks.push(bytes);
+    length += bytes.length;
+  };
+
+  push('%PDF-1.4\n%âãÏÓ\n');
+  objects.forEach((parts, index) => {
+    offsets.push(length);
+    push(`${index + 1} 0 obj\n`);
+    parts.forEach(push);
+    push('\nendobj\n');
+  });
+
+  const xref = length;
+  push(`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`);
+  offsets.forEach(offset => push(`${String(offset).padStart(10, '0')} 00000 n \n`));
+  push(`trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`);
+
+  const pdf = new Uint8Array(length);
+  let position = 0;
+  for (const chunk of chunks) {
+    pdf.set(chunk, position);
+    position += chunk.length;
+  }
+  return pdf;
+}
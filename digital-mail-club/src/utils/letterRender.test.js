@@ -0,0 +1,44 @@
+import { PAGE_WIDTH, imageToPdf, renderLetterSvg } from './letterRender';
+
+const letter = {
+  code: 'ABCD2345',
+  subject: 'Tea & <cake>',
+  content: 'Dear Sam,\n**bold** words\n\n- one\n~ Love, Maya',
+  senderName: 'Maya',
+  dateCreated: '2026-10-18T10:00:00Z',
+  style: { paper: 'manuscript', font: 'caveat', ink: '#8B4513', decorations: ['🌟'] },
+  stamps: [{ glyph: '📮', x: 80, y: 20, rotation: 5, color: '#F1C96B' }]
+};
+
+test('draws the letter, envelope and stamps with every field escaped', () => {
+  const { svg, width, height } = renderLetterSvg(letter);
+  expect(width).toBe(PAGE_WIDTH);
+  expect(height).toBeGreaterThan(1000);
+  expect(svg).toContain('Tea &amp; &lt;cake&gt;');
+  expect(svg).not.toContain('<cake>');
+  expect(svg).toContain('<tspan font-weight="bold">bold</tspan>');
+  expect(svg).toContain('📮');
+  expect(svg).toContain('October 18, 2026');
+});
+
+test('grows the page for long letters and wraps unbroken words', () => {
+  const { height: shortHeight } = renderLetterSvg({ ...letter, content: 'Hi' });
+  const { height: longHeight, svg } = renderLetterSvg({ ...letter, content: 'x'.repeat(400) });
+  expect(longHeight).toBeGreaterThan(shortHeight);
+  expect(svg.match(/x{10,}/g).length).toBeGreaterThan(1);
+});
+
+test('wraps a JPEG into a one-page PDF with a valid cross-reference table', () => {
+  const jpeg = new Uint8Array([0xff, 0xd8, 0xff, 0xd9]);
+  const pdf = imageToPdf(jpeg, 100, 200);
+  const text = new TextDecoder('latin1').decode(pdf);
+
+  expect(text.startsWith('%PDF-1.4')).toBe(true);
+  expect(text).toContain('/MediaBox [0 0 595.28 1190.56]');
+
+  const offsets = text.match(/^\d{10} 00000 n $/gm).map(line => parseInt(line, 10));
+  offsets.forEach((offset, index) => {
+    expect(text.slice(offset, offset + 7)).toBe(`${index + 1} 0 obj`);
+  });
+  expect(text.trimEnd().endsWith('%%EOF')).toBe(true);
+});
@@ -0,0 +1,198 @@
+// In-memory LetterStore: letters live in this process and vanish on restart.
+// Lets the API run without a database and gives tests a store to work against.
+// See api/_lib/letterStore.js for what each method promises.
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// expires_at may be 'infinity' for letters that never expire
+const timeOf = (value) => (value === 'infinity' ? Infinity : Date.parse(value));
+
+// Rows leave the store as copies so callers can't edit stored letters
+const copy = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+export function createMemoryLetterStore({ now = () => new Date() } = {}) {
+  const letters = new Map();
+  const revisions = [];
+  const stats = new Map();
+  let nextId = 1;
+
+  const timestamp = () => now().toISOString();
+  const isLive = (letter) => timeOf(letter.expires_at) > now().getTime();
+
+  const findByCode = (code) => [...letters.values()].find(letter => letter.code === code) || null;
+
+  const toRow = (letter) => {
+    const { manage_token_hash: _hash, ...row } = copy(letter);
+    return {
+      ...row,
+      expires_at: letter.expires_at === 'infinity' ? null : letter.expires_at,
+      sealed: !!letter.deliver_at && timeOf(letter.deliver_at) > now().getTime(),
+      expired: !isLive(letter)
+    };
+  };
+
+  return {
+    name: 'memory',
+
+    async create(fields) {
+      if (findByCode(fields.code)) {
+        throw Object.assign(new Error('duplicate key value violates unique constraint "letters_code_key"'), {
+          code: '23505'
+        });
+      }
+
+      const letter = {
+        id: nextId++,
+        code: fields.code,
+        subject: fields.subject,
+        content: fields.content,
+        sender_name: fields.sender_name || 'Anonymous Friend',
+        created_at: timestamp(),
+        expires_at: fields.expires_at || new Date(now().getTime() + 30 * DAY).toISOString(),
+        read_count: 0,
+        last_read_at: null,
+        first_read_at: null,
+        deliver_at: fields.deliver_at || null,
+        max_reads: fields.max_reads || null,
+        burned_at: null,
+        manage_token_hash: fields.manage_token_hash || null,
+        edited_at: null,
+        encryption: copy(fields.encryption) || null,
+        parent_code: fields.parent_code || null,
+        thread_id: fields.thread_id || fields.code,
+        sender_user_id: fields.sender_user_id || null,
+        recipient_email: fields.recipient_email || null,
+        notified_at: null,
+        read_receipt_email: fields.read_receipt_email || null,
+        read_receipt_webhook: fields.read_receipt_webhook || null,
+        style: copy(fields.style) || null,
+        stamps: copy(fields.stamps) || null
+      };
+
+      letters.set(letter.id, letter);
+      return toRow(letter);
+    },
+
+    async getByCode(code, { manageTokenHash = null } = {}) {
+      const letter = findByCode(code);
+      if (!letter) return null;
+
+      if (manageTokenHash) {
+        return letter.manage_token_hash === manageTokenHash ? toRow(letter) : null;
+      }
+
+      return isLive(letter) ? toRow(letter) : null;
+    },
+
+    async getThread(code, maxDepth) {
+      const chain = [];
+      let letter = findByCode(code);
+
+      while (letter && isLive(letter) && chain.length <= maxDepth) {
+        chain.unshift(toRow(letter));
+        letter = letter.parent_code ? findByCode(letter.parent_code) : null;
+      }
+
+      return chain;
+    },
+
+    async getOriginal(letterId) {
+      const first = revisions.find(revision => revision.letter_id === letterId);
+      return first ? { subject: first.subject, content: first.content } : null;
+    },
+
+    async edit(letterId, { subject, content }) {
+      const letter = letters.get(letterId);
+      if (!letter || letter.read_count > 0 || letter.burned_at) return null;
+
+      revisions.push({ letter_id: letterId, subject: letter.subject, content: letter.content });
+      letter.subject = subject;
+      letter.content = content;
+      letter.edited_at = timestamp();
+      return { id: letter.id, edited_at: letter.edited_at };
+    },
+
+    async incrementRead(letterId) {
+      const letter = letters.get(letterId);
+      if (!letter || letter.burned_at) return null;
+      if (letter.max_reads && letter.read_count >= letter.max_reads) return null;
+
+      letter.read_count += 1;
+      letter.last_read_at = timestamp();
+
+      const finalRead = !!letter.max_reads && letter.read_count >= letter.max_reads;
+      if (finalRead) {
+        letter.subject = '';
+        letter.content = '';
+        letter.burned_at = timestamp();
+        revisions.splice(0, revisions.length, ...revisions.filter(revision => revision.letter_id !== letterId));
+      }
+
+      return { readCount: letter.read_count, finalRead };
+    },
+
+    async claimFirstRead(letterId) {
+      const letter = letters.get(letterId);
+      if (!letter || letter.first_read_at) return null;
+
+      letter.first_read_at = timestamp();
+      return copy({
+        code: letter.code,
+        first_read_at: letter.first_read_at,
+        read_receipt_email: letter.read_receipt_email,
+        read_receipt_webhook: letter.read_receipt_webhook
+      });
+    },
+
+    async markNotified(letterId) {
+      const letter = letters.get(letterId);
+      if (letter) letter.notified_at = timestamp();
+    },
+
+    async delete(code, manageTokenHash) {
+      const letter = findByCode(code);
+      if (!letter || letter.manage_token_hash !== manageTokenHash) return null;
+
+      letters.delete(letter.id);
+      return { id: letter.id, subject: letter.subject };
+    },
+
+    async incrementStat(metric) {
+      const current = stats.get(metric);
+      stats.set(metric, { value: (current ? current.value : 0) + 1, updated_at: timestamp() });
+    },
+
+    async stats() {
+      const current = now().getTime();
+      const live = [...letters.values()].filter(isLive);
+      const since = (ms) => [...letters.values()].filter(letter => timeOf(letter.created_at) >= current - ms).length;
+
+      return {
+        metrics: [...stats.entries()]
+          .sort(([a], [b]) => a.localeCompare(b))
+          .map(([metric, { value, updated_at }]) => ({ metric, value, updated_at })),
+        activeLetters: live.length,
+        lettersToday: since(DAY),
+        lettersWeek: since(7 * DAY)
+      };
+    },
+
+    async cleanup() {
+      const current = now().getTime();
+      let removed = 0;
+
+      for (const letter of [...letters.values()]) {
+        const expired = timeOf(letter.expires_at) < current && timeOf(letter.created_at) < current - DAY;
+        const burnedLongAgo = letter.burned_at && timeOf(letter.burned_at) < current - 7 * DAY;
+
+        if (expired || burnedLongAgo) {
+          letters.delete(letter.id);
+          removed++;
+        }
+      }
+
+      revisions.splice(0, revisions.length, ...revisions.filter(revision => letters.has(revision.letter_id)));
+      return removed;
+    }
+  };
+}
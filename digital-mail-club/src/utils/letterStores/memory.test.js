@@ -0,0 +1,66 @@
+import { createMemoryLetterStore } from './memory';
+
+// Store lookups, named so they don't read as Testing Library queries
+const findStored = (store, ...args) => store.getByCode(...args);
+
+const letter = (fields = {}) => ({ code: 'ABCD2345', subject: 'Hello', content: 'Dear friend', ...fields });
+
+test('letters are found by code until they expire, and codes stay unique', async () => {
+  let clock = new Date('2026-01-01T00:00:00Z');
+  const store = createMemoryLetterStore({ now: () => clock });
+
+  await store.create(letter({ expires_at: '2026-01-02T00:00:00Z', manage_token_hash: 'hash' }));
+  await expect(store.create(letter())).rejects.toMatchObject({ code: '23505' });
+
+  const found = await findStored(store, 'ABCD2345');
+  expect(found).toMatchObject({ subject: 'Hello', sealed: false, expired: false });
+  expect(found).not.toHaveProperty('manage_token_hash');
+
+  clock = new Date('2026-01-03T00:00:00Z');
+  expect(await findStored(store, 'ABCD2345')).toBeNull();
+  expect(await findStored(store, 'ABCD2345', { manageTokenHash: 'hash' })).toMatchObject({ expired: true });
+  expect(await store.cleanup()).toBe(1);
+});
+
+test('letters that never expire come back with a null expires_at', async () => {
+  const store = createMemoryLetterStore();
+  await store.create(letter({ expires_at: 'infinity' }));
+
+  expect(await findStored(store, 'ABCD2345')).toMatchObject({ expires_at: null, expired: false });
+});
+
+test('self-destructing letters burn on their final read', async () => {
+  const store = createMemoryLetterStore();
+  const { id } = await store.create(letter({ max_reads: 2 }));
+
+  expect(await store.incrementRead(id)).toEqual({ readCount: 1, finalRead: false });
+  expect(await store.incrementRead(id)).toEqual({ readCount: 2, finalRead: true });
+  expect(await store.incrementRead(id)).toBeNull();
+  expect(await findStored(store, 'ABCD2345')).toMatchObject({ subject: '', content: '' });
+});
+
+test('edits keep the original wording and stop once the letter is read', async () => {
+  const store = createMemoryLetterStore();
+  const { id } = await store.create(letter());
+
+  expect(await store.edit(id, { subject: 'Hi', content: 'Dear pal' })).toMatchObject({ id });
+  expect(await store.getOriginal(id)).toEqual({ subject: 'Hello', content: 'Dear friend' });
+
+  await store.incrementRead(id);
+  expect(await store.edit(id, { subject: 'Hey', content: 'Too late' })).toBeNull();
+});
+
+test('threads run oldest first and stats count what was stored', async () => {
+  const store = createMemoryLetterStore();
+  await store.create(letter());
+  await store.create(letter({ code: 'EFGH6789', parent_code: 'ABCD2345', thread_id: 'ABCD2345' }));
+  await store.incrementStat('total_letters');
+
+  expect((await store.getThread('EFGH6789', 50)).map(row => row.code)).toEqual(['ABCD2345', 'EFGH6789']);
+  expect(await store.stats()).toMatchObject({
+    metrics: [{ metric: 'total_letters', value: 1 }],
+    activeLetters: 2,
+    lettersToday: 2,
+    lettersWeek: 2
+  });
+});
@@ -0,0 +1,217 @@
+// LetterStore on @vercel/postgres, the production store. Server-only.
+import { sql } from '@vercel/postgres';
+
+const toJson = (value) => (value ? JSON.stringify(value) : null);
+
+// pg reads 'infinity' timestamps as Infinity; other drivers say null for "never expires"
+const toRow = (row) => row && { ...row, expires_at: row.expires_at === Infinity ? null : row.expires_at };
+
+// Queries can't share a column list - the sql tag turns every interpolation into a
+// parameter - so each one spells out the same columns the other drivers return
+export function createPostgresLetterStore() {
+  return {
+    name: 'postgres',
+
+    async create(fields) {
+      const result = await sql`
+        INSERT INTO letters (
+          code, subject, content, sender_name, deliver_at, expires_at, max_reads,
+          manage_token_hash, encryption, parent_code, thread_id, sender_user_id, recipient_email,
+          read_receipt_email, read_receipt_webhook, style, stamps
+        )
+        VALUES (
+          ${fields.code},
+          ${fields.subject},
+          ${fields.content},
+          ${fields.sender_name},
+          ${fields.deliver_at},
+          ${fields.expires_at},
+          ${fields.max_reads},
+          ${fields.manage_token_hash},
+          ${toJson(fields.encryption)}::jsonb,
+          ${fields.parent_code},
+          ${fields.thread_id || fields.code},
+          ${fields.sender_user_id},
+          ${fields.recipient_email},
+          ${fields.read_receipt_email},
+          ${fields.read_receipt_webhook},
+          ${toJson(fields.style)}::jsonb,
+          ${toJson(fields.stamps)}::jsonb
+        )
+        RETURNING id, code, subject, content, sender_name, created_at, read_count, expires_at, deliver_at,
+                  max_reads, burned_at, edited_at, encryption, parent_code, thread_id, first_read_at,
+                  last_read_at, recipient_email, style, stamps,
+                  COALESCE(deliver_at > NOW(), false) AS sealed, expires_at <= NOW() AS expired
+      `;
+      return toRow(result.rows[0]);
+    },
+
+    async getByCode(code, { manageTokenHash = null } = {}) {
+      const result = manageTokenHash
+        ? await sql`
+            SELECT id, code, subject, content, sender_name, created_at, read_count, expires_at, deliver_at,
+                   max_reads, burned_at, edited_at, encryption, parent_code, thread_id, first_read_at,
+                   last_read_at, recipient_email, style, stamps,
+                   COALESCE(deliver_at > NOW(), false) AS sealed, expires_at <= NOW() AS expired
+            FROM letters
+            WHERE code = ${code} AND manage_token_hash = ${manageTokenHash}
+            LIMIT 1
+          `
+        : await sql`
+            SELECT id, code, subject, content, sender_name, created_at, read_count, expires_at, deliver_at,
+                   max_reads, burned_at, edited_at, encryption, parent_code, thread_id, first_read_at,
+                   last_read_at, recipient_email, style, stamps,
+                   COALESCE(deliver_at > NOW(), false) AS sealed, expires_at <= NOW() AS expired
+            FROM letters
+            WHERE code = ${code} AND expires_at > NOW()
+            LIMIT 1
+          `;
+      return toRow(result.rows[0]) || null;
+    },
+
+    // Walk parent codes back to the first letter
+    async getThread(code, maxDepth) {
+      const result = await sql`
+        WITH RECURSIVE chain AS (
+          SELECT id, code, subject, content, sender_name, created_at, read_count, expires_at, deliver_at,
+                 max_reads, burned_at, edited_at, encryption, parent_code, thread_id, first_read_at,
+                 last_read_at, recipient_email, style, stamps,
+                 COALESCE(deliver_at > NOW(), false) AS sealed, expires_at <= NOW() AS expired, 0 AS depth
+          FROM letters
+          WHERE code = ${code} AND expires_at > NOW()
+          UNION ALL
+          SELECT l.id, l.code, l.subject, l.content, l.sender_name, l.created_at, l.read_count,
+                 l.expires_at, l.deliver_at, l.max_reads, l.burned_at, l.edited_at, l.encryption,
+                 l.parent_code, l.thread_id, l.first_read_at, l.last_read_at, l.recipient_email,
+                 l.style, l.stamps, COALESCE(l.deliver_at > NOW(), false), l.expires_at <= NOW(), chain.depth + 1
+          FROM letters l
+          JOIN chain ON l.code = chain.parent_code
+          WHERE l.expires_at > NOW() AND chain.depth < ${maxDepth}
+        )
+        SELECT * FROM chain ORDER BY depth DESC
+      `;
+      return result.rows.map(({ depth, ...row }) => toRow(row));
+    },
+
+    async getOriginal(letterId) {
+      const result = await sql`
+        SELECT subject, content FROM letter_revisions
+        WHERE letter_id = ${letterId}
+        ORDER BY created_at ASC, id ASC
+        LIMIT 1
+      `;
+      return result.rows[0] || null;
+    },
+
+    // Save the current wording as a revision and apply the edit in one statement,
+    // guarded against a read landing in between
+    async edit(letterId, { subject, content }) {
+      const result = await sql`
+        WITH target AS (
+          SELECT id, subject, content FROM letters
+          WHERE id = ${letterId} AND read_count = 0 AND burned_at IS NULL
+          FOR UPDATE
+        ), saved AS (
+          INSERT INTO letter_revisions (letter_id, subject, content)
+          SELECT id, subject, content FROM target
+        )
+        UPDATE letters
+        SET subject = ${subject}, content = ${content}, edited_at = NOW()
+        FROM target
+        WHERE letters.id = target.id
+        RETURNING letters.id, letters.edited_at
+      `;
+      return result.rows[0] || null;
+    },
+
+    // Limited letters claim their read atomically so two readers can't both get the last one
+    async incrementRead(letterId) {
+      const claimed = await sql`
+        UPDATE letters
+        SET read_count = read_count + 1, last_read_at = NOW()
+        WHERE id = ${letterId} AND burned_at IS NULL
+        AND (max_reads IS NULL OR read_count < max_reads)
+        RETURNING read_count, max_reads
+      `;
+
+      if (claimed.rows.length === 0) return null;
+
+      const { read_count: readCount, max_reads: maxReads } = claimed.rows[0];
+      const finalRead = !!maxReads && readCount >= maxReads;
+
+      if (finalRead) {
+        // Tombstone: keep the row for read receipts, drop the words
+        await sql`
+          UPDATE letters
+          SET subject = '', content = '', burned_at = NOW()
+          WHERE id = ${letterId}
+        `;
+        await sql`DELETE FROM letter_revisions WHERE letter_id = ${letterId}`;
+      }
+
+      return { readCount, finalRead };
+    },
+
+    async claimFirstRead(letterId) {
+      const result = await sql`
+        UPDATE letters SET first_read_at = NOW()
+        WHERE id = ${letterId} AND first_read_at IS NULL
+        RETURNING code, first_read_at, read_receipt_email, read_receipt_webhook
+      `;
+      return result.rows[0] || null;
+    },
+
+    async markNotified(letterId) {
+      await sql`UPDATE letters SET notified_at = NOW() WHERE id = ${letterId}`;
+    },
+
+    async delete(code, manageTokenHash) {
+      const result = await sql`
+        DELETE FROM letters
+        WHERE code = ${code} AND manage_token_hash = ${manageTokenHash}
+        RETURNING id, subject
+      `;
+      return result.rows[0] || null;
+    },
+
+    async incrementStat(metric) {
+      await sql`
+        INSERT INTO stats (metric, value, updated_at)
+        VALUES (${metric}, 1, NOW())
+        ON CONFLICT (metric)
+        DO UPDATE SET value = stats.value + 1, updated_at = NOW()
+      `;
+    },
+
+    async stats() {
+      const [metrics, counts] = await Promise.all([
+        sql`SELECT metric, value, updated_at FROM stats ORDER BY metric`,
+        sql`
+          SELECT
+            COUNT(*) FILTER (WHERE expires_at > NOW()) AS active_letters,
+            COUNT(*) FILTER (WHERE created_at >= NOW() - INTERVAL '1 day') AS letters_today,
+            COUNT(*) FILTER (WHERE created_at >= NOW() - INTERVAL '7 days') AS letters_week
+          FROM letters
+          WHERE status = 'sent'
+        `
+      ]);
+
+      const row = counts.rows[0];
+      return {
+        metrics: metrics.rows.map(({ metric, value, updated_at }) => ({ metric, value: parseInt(value), updated_at })),
+        activeLetters: parseInt(row.active_letters),
+        lettersToday: parseInt(row.letters_today),
+        lettersWeek: parseInt(row.letters_week)
+      };
+    },
+
+    async cleanup() {
+      const result = await sql`
+        DELETE FROM letters
+        WHERE (expires_at < NOW() AND created_at < NOW() - INTERVAL '1 day')
+        OR burned_at < NOW() - INTERVAL '7 days'
+      `;
+      return result.rowCount || 0;
+    }
+  };
+}
@@ -0,0 +1,286 @@
+// LetterStore in a local SQLite file, for running the API without a hosted
+// database. SQLITE_PATH picks the file (default ./.data/letters.sqlite;
+// ":memory:" works too). Serverless disks don't persist, so this is for
+// development only. Server-only.
+import { mkdirSync } from 'fs';
+import path from 'path';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS letters (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    code TEXT UNIQUE NOT NULL,
+    subject TEXT NOT NULL,
+    content TEXT NOT NULL,
+    sender_name TEXT DEFAULT 'Anonymous Friend',
+    created_at TEXT NOT NULL,
+    expires_at TEXT NOT NULL,
+    read_count INTEGER NOT NULL DEFAULT 0,
+    last_read_at TEXT,
+    first_read_at TEXT,
+    deliver_at TEXT,
+    max_reads INTEGER,
+    burned_at TEXT,
+    manage_token_hash TEXT,
+    edited_at TEXT,
+    encryption TEXT,
+    parent_code TEXT,
+    thread_id TEXT,
+    sender_user_id INTEGER,
+    recipient_email TEXT,
+    read_receipt_email TEXT,
+    read_receipt_webhook TEXT,
+    style TEXT,
+    stamps TEXT,
+    notified_at TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS letter_revisions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    letter_id INTEGER NOT NULL REFERENCES letters(id) ON DELETE CASCADE,
+    subject TEXT NOT NULL,
+    content TEXT NOT NULL,
+    created_at TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS stats (
+    metric TEXT PRIMARY KEY,
+    value INTEGER NOT NULL DEFAULT 0,
+    updated_at TEXT NOT NULL
+  );
+`;
+
+// Timestamps are ISO strings, which sort like the times they hold. Letters that
+// never expire store 'infinity', which sorts after every one of them.
+const LETTER_COLUMNS = `
+  id, code, subject, content, sender_name, created_at, read_count, expires_at, deliver_at,
+  max_reads, burned_at, edited_at, encryption, parent_code, thread_id, first_read_at,
+  last_read_at, recipient_email, style, stamps,
+  (deliver_at IS NOT NULL AND deliver_at > @now) AS sealed, expires_at <= @now AS expired
+`;
+
+const JSON_COLUMNS = ['encryption', 'style', 'stamps'];
+
+const toRow = (row) => {
+  if (!row) return null;
+
+  const letter = {
+    ...row,
+    expires_at: row.expires_at === 'infinity' ? null : row.expires_at,
+    sealed: !!row.sealed,
+    expired: !!row.expired
+  };
+  JSON_COLUMNS.forEach(column => {
+    letter[column] = row[column] ? JSON.parse(row[column]) : null;
+  });
+  return letter;
+};
+
+const toJson = (value) => (value ? JSON.stringify(value) : null);
+
+export async function createSqliteLetterStore(filename = process.env.SQLITE_PATH || path.join(process.cwd(), '.data', 'letters.sqlite')) {
+  // Native module, so only loaded when this store is picked
+  const { default: Database } = await import('better-sqlite3');
+
+  if (filename !== ':memory:') {
+    mkdirSync(path.dirname(filename), { recursive: true });
+  }
+
+  const db = new Database(filename);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  db.exec(SCHEMA);
+
+  const now = () => new Date().toISOString();
+  const ago = (ms) => new Date(Date.now() - ms).toISOString();
+
+  const selectByCode = db.prepare(`SELECT ${LETTER_COLUMNS} FROM letters WHERE code = @code LIMIT 1`);
+
+  const burn = db.transaction((letterId, at) => {
+    db.prepare(`UPDATE letters SET subject = '', content = '', burned_at = ? WHERE id = ?`).run(at, letterId);
+    db.prepare('DELETE FROM letter_revisions WHERE letter_id = ?').run(letterId);
+  });
+
+  const edit = db.transaction((letterId, subject, content, at) => {
+    const target = db.prepare(`
+      SELECT id, subject, content FROM letters
+      WHERE id = ? AND read_count = 0 AND burned_at IS NULL
+    `).get(letterId);
+    if (!target) return null;
+
+    db.prepare('INSERT INTO letter_revisions (letter_id, subject, content, created_at) VALUES (?, ?, ?, ?)')
+      .run(target.id, target.subject, target.content, at);
+    db.prepare('UPDATE letters SET subject = ?, content = ?, edited_at = ? WHERE id = ?')
+      .run(subject, content, at, target.id);
+    return { id: target.id, edited_at: at };
+  });
+
+  return {
+    name: 'sqlite',
+
+    async create(fields) {
+      const createdAt = now();
+
+      try {
+        const { lastInsertRowid } = db.prepare(`
+          INSERT INTO letters (
+            code, subject, content, sender_name, created_at, deliver_at, expires_at, max_reads,
+            manage_token_hash, encryption, parent_code, thread_id, sender_user_id, recipient_email,
+            read_receipt_email, read_receipt_webhook, style, stamps
+          )
+          VALUES (
+            @code, @subject, @content, @sender_name, @created_at, @deliver_at, @expires_at, @max_reads,
+            @manage_token_hash, @encryption, @parent_code, @thread_id, @sender_user_id, @recipient_email,
+            @read_receipt_email, @read_receipt_webhook, @style, @stamps
+          )
+        `).run({
+          sender_name: 'Anonymous Friend',
+          deliver_at: null,
+          max_reads: null,
+          manage_token_hash: null,
+          parent_code: null,
+          sender_user_id: null,
+          recipient_email: null,
+          read_receipt_email: null,
+          read_receipt_webhook: null,
+          ...fields,
+          created_at: createdAt,
+          expires_at: fields.expires_at || new Date(Date.now() + 30 * DAY).toISOString(),
+          thread_id: fields.thread_id || fields.code,
+          encryption: toJson(fields.encryption),
+          style: toJson(fields.style),
+          stamps: toJson(fields.stamps)
+        });
+
+        return toRow(db.prepare(`SELECT ${LETTER_COLUMNS} FROM letters WHERE id = @id`).get({ id: lastInsertRowid, now: createdAt }));
+      } catch (error) {
+        // Report taken codes the way Postgres does, so callers draw a new one
+        if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+          throw Object.assign(new Error(error.message), { code: '23505' });
+        }
+        throw error;
+      }
+    },
+
+    async getByCode(code, { manageTokenHash = null } = {}) {
+      const letter = selectByCode.get({ code, now: now() });
+      if (!letter) return null;
+
+      if (manageTokenHash) {
+        const owner = db.prepare('SELECT 1 FROM letters WHERE id = ? AND manage_token_hash = ?').get(letter.id, manageTokenHash);
+        return owner ? toRow(letter) : null;
+      }
+
+      return letter.expired ? null : toRow(letter);
+    },
+
+    async getThread(code, maxDepth) {
+      const rows = db.prepare(`
+        WITH RECURSIVE chain AS (
+          SELECT ${LETTER_COLUMNS}, 0 AS depth
+          FROM letters
+          WHERE code = @code AND expires_at > @now
+          UNION ALL
+          SELECT l.id, l.code, l.subject, l.content, l.sender_name, l.created_at, l.read_count,
+                 l.expires_at, l.deliver_at, l.max_reads, l.burned_at, l.edited_at, l.encryption,
+                 l.parent_code, l.thread_id, l.first_read_at, l.last_read_at, l.recipient_email,
+                 l.style, l.stamps, (l.deliver_at IS NOT NULL AND l.deliver_at > @now), l.expires_at <= @now,
+                 chain.depth + 1
+          FROM letters l
+          JOIN chain ON l.code = chain.parent_code
+          WHERE l.expires_at > @now AND chain.depth < @maxDepth
+        )
+        SELECT * FROM chain ORDER BY depth DESC
+      `).all({ code, now: now(), maxDepth });
+
+      return rows.map(({ depth, ...row }) => toRow(row));
+    },
+
+    async getOriginal(letterId) {
+      return db.prepare(`
+        SELECT subject, content FROM letter_revisions
+        WHERE letter_id = ?
+        ORDER BY created_at ASC, id ASC
+        LIMIT 1
+      `).get(letterId) || null;
+    },
+
+    async edit(letterId, { subject, content }) {
+      return edit(letterId, subject, content, now());
+    },
+
+    async incrementRead(letterId) {
+      const readAt = now();
+      const claimed = db.prepare(`
+        UPDATE letters
+        SET read_count = read_count + 1, last_read_at = ?
+        WHERE id = ? AND burned_at IS NULL
+        AND (max_reads IS NULL OR read_count < max_reads)
+        RETURNING read_count, max_reads
+      `).get(readAt, letterId);
+
+      if (!claimed) return null;
+
+      const finalRead = !!claimed.max_reads && claimed.read_count >= claimed.max_reads;
+      if (finalRead) burn(letterId, readAt);
+
+      return { readCount: claimed.read_count, finalRead };
+    },
+
+    async claimFirstRead(letterId) {
+      return db.prepare(`
+        UPDATE letters SET first_read_at = ?
+        WHERE id = ? AND first_read_at IS NULL
+        RETURNING code, first_read_at, read_receipt_email, read_receipt_webhook
+      `).get(now(), letterId) || null;
+    },
+
+    async markNotified(letterId) {
+      db.prepare('UPDATE letters SET notified_at = ? WHERE id = ?').run(now(), letterId);
+    },
+
+    async delete(code, manageTokenHash) {
+      return db.prepare(`
+        DELETE FROM letters
+        WHERE code = ? AND manage_token_hash = ?
+        RETURNING id, subject
+      `).get(code, manageTokenHash) || null;
+    },
+
+    async incrementStat(metric) {
+      db.prepare(`
+        INSERT INTO stats (metric, value, updated_at)
+        VALUES (?, 1, ?)
+        ON CONFLICT (metric)
+        DO UPDATE SET value = stats.value + 1, updated_at = excluded.updated_at
+      `).run(metric, now());
+    },
+
+    async stats() {
+      const counts = db.prepare(`
+        SELECT
+          COUNT(*) FILTER (WHERE expires_at > @now) AS active_letters,
+          COUNT(*) FILTER (WHERE created_at >= @dayAgo) AS letters_today,
+          COUNT(*) FILTER (WHERE created_at >= @weekAgo) AS letters_week
+        FROM letters
+      `).get({ now: now(), dayAgo: ago(DAY), weekAgo: ago(7 * DAY) });
+
+      return {
+        metrics: db.prepare('SELECT metric, value, updated_at FROM stats ORDER BY metric').all(),
+        activeLetters: counts.active_letters,
+        lettersToday: counts.letters_today,
+        lettersWeek: counts.letters_week
+      };
+    },
+
+    async cleanup() {
+      const { changes } = db.prepare(`
+        DELETE FROM letters
+        WHERE (expires_at < @now AND created_at < @dayAgo)
+        OR burned_at < @weekAgo
+      `).run({ now: now(), dayAgo: ago(DAY), weekAgo: ago(7 * DAY) });
+      return changes;
+    }
+  };
+}
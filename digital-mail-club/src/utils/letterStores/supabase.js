@@ -0,0 +1,212 @@
+// LetterStore on a Supabase client. Used by the API with a service-role client
+// and by src/utils/supabase.ts in the browser. Supabase has no transactions over
+// the REST API, so updates that race (reads, edits) compare-and-set on read_count.
+// See api/_lib/letterStore.js for what each method promises.
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Same columns the other drivers return; manage_token_hash stays in the table
+const LETTER_COLUMNS = [
+  'id', 'code', 'subject', 'content', 'sender_name', 'created_at', 'read_count', 'expires_at',
+  'deliver_at', 'max_reads', 'burned_at', 'edited_at', 'encryption', 'parent_code', 'thread_id',
+  'first_read_at', 'last_read_at', 'recipient_email', 'style', 'stamps'
+].join(', ');
+
+// Reads of the last copy can collide; give up after this many tries
+const MAX_READ_ATTEMPTS = 5;
+
+const unwrap = ({ data, error }) => {
+  if (error) throw error;
+  return data;
+};
+
+export function createSupabaseLetterStore(supabase, { now = () => new Date() } = {}) {
+  const timestamp = () => now().toISOString();
+
+  const toRow = (letter) => letter && {
+    ...letter,
+    expires_at: letter.expires_at === 'infinity' ? null : letter.expires_at,
+    sealed: !!letter.deliver_at && Date.parse(letter.deliver_at) > now().getTime(),
+    expired: letter.expires_at !== 'infinity' && Date.parse(letter.expires_at) <= now().getTime()
+  };
+
+  const liveLetter = (code) => supabase
+    .from('letters')
+    .select(LETTER_COLUMNS)
+    .eq('code', code)
+    .gt('expires_at', timestamp())
+    .maybeSingle();
+
+  return {
+    name: 'supabase',
+
+    async create(fields) {
+      const letter = unwrap(await supabase
+        .from('letters')
+        .insert([{ ...fields, thread_id: fields.thread_id || fields.code }])
+        .select(LETTER_COLUMNS)
+        .single());
+      return toRow(letter);
+    },
+
+    async getByCode(code, { manageTokenHash = null } = {}) {
+      const letter = manageTokenHash
+        ? unwrap(await supabase
+          .from('letters')
+          .select(LETTER_COLUMNS)
+          .eq('code', code)
+          .eq('manage_token_hash', manageTokenHash)
+          .maybeSingle())
+        : unwrap(await liveLetter(code));
+      return toRow(letter);
+    },
+
+    // One request per ancestor; threads are short
+    async getThread(code, maxDepth) {
+      const chain = [];
+      let letter = unwrap(await liveLetter(code));
+
+      while (letter && chain.length <= maxDepth) {
+        chain.unshift(toRow(letter));
+        letter = letter.parent_code ? unwrap(await liveLetter(letter.parent_code)) : null;
+      }
+
+      return chain;
+    },
+
+    async getOriginal(letterId) {
+      return unwrap(await supabase
+        .from('letter_revisions')
+        .select('subject, content')
+        .eq('letter_id', letterId)
+        .order('created_at', { ascending: true })
+        .order('id', { ascending: true })
+        .limit(1)
+        .maybeSingle());
+    },
+
+    async edit(letterId, { subject, content }) {
+      const target = unwrap(await supabase
+        .from('letters')
+        .select('id, subject, content')
+        .eq('id', letterId)
+        .eq('read_count', 0)
+        .is('burned_at', null)
+        .maybeSingle());
+      if (!target) return null;
+
+      unwrap(await supabase
+        .from('letter_revisions')
+        .insert([{ letter_id: target.id, subject: target.subject, content: target.content }]));
+
+      return unwrap(await supabase
+        .from('letters')
+        .update({ subject, content, edited_at: timestamp() })
+        .eq('id', target.id)
+        .eq('read_count', 0)
+        .select('id, edited_at')
+        .maybeSingle());
+    },
+
+    async incrementRead(letterId) {
+      for (let attempt = 1; attempt <= MAX_READ_ATTEMPTS; attempt++) {
+        const letter = unwrap(await supabase
+          .from('letters')
+          .select('read_count, max_reads, burned_at')
+          .eq('id', letterId)
+          .maybeSingle());
+
+        if (!letter || letter.burned_at) return null;
+        if (letter.max_reads && letter.read_count >= letter.max_reads) return null;
+
+        const readCount = letter.read_count + 1;
+        const finalRead = !!letter.max_reads && readCount >= letter.max_reads;
+        const readAt = timestamp();
+
+        // Only lands if nobody else read it since we looked
+        const claimed = unwrap(await supabase
+          .from('letters')
+          .update(finalRead
+            ? { read_count: readCount, last_read_at: readAt, subject: '', content: '', burned_at: readAt }
+            : { read_count: readCount, last_read_at: readAt })
+          .eq('id', letterId)
+          .eq('read_count', letter.read_count)
+          .select('id')
+          .maybeSingle());
+
+        if (claimed) {
+          if (finalRead) {
+            unwrap(await supabase.from('letter_revisions').delete().eq('letter_id', letterId));
+          }
+          return { readCount, finalRead };
+        }
+      }
+
+      throw new Error('Letter is being read too often to count reliably, please try again');
+    },
+
+    async claimFirstRead(letterId) {
+      return unwrap(await supabase
+        .from('letters')
+        .update({ first_read_at: timestamp() })
+        .eq('id', letterId)
+        .is('first_read_at', null)
+        .select('code, first_read_at, read_receipt_email, read_receipt_webhook')
+        .maybeSingle());
+    },
+
+    async markNotified(letterId) {
+      unwrap(await supabase.from('letters').update({ notified_at: timestamp() }).eq('id', letterId));
+    },
+
+    async delete(code, manageTokenHash) {
+      return unwrap(await supabase
+        .from('letters')
+        .delete()
+        .eq('code', code)
+        .eq('manage_token_hash', manageTokenHash)
+        .select('id, subject')
+        .maybeSingle());
+    },
+
+    async incrementStat(metric) {
+      unwrap(await supabase.rpc('increment_stat', { stat_name: metric }));
+    },
+
+    async stats() {
+      const current = now().getTime();
+      const countLetters = (query) => query(
+        supabase.from('letters').select('id', { count: 'exact', head: true }).eq('status', 'sent')
+      );
+
+      const [metrics, active, today, week] = await Promise.all([
+        supabase.from('stats').select('metric, value, updated_at').order('metric'),
+        countLetters(query => query.gt('expires_at', timestamp())),
+        countLetters(query => query.gte('created_at', new Date(current - DAY).toISOString())),
+        countLetters(query => query.gte('created_at', new Date(current - 7 * DAY).toISOString()))
+      ]);
+
+      [active, today, week].forEach(unwrap);
+
+      return {
+        metrics: unwrap(metrics).map(({ metric, value, updated_at }) => ({ metric, value: parseInt(value), updated_at })),
+        activeLetters: active.count || 0,
+        lettersToday: today.count || 0,
+        lettersWeek: week.count || 0
+      };
+    },
+
+    async cleanup() {
+      const current = now().getTime();
+      const removed = unwrap(await supabase
+        .from('letters')
+        .delete()
+        .or([
+          `and(expires_at.lt.${timestamp()},created_at.lt.${new Date(current - DAY).toISOString()})`,
+          `burned_at.lt.${new Date(current - 7 * DAY).toISOString()}`
+        ].join(','))
+        .select('id'));
+      return removed.length;
+    }
+  };
+}
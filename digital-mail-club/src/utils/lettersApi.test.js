@@ -0,0 +1,248 @@
+/**
+ * @jest-environment node
+ */
+import lettersHandler from '../../api/letters.js';
+import mailboxHandler from '../../api/mailbox.js';
+import draftsHandler from '../../api/drafts.js';
+import statusHandler from '../../api/status.js';
+import attachmentsHandler from '../../api/attachments.js';
+import deliveriesHandler from '../../api/deliveries.js';
+import setupHandler from '../../api/setup.js';
+import renderHandler from '../../api/letters/render.js';
+import shareHandler from '../../api/share.js';
+import { registerLetterStore } from '../../api/_lib/letterStore.js';
+import { registerTransport } from '../../api/_lib/mailer.js';
+import { createMemoryLetterStore } from './letterStores/memory';
+
+let store;
+let sent;
+let nextIp = 1;
+
+// Vercel-style req/res pair; every request comes from a fresh address so the
+// lookup limiter never gets in the way
+const call = async (handler, { method = 'GET', query = {}, body, headers = {} } = {}) => {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    setHeader(name, value) { this.headers[name.toLowerCase()] = value; return this; },
+    status(code) { this.statusCode = code; return this; },
+    json(value) { this.body = value; return this; },
+    send(value) { this.body = value; return this; },
+    end() { return this; }
+  };
+  await handler({ method, query, body, headers: { 'x-forwarded-for': `203.0.113.${nextIp++}`, ...headers } }, res);
+  return res;
+};
+
+// What the store holds for a code, behind a name the Testing Library lint leaves alone
+const findStored = (code) => store.getByCode(code);
+
+const send = (fields = {}) => call(lettersHandler, {
+  method: 'POST',
+  body: { subject: 'Hello', content: 'Dear friend', senderName: 'Ada', ...fields }
+});
+
+beforeEach(() => {
+  delete process.env.POSTGRES_URL;
+  delete process.env.LETTER_STORE;
+  process.env.MAIL_TRANSPORT = 'test';
+
+  store = createMemoryLetterStore();
+  registerLetterStore('memory', () => store);
+
+  sent = [];
+  registerTransport('test', { send: async (message) => { sent.push(message); } });
+});
+
+afterAll(() => {
+  delete process.env.MAIL_TRANSPORT;
+});
+
+test('letters are sent, read and deleted through the memory store', async () => {
+  const created = await send();
+  expect(created.statusCode).toBe(201);
+
+  const read = await call(lettersHandler, { query: { code: created.body.code } });
+  expect(read.statusCode).toBe(200);
+  expect(read.body.letter).toMatchObject({ subject: 'Hello', readCount: 1, attachments: [] });
+
+  const deleted = await call(lettersHandler, {
+    method: 'DELETE',
+    query: { code: created.body.code },
+    headers: { authorization: `Bearer ${created.body.manageToken}` }
+  });
+  expect(deleted.statusCode).toBe(200);
+  expect(await findStored(created.body.code)).toBeNull();
+});
+
+test('letters that never expire say so with a null expiresAt', async () => {
+  const created = await send({ expiresIn: 'never' });
+  const read = await call(lettersHandler, { query: { code: created.body.code } });
+
+  expect(created.body.expiresAt).toBeNull();
+  expect(read.body.letter.expiresAt).toBeNull();
+});
+
+test('only the manage token handed out at sending can edit or delete a letter', async () => {
+  const created = await send();
+  const other = await send();
+
+  for (const authorization of [undefined, `Bearer ${other.body.manageToken}`]) {
+    const headers = authorization ? { authorization } : {};
+    const edited = await call(lettersHandler, {
+      method: 'PATCH',
+      query: { code: created.body.code },
+      body: { subject: 'Changed', content: 'Changed' },
+      headers
+    });
+    const deleted = await call(lettersHandler, { method: 'DELETE', query: { code: created.body.code }, headers });
+
+    expect([edited.statusCode, deleted.statusCode]).toEqual(authorization ? [403, 403] : [401, 401]);
+  }
+
+  expect(await findStored(created.body.code)).toMatchObject({ subject: 'Hello' });
+});
+
+test('the last allowed read burns a letter exactly once, even when two readers race for it', async () => {
+  const burns = jest.spyOn(console, 'log').mockImplementation(() => {});
+  const created = await send({ maxReads: 2 });
+  const read = () => call(lettersHandler, { query: { code: created.body.code } });
+
+  const first = await read();
+  expect(first.statusCode).toBe(200);
+  expect(first.body.letter).toMatchObject({ content: 'Dear friend', readsRemaining: 1, finalRead: false });
+
+  const racing = await Promise.all([read(), read()]);
+  const winners = racing.filter(response => response.statusCode === 200);
+  expect(racing.map(response => response.statusCode).sort()).toEqual([200, 410]);
+  expect(winners[0].body.letter).toMatchObject({ content: 'Dear friend', readsRemaining: 0, finalRead: true });
+
+  expect((await read()).statusCode).toBe(410);
+  expect(await findStored(created.body.code)).toMatchObject({
+    read_count: 2,
+    content: '',
+    burned_at: expect.any(String)
+  });
+  expect(burns.mock.calls.filter(([message]) => String(message).includes('burned'))).toHaveLength(1);
+  burns.mockRestore();
+});
+
+test('opening a conversation counts as reading the reply, and unread letters before it stay hidden', async () => {
+  const first = await send({ subject: 'First' });
+  const reply = await send({ subject: 'Reply', replyTo: first.body.code, readReceipt: { email: 'sender@example.com' } });
+
+  const thread = await call(lettersHandler, { query: { code: reply.body.code, thread: 'true' } });
+  expect(thread.statusCode).toBe(200);
+  expect(thread.body.letters).toMatchObject([
+    { code: first.body.code, subject: null, content: null, withheld: true },
+    { code: reply.body.code, subject: 'Reply', content: 'Dear friend', withheld: false }
+  ]);
+
+  expect(sent.map(message => message.to)).toEqual(['sender@example.com']);
+  expect(await findStored(reply.body.code)).toMatchObject({ read_count: 1 });
+  const edited = await call(lettersHandler, {
+    method: 'PATCH',
+    query: { code: reply.body.code },
+    body: { subject: 'Changed', content: 'Changed' },
+    headers: { authorization: `Bearer ${reply.body.manageToken}` }
+  });
+  expect(edited.statusCode).toBe(409);
+
+  await call(lettersHandler, { query: { code: first.body.code } });
+  const reread = await call(lettersHandler, { query: { code: reply.body.code, thread: 'true' } });
+  expect(reread.body.letters[0]).toMatchObject({ subject: 'First', withheld: false });
+});
+
+test('recipient notifications are marked in the letter store', async () => {
+  const created = await send({ recipientEmail: 'friend@example.com' });
+
+  expect(created.body.notified).toBe(true);
+  expect(sent.map(message => message.to)).toEqual(['friend@example.com']);
+  expect((await findStored(created.body.code)).notified_at).toEqual(expect.any(String));
+});
+
+test('the read receipt goes out before the first reader gets the letter', async () => {
+  const created = await send({ readReceipt: { email: 'sender@example.com' } });
+  sent = [];
+
+  const read = await call(lettersHandler, { query: { code: created.body.code } });
+  expect(read.statusCode).toBe(200);
+  expect(sent.map(message => message.to)).toEqual(['sender@example.com']);
+
+  await call(lettersHandler, { query: { code: created.body.code } });
+  expect(sent).toHaveLength(1);
+});
+
+test('one address only gets a few emails an hour, whoever addresses them', async () => {
+  const attempts = [];
+  for (let i = 0; i < 4; i++) {
+    attempts.push(await send({ recipientEmail: 'popular@example.com' }));
+  }
+
+  expect(attempts.map(response => response.statusCode)).toEqual([201, 201, 201, 429]);
+  expect(attempts[3].headers['retry-after']).toBeDefined();
+  expect(sent).toHaveLength(3);
+});
+
+test('printable copies are rendered from the letter store and count as a reading', async () => {
+  const created = await send();
+  const rendered = await call(renderHandler, { query: { code: created.body.code, format: 'svg' } });
+
+  expect(rendered.statusCode).toBe(200);
+  expect(rendered.headers['content-type']).toBe('image/svg+xml');
+  expect(String(rendered.body)).toContain('Hello');
+  expect(await findStored(created.body.code)).toMatchObject({ read_count: 1, first_read_at: expect.any(String) });
+});
+
+test('only previews of real letters are cached', async () => {
+  const created = await send();
+
+  const found = await call(shareHandler, { query: { code: created.body.code } });
+  expect(found.headers['cache-control']).toMatch(/^public/);
+  expect(found.body).toContain('A letter from Ada');
+
+  const missing = await call(shareHandler, { query: { code: 'ZZZZZZZZ' } });
+  expect(missing.statusCode).toBe(200);
+  expect(missing.headers['cache-control']).toBe('no-store');
+});
+
+test('Postgres-only features stay off when letters live in another store', async () => {
+  // Postgres is reachable, but its letter ids don't belong to this store's letters
+  process.env.POSTGRES_URL = 'postgres://unused@localhost/unused';
+  process.env.LETTER_STORE = 'memory';
+
+  const withPhotos = await send({ attachments: ['a'.repeat(24)] });
+  expect(withPhotos.statusCode).toBe(400);
+  expect(withPhotos.body.error).toMatch(/Postgres letter store/);
+
+  for (const handler of [mailboxHandler, draftsHandler, statusHandler]) {
+    const refused = await call(handler, { method: 'POST', body: {} });
+    expect(refused.statusCode).toBe(503);
+    expect(refused.body.error).toMatch(/Postgres letter store/);
+  }
+});
+
+test('photo uploads ask for a database instead of failing without one', async () => {
+  const refused = await call(attachmentsHandler, { method: 'POST' });
+
+  expect(refused.statusCode).toBe(503);
+  expect(refused.body.error).toMatch(/Postgres letter store/);
+});
+
+test('cron and setup endpoints only open for their bearer secret', async () => {
+  process.env.CRON_SECRET = 'cron-secret';
+  process.env.SETUP_SECRET = 'setup-secret';
+
+  for (const [handler, secret] of [[deliveriesHandler, 'cron-secret'], [setupHandler, 'setup-secret']]) {
+    const responses = [];
+    for (const authorization of [undefined, 'Bearer wrong', `Bearer ${secret}x`, `Bearer ${secret}`]) {
+      responses.push(await call(handler, { headers: authorization ? { authorization } : {} }));
+    }
+    // The right secret gets as far as asking for a database
+    expect(responses.map(response => response.statusCode)).toEqual([401, 401, 401, 503]);
+  }
+
+  delete process.env.CRON_SECRET;
+  delete process.env.SETUP_SECRET;
+});
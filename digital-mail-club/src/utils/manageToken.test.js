@@ -0,0 +1,35 @@
+/**
+ * @jest-environment node
+ */
+import { createHash } from 'crypto';
+import { createManageToken, hashManageToken, readManageToken } from '../../api/_lib/manageToken.js';
+
+test('manage tokens are random, and only their SHA-256 hash is kept', () => {
+  const first = createManageToken();
+  const second = createManageToken();
+
+  expect(first.token).toMatch(/^[A-Za-z0-9_-]{43}$/);
+  expect(first.token).not.toBe(second.token);
+  expect(first.hash).toBe(createHash('sha256').update(first.token).digest('hex'));
+  expect(first.hash).not.toContain(first.token);
+});
+
+test('a token verifies only against its own hash', () => {
+  const { token, hash } = createManageToken();
+
+  expect(hashManageToken(token)).toBe(hash);
+  expect(hashManageToken(token.slice(0, -1))).not.toBe(hash);
+  expect(hashManageToken(createManageToken().token)).not.toBe(hash);
+});
+
+test('tokens are read from a bearer Authorization header only', () => {
+  const request = (authorization) => ({ headers: authorization === undefined ? {} : { authorization } });
+
+  expect(readManageToken(request('Bearer abc123'))).toBe('abc123');
+  expect(readManageToken(request('bearer  abc123'))).toBe('abc123');
+  expect(readManageToken(request('Basic abc123'))).toBeNull();
+  expect(readManageToken(request('Bearer abc 123'))).toBeNull();
+  expect(readManageToken(request(''))).toBeNull();
+  expect(readManageToken(request())).toBeNull();
+  expect(readManageToken({})).toBeNull();
+});
@@ -0,0 +1,129 @@
+/**
+ * @jest-environment node
+ */
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import { applyMigrations, listMigrations, rollbackMigrations } from '../../api/_lib/migrations.js';
+
+let dir;
+
+const write = (files) => Object.entries(files).forEach(([name, text]) => writeFileSync(path.join(dir, name), text));
+
+// Stands in for a pg client: keeps schema_migrations in a Set and logs every statement
+function createClient(appliedVersions = [], { failOn } = {}) {
+  const versions = new Set(appliedVersions);
+  const statements = [];
+
+  return {
+    versions,
+    statements,
+    async query(text, params = []) {
+      const statement = text.trim();
+      statements.push(statement);
+
+      if (failOn && statement === failOn) {
+        throw new Error('syntax error');
+      }
+      if (statement.startsWith('SELECT 1 FROM schema_migrations')) {
+        return { rows: versions.has(params[0]) ? [{}] : [] };
+      }
+      if (statement.startsWith('SELECT version FROM schema_migrations ORDER BY version DESC')) {
+        const limit = statement.endsWith('LIMIT 1') ? 1 : params[0];
+        return { rows: [...versions].sort().reverse().slice(0, limit).map(version => ({ version })) };
+      }
+      if (statement.startsWith('INSERT INTO schema_migrations')) versions.add(params[0]);
+      if (statement.startsWith('DELETE FROM schema_migrations')) versions.delete(params[0]);
+      return { rows: [] };
+    }
+  };
+}
+
+beforeEach(() => {
+  dir = mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  rmSync(dir, { recursive: true, force: true });
+  console.log.mockRestore();
+});
+
+test('migrations are paired up and sorted by number', async () => {
+  write({
+    '010_later.up.sql': 'SELECT 10', '010_later.down.sql': 'SELECT -10',
+    '002_second.up.sql': 'SELECT 2', '002_second.down.sql': 'SELECT -2',
+    'README.md': 'not a migration'
+  });
+
+  const migrations = await listMigrations(dir);
+  expect(migrations.map(({ version, name }) => `${version}_${name}`)).toEqual(['002_second', '010_later']);
+  expect(migrations[0].down).toBe(path.join(dir, '002_second.down.sql'));
+});
+
+test('a migration without its rollback is refused', async () => {
+  write({ '001_first.up.sql': 'SELECT 1', '001_first.down.sql': 'SELECT -1', '002_oneway.up.sql': 'SELECT 2' });
+
+  await expect(listMigrations(dir)).rejects.toThrow('Migration 002_oneway needs both an .up.sql and a .down.sql file');
+});
+
+test('pending migrations run one per locked transaction and applied ones are skipped', async () => {
+  write({
+    '001_first.up.sql': 'SELECT 1', '001_first.down.sql': 'SELECT -1',
+    '002_second.up.sql': 'SELECT 2', '002_second.down.sql': 'SELECT -2'
+  });
+  const client = createClient(['001']);
+
+  expect(await applyMigrations(client, { dir })).toEqual([{ version: '002', name: 'second' }]);
+  expect(client.statements.slice(1)).toEqual([
+    'BEGIN', 'SELECT pg_advisory_xact_lock($1)', 'SELECT 1 FROM schema_migrations WHERE version = $1', 'COMMIT',
+    'BEGIN', 'SELECT pg_advisory_xact_lock($1)', 'SELECT 1 FROM schema_migrations WHERE version = $1',
+    'SELECT 2', 'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', 'COMMIT'
+  ]);
+
+  expect(await applyMigrations(client, { dir })).toEqual([]);
+});
+
+test('a failing migration is rolled back and stops the run', async () => {
+  write({
+    '001_broken.up.sql': 'SELEC 1', '001_broken.down.sql': 'SELECT -1',
+    '002_second.up.sql': 'SELECT 2', '002_second.down.sql': 'SELECT -2'
+  });
+  const client = createClient([], { failOn: 'SELEC 1' });
+
+  await expect(applyMigrations(client, { dir })).rejects.toThrow('syntax error');
+  expect(client.statements.slice(-1)).toEqual(['ROLLBACK']);
+  expect(client.statements).not.toContain('SELECT 2');
+  expect(client.versions.size).toBe(0);
+});
+
+test('rollbacks undo the newest migrations first', async () => {
+  write({
+    '001_first.up.sql': 'SELECT 1', '001_first.down.sql': 'SELECT -1',
+    '002_second.up.sql': 'SELECT 2', '002_second.down.sql': 'SELECT -2'
+  });
+  const client = createClient(['001', '002']);
+
+  expect(await rollbackMigrations(client, 5, { dir })).toEqual([
+    { version: '002', name: 'second' },
+    { version: '001', name: 'first' }
+  ]);
+  expect(client.statements.filter(statement => statement.startsWith('SELECT -'))).toEqual(['SELECT -2', 'SELECT -1']);
+});
+
+test('rollbacks refuse to cross an irreversible migration, without undoing anything', async () => {
+  write({
+    '001_baseline.up.sql': 'SELECT 1', '001_baseline.down.sql': '-- irreversible: the baseline\n',
+    '002_second.up.sql': 'SELECT 2', '002_second.down.sql': 'SELECT -2'
+  });
+  const client = createClient(['001', '002']);
+
+  await expect(rollbackMigrations(client, 2, { dir })).rejects.toThrow(
+    "Migration 001_baseline is irreversible and can't be rolled back"
+  );
+  expect(client.statements).not.toContain('SELECT -2');
+  expect([...client.versions]).toEqual(['001', '002']);
+
+  expect(await rollbackMigrations(client, 1, { dir })).toEqual([{ version: '002', name: 'second' }]);
+  await expect(rollbackMigrations(client, 1, { dir })).rejects.toThrow('irreversible');
+});
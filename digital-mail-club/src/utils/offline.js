@@ -0,0 +1,30 @@
+// Names the service worker and the React app agree on for offline use.
+// Letters sent without a connection wait in the service worker's outbox;
+// their server replies are parked in a cache until the app picks them up.
+
+export const OUTBOX_QUEUE = 'letter-outbox';
+export const OUTBOX_RESULTS_CACHE = 'letter-outbox-results';
+export const OPENED_LETTERS_CACHE = 'opened-letters';
+
+// Chosen by the app so a queued letter can be matched with its reply later
+export const OUTBOX_ID_HEADER = 'X-Outbox-Id';
+
+// Queued letters are dropped if they still can't be sent after a week
+export const OUTBOX_RETENTION_MINUTES = 7 * 24 * 60;
+
+export const MAX_OPENED_LETTERS = 50;
+
+export const outboxResultUrl = (outboxId) => `/outbox/${encodeURIComponent(outboxId)}`;
+
+export const letterCacheUrl = (code) => `/api/letters?code=${encodeURIComponent(code)}`;
+
+// A plain lookup of one letter, not a thread or a sender's manage request
+export const isLetterLookup = (url) =>
+  url.pathname === '/api/letters' &&
+  url.searchParams.has('code') &&
+  [...url.searchParams.keys()].length === 1;
+
+// Sealed letters have nothing to reread yet, and self-destructing ones must
+// not outlive their last reading on the reader's device either
+export const isCacheableLetter = (letter) =>
+  !!letter && !letter.sealed && !letter.maxReads && !letter.burnedAt;
@@ -0,0 +1,16 @@
+import { isCacheableLetter, isLetterLookup, letterCacheUrl } from './offline';
+
+test('only plain letter lookups are served from the offline cache', () => {
+  const url = (path) => new URL(path, 'https://mail.example');
+  expect(isLetterLookup(url(letterCacheUrl('ABCD2345')))).toBe(true);
+  expect(isLetterLookup(url('/api/letters?code=ABCD2345&thread=true'))).toBe(false);
+  expect(isLetterLookup(url('/api/letters?code=ABCD2345&token=secret'))).toBe(false);
+  expect(isLetterLookup(url('/api/stats'))).toBe(false);
+});
+
+test('sealed and self-destructing letters are never kept for rereading', () => {
+  expect(isCacheableLetter({ code: 'ABCD2345', maxReads: null })).toBe(true);
+  expect(isCacheableLetter({ code: 'ABCD2345', sealed: true })).toBe(false);
+  expect(isCacheableLetter({ code: 'ABCD2345', maxReads: 3 })).toBe(false);
+  expect(isCacheableLetter(null)).toBe(false);
+});
@@ -0,0 +1,92 @@
+/**
+ * @jest-environment node
+ */
+import { checkLookupLimit, recordLookupFailure } from '../../api/_lib/rateLimit.js';
+
+// Without POSTGRES_URL the limiter keeps its state in memory
+let clock;
+let nextClient = 1;
+
+const later = (seconds) => {
+  clock += seconds * 1000;
+  jest.setSystemTime(clock);
+};
+
+const newClient = () => `test:${nextClient++}`;
+
+// One lookup that misses; returns what the limiter said before the miss was counted
+const miss = async (key) => {
+  const limit = await checkLookupLimit(key);
+  if (limit.allowed) await recordLookupFailure(key);
+  return limit;
+};
+
+beforeEach(() => {
+  delete process.env.POSTGRES_URL;
+  jest.useFakeTimers();
+  clock = Date.parse('2026-01-01T00:00:00Z');
+  jest.setSystemTime(clock);
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+test('the fifth miss locks the client out, and each later one doubles the lockout', async () => {
+  const key = newClient();
+
+  for (let i = 0; i < 5; i++) {
+    expect(await miss(key)).toEqual({ allowed: true });
+  }
+
+  const lockouts = [];
+  for (let i = 0; i < 4; i++) {
+    const limit = await checkLookupLimit(key);
+    lockouts.push(limit.retryAfter);
+    expect(limit).toMatchObject({ allowed: false, reason: 'locked' });
+
+    later(limit.retryAfter);
+    await miss(key);
+  }
+
+  expect(lockouts).toEqual([30, 60, 120, 240]);
+});
+
+test('lockouts stop growing at an hour', async () => {
+  const key = newClient();
+
+  for (let i = 0; i < 12; i++) {
+    const limit = await miss(key);
+    if (!limit.allowed) {
+      later(limit.retryAfter);
+      await miss(key);
+    }
+  }
+
+  expect(await checkLookupLimit(key)).toEqual({ allowed: false, retryAfter: 3600, reason: 'locked' });
+});
+
+test('misses are forgotten after an hour without any', async () => {
+  const key = newClient();
+
+  for (let i = 0; i < 5; i++) await miss(key);
+  later(30);
+  expect(await checkLookupLimit(key)).toEqual({ allowed: true });
+
+  later(60 * 60 + 1);
+  await miss(key);
+  expect(await checkLookupLimit(key)).toEqual({ allowed: true });
+});
+
+test('each client gets 30 lookups a minute, then waits for the window to reset', async () => {
+  const key = newClient();
+
+  for (let i = 0; i < 30; i++) {
+    expect(await checkLookupLimit(key)).toEqual({ allowed: true });
+  }
+  expect(await checkLookupLimit(key)).toEqual({ allowed: false, retryAfter: 60, reason: 'client' });
+  expect(await checkLookupLimit(newClient())).toEqual({ allowed: true });
+
+  later(61);
+  expect(await checkLookupLimit(key)).toEqual({ allowed: true });
+});
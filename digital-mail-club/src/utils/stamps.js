@@ -0,0 +1,46 @@
+// Postage stamps placed on a letter's envelope, shared by the React app and the API
+//
+// Positions are percentages of the envelope's width and height so stamps land in
+// the same spot on the desktop and mobile envelope sizes.
+
+export const STAMPS = ['📮', '🌟', '🍃', '💌', '🌙', '🕊️', '🌻', '🦋', '💖', '🌈', '⭐', '🎀'];
+
+export const STAMP_COLORS = ['#F1C96B', '#7FA3B2', '#C98088', '#6C7A5C', '#E6B3BA', '#A8DADC'];
+
+export const MAX_STAMPS = 6;
+
+// Stamps may tilt this many degrees either way
+export const MAX_STAMP_ROTATION = 15;
+
+const inRange = (value, min, max) =>
+  typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// Clean stamp list for storage, or null if any stamp is off the sheet or off the envelope
+export const parseStamps = (stamps) => {
+  if (!Array.isArray(stamps) || stamps.length > MAX_STAMPS) return null;
+
+  const clean = [];
+  for (const stamp of stamps) {
+    if (!stamp || typeof stamp !== 'object') return null;
+
+    const { glyph, x, y, rotation = 0, color = STAMP_COLORS[0] } = stamp;
+    if (!STAMPS.includes(glyph) || !STAMP_COLORS.includes(color)) return null;
+    if (!inRange(x, 0, 100) || !inRange(y, 0, 100)) return null;
+    if (!inRange(rotation, -MAX_STAMP_ROTATION, MAX_STAMP_ROTATION)) return null;
+
+    clean.push({ glyph, x: round(x), y: round(y), rotation: Math.round(rotation), color });
+  }
+
+  return clean;
+};
+
+// A new stamp with a little character: random tilt and paper color
+export const createStamp = (glyph, x, y) => ({
+  glyph,
+  x: round(Math.max(0, Math.min(100, x))),
+  y: round(Math.max(0, Math.min(100, y))),
+  rotation: Math.round(Math.random() * 20 - 10),
+  color: STAMP_COLORS[Math.floor(Math.random() * STAMP_COLORS.length)]
+});
@@ -0,0 +1,17 @@
+import { MAX_STAMPS, createStamp, parseStamps } from './stamps';
+
+test('keeps stamps on the envelope and rounds their positions', () => {
+  expect(parseStamps([{ glyph: '💌', x: 81.234, y: 12, rotation: 4.6, color: '#7FA3B2' }])).toEqual([
+    { glyph: '💌', x: 81.2, y: 12, rotation: 5, color: '#7FA3B2' }
+  ]);
+  expect(createStamp('🌟', 140, -5)).toMatchObject({ x: 100, y: 0 });
+});
+
+test('rejects unknown glyphs, stray positions and too many stamps', () => {
+  expect(parseStamps([{ glyph: '<b>', x: 10, y: 10 }])).toBeNull();
+  expect(parseStamps([{ glyph: '🌟', x: 120, y: 10 }])).toBeNull();
+  expect(parseStamps([{ glyph: '🌟', x: '10', y: 10 }])).toBeNull();
+  expect(parseStamps([{ glyph: '🌟', x: 10, y: 10, rotation: 90 }])).toBeNull();
+  expect(parseStamps(Array(MAX_STAMPS + 1).fill({ glyph: '🌟', x: 10, y: 10 }))).toBeNull();
+  expect(parseStamps({ glyph: '🌟' })).toBeNull();
+});
@@ -0,0 +1,65 @@
+// Stationery choices (paper, font, ink, decorations) shared by the React app and the API
+
+export const PAPERS = [
+  { value: 'vintage', label: 'Vintage Parchment', icon: '📜' },
+  { value: 'typewriter', label: 'Typewriter Paper', icon: '⌨️' },
+  { value: 'telegram', label: 'Telegram Form', icon: '📠' },
+  { value: 'manuscript', label: 'Manuscript Paper', icon: '🖋️' },
+  { value: 'wartime', label: 'Wartime Letter', icon: '✉️' },
+  { value: 'royal', label: 'Royal Paper', icon: '👑' },
+  { value: 'nature', label: 'Nature Paper', icon: '🌿' },
+  { value: 'sunset', label: 'Sunset Paper', icon: '🌅' }
+];
+
+export const FONTS = [
+  { value: 'caveat', label: 'Handwritten', family: "'Caveat', cursive" },
+  { value: 'special-elite', label: 'Typewriter', family: "'Special Elite', monospace" },
+  { value: 'serif', label: 'Classic Serif', family: 'serif' },
+  { value: 'cursive', label: 'Elegant Script', family: 'cursive' }
+];
+
+export const INKS = [
+  { value: '#3B3A39', label: 'Ink Black' },
+  { value: '#6C7A5C', label: 'Forest Green' },
+  { value: '#7FA3B2', label: 'Ocean Blue' },
+  { value: '#C98088', label: 'Rose Pink' },
+  { value: '#8B4513', label: 'Sepia Brown' },
+  { value: '#4B0082', label: 'Royal Purple' },
+  { value: '#DC143C', label: 'Crimson Red' },
+  { value: '#FF8C00', label: 'Sunset Orange' }
+];
+
+export const DECORATIONS = ['🌟', '💖', '🌸', '🦋', '✨', '🌙', '🍃', '💫', '🌹', '🕊️', '🎭', '🎨'];
+
+export const MAX_DECORATIONS = 6;
+
+export const DEFAULT_STYLE = {
+  paper: 'vintage',
+  font: 'caveat',
+  ink: '#3B3A39',
+  decorations: []
+};
+
+const isOneOf = (options, value) => options.some(option => option.value === value);
+
+// Clean style for storage, or null if any part isn't one of the offered choices
+export const parseStyle = (style) => {
+  if (!style || typeof style !== 'object' || Array.isArray(style)) return null;
+
+  const { paper, font, ink, decorations = [] } = { ...DEFAULT_STYLE, ...style };
+  const inkValue = typeof ink === 'string' ? ink.toUpperCase() : ink;
+
+  if (!isOneOf(PAPERS, paper) || !isOneOf(FONTS, font) || !isOneOf(INKS, inkValue)) return null;
+
+  if (!Array.isArray(decorations) || decorations.length > MAX_DECORATIONS ||
+      !decorations.every(decoration => DECORATIONS.includes(decoration)) ||
+      new Set(decorations).size !== decorations.length) {
+    return null;
+  }
+
+  return { paper, font, ink: inkValue, decorations: [...decorations] };
+};
+
+// CSS font stack for a stored font choice
+export const getFontFamily = (font) =>
+  (FONTS.find(option => option.value === font) || FONTS[0]).family;
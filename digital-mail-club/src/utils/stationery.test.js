@@ -0,0 +1,21 @@
+import { DEFAULT_STYLE, getFontFamily, parseStyle } from './stationery';
+
+test('fills in defaults and normalizes ink colors', () => {
+  expect(parseStyle({ paper: 'royal', ink: '#4b0082' })).toEqual({
+    ...DEFAULT_STYLE,
+    paper: 'royal',
+    ink: '#4B0082'
+  });
+});
+
+test('rejects anything outside the offered stationery', () => {
+  expect(parseStyle({ paper: 'neon' })).toBeNull();
+  expect(parseStyle({ ink: 'red; background: url(x)' })).toBeNull();
+  expect(parseStyle({ decorations: ['<script>'] })).toBeNull();
+  expect(parseStyle({ decorations: ['🌟', '🌟'] })).toBeNull();
+  expect(parseStyle(['vintage'])).toBeNull();
+});
+
+test('unknown fonts fall back to handwriting', () => {
+  expect(getFontFamily('comic-sans')).toBe(getFontFamily('caveat'));
+});
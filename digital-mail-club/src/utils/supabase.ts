@@ -1,4 +1,23 @@
 import { createClient } from "@supabase/supabase-js";
+import {
+  DEFAULT_EXPIRY,
+  MAX_READS_LIMIT,
+  computeExpiresAt,
+  getExpiryOption
+} from "./letterOptions";
+import {
+  CODE_STYLES,
+  DEFAULT_CODE_STYLE,
+  generateLetterCode,
+  isValidCode,
+  normalizeCode
+} from "./letterCodes";
+import { parseStyle } from "./stationery";
+import { parseStamps } from "./stamps";
+import { createSupabaseLetterStore } from "./letterStores/supabase";
+
+// Collisions are vanishingly rare with crypto-random codes; retry a few times anyway
+const MAX_CODE_ATTEMPTS = 5;
 
 const supabaseUrl = process.env.REACT_APP_SUPABASE_URL;
 const supabaseKey = process.env.REACT_APP_SUPABASE_ANON_KEY;
@@ -9,44 +28,22 @@ if (!supabaseUrl || !supabaseKey) {
 
 export const supabase = createClient(supabaseUrl, supabaseKey);
 
+// Same letter store the API uses when LETTER_STORE=supabase
+const store = createSupabaseLetterStore(supabase);
+
 // Helper functions for the mail club
 export const letterService = {
-  // Generate random 6-character code
-  generateCode() {
-    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
-    return Array.from({ length: 6 }, () => 
-      chars.charAt(Math.floor(Math.random() * chars.length))
-    ).join('');
-  },
-
-  // Generate unique code
-  async generateUniqueCode() {
-    let code;
-    let attempts = 0;
-    
-    do {
-      code = this.generateCode();
-      attempts++;
-      
-      const { data, error } = await supabase
-        .from('letters')
-        .select('code')
-        .eq('code', code)
-        .limit(1);
-      
-      if (error) throw error;
-      if (data.length === 0) break;
-    } while (attempts < 10);
-    
-    if (attempts >= 10) {
-      throw new Error('Unable to generate unique code after 10 attempts');
-    }
-    
-    return code;
-  },
-
   // Send a letter
-  async sendLetter({ subject, content, senderName }) {
+  async sendLetter({
+    subject,
+    content,
+    senderName,
+    expiresIn = DEFAULT_EXPIRY,
+    maxReads = null,
+    codeStyle = DEFAULT_CODE_STYLE,
+    style = null,
+    stamps = null
+  }) {
     if (!subject?.trim() || !content?.trim()) {
       throw new Error('Subject and content are required');
     }
@@ -59,64 +56,86 @@ export const letterService = {
       throw new Error('Content must be 5000 characters or less');
     }
 
-    const code = await this.generateUniqueCode();
+    const expiry = getExpiryOption(expiresIn);
+    if (!expiry) {
+      throw new Error('Unknown expiry option');
+    }
+
+    if (maxReads !== null && (!Number.isInteger(maxReads) || maxReads < 1 || maxReads > MAX_READS_LIMIT)) {
+      throw new Error(`Read limit must be a whole number between 1 and ${MAX_READS_LIMIT}`);
+    }
+
+    if (!CODE_STYLES[codeStyle]) {
+      throw new Error('Unknown code style');
+    }
+
+    const letterStyle = style ? parseStyle(style) : null;
+    if (style && !letterStyle) {
+      throw new Error('Unknown paper, font, ink or decorations');
+    }
+
+    const letterStamps = stamps ? parseStamps(stamps) : null;
+    if (stamps && !letterStamps) {
+      throw new Error('Stamps must come from the stamp sheet and sit on the envelope');
+    }
+
     const cleanSenderName = (senderName || 'Anonymous Friend').trim().substring(0, 100);
 
-    const { data, error } = await supabase
-      .from('letters')
-      .insert([
-        {
+    // Draw a fresh code whenever the unique index rejects one
+    let code;
+    let data;
+    for (let attempt = 1; !data; attempt++) {
+      code = generateLetterCode(codeStyle);
+
+      try {
+        data = await store.create({
           code: code,
           subject: subject.trim(),
           content: content.trim(),
           sender_name: cleanSenderName,
-          expires_at: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString()
-        }
-      ])
-      .select()
-      .single();
-
-    if (error) throw error;
+          expires_at: computeExpiresAt(expiry),
+          max_reads: maxReads,
+          style: letterStyle,
+          stamps: letterStamps
+        });
+      } catch (error) {
+        if (error.code !== '23505' || attempt >= MAX_CODE_ATTEMPTS) throw error;
+      }
+    }
 
     // Update stats (non-blocking)
-    supabase.rpc('increment_stat', { stat_name: 'total_letters' });
+    store.incrementStat('total_letters').catch(() => {});
 
     return { code, id: data.id };
   },
 
   // Get a letter by code
-  async getLetter(code) {
-    if (!code || !/^[A-Z0-9]{6}$/.test(code.toUpperCase())) {
-      throw new Error('Invalid code format - must be 6 alphanumeric characters');
+  async getLetter(rawCode) {
+    const code = normalizeCode(rawCode);
+    if (!isValidCode(code)) {
+      throw new Error('Invalid code format - expected a letter code like ABCD2345 or maple-otter-lantern-moss');
     }
 
-    const { data, error } = await supabase
-      .from('letters')
-      .select('*')
-      .eq('code', code.toUpperCase())
-      .gt('expires_at', new Date().toISOString())
-      .limit(1);
-
-    if (error) throw error;
+    const letter = await store.getByCode(code);
     
-    if (!data || data.length === 0) {
+    if (!letter) {
       throw new Error('Letter not found. It may have expired or never existed.');
     }
 
-    const letter = data[0];
-    const newReadCount = (letter.read_count || 0) + 1;
+    if (letter.burned_at) {
+      throw new Error('This letter self-destructed after its final reading.');
+    }
 
-    // Update read count (non-blocking)
-    supabase
-      .from('letters')
-      .update({ 
-        read_count: newReadCount, 
-        last_read_at: new Date().toISOString() 
-      })
-      .eq('id', letter.id);
+    // Counts the read and tombstones the letter if this was its last one
+    const claimed = await store.incrementRead(letter.id);
+    if (!claimed) {
+      throw new Error('This letter self-destructed after its final reading.');
+    }
+
+    const { readCount: newReadCount, finalRead } = claimed;
 
     // Update stats (non-blocking)
-    supabase.rpc('increment_stat', { stat_name: 'total_reads' });
+    store.incrementStat('total_reads').catch(() => {});
 
     return {
       id: letter.id,
@@ -126,25 +145,25 @@ export const letterService = {
       senderName: letter.sender_name,
       dateCreated: letter.created_at,
       readCount: newReadCount,
-      expiresAt: letter.expires_at
+      expiresAt: letter.expires_at,
+      maxReads: letter.max_reads,
+      readsRemaining: letter.max_reads ? Math.max(0, letter.max_reads - newReadCount) : null,
+      finalRead,
+      style: letter.style,
+      stamps: letter.stamps
     };
   },
 
   // Get stats
   async getStats() {
-    const [statsResult, activeCount] = await Promise.all([
-      supabase.from('stats').select('metric, value').order('metric'),
-      supabase.from('letters').select('*', { count: 'exact', head: true }).gt('expires_at', new Date().toISOString())
-    ]);
-    
-    if (statsResult.error) throw statsResult.error;
+    const { metrics, activeLetters } = await store.stats();
     
     const statsData = {};
-    statsResult.data.forEach(row => {
-      statsData[row.metric] = parseInt(row.value);
+    metrics.forEach(row => {
+      statsData[row.metric] = row.value;
     });
     
-    statsData.active_letters = activeCount.count || 0;
+    statsData.active_letters = activeLetters;
     return statsData;
   }
 };
\ No newline at end of file